@@ -0,0 +1,58 @@
+import "dotenv/config";
+import { readFile, writeFile } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { AuditLog, parseEntries, verifyChain } from "../src/services/audit.log.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const USAGE = `Usage:
+  npm run audit -- verify [--file <export.jsonl>] [--head <hash>]
+  npm run audit -- export [--out <file.jsonl>] [--submission <id>] [--type validation|review|prompt] [--from <date>] [--to <date>]
+
+verify checks every hash link of the audit log (or of an unfiltered export) and prints
+the head hash; record it somewhere else and pass it as --head later to prove the log
+was not truncated or rewritten since.`;
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    file: { type: "string" },
+    head: { type: "string" },
+    out: { type: "string" },
+    submission: { type: "string" },
+    type: { type: "string" },
+    from: { type: "string" },
+    to: { type: "string" },
+  },
+});
+
+const audit = new AuditLog(process.env.DATA_DIR || path.join(__dirname, "../data"));
+
+if (positionals[0] === "verify" && positionals.length === 1) {
+  const report = values.file
+    ? verifyChain(parseEntries(await readFile(values.file, "utf8")), { head: values.head || null })
+    : await audit.verify({ head: values.head || null });
+
+  if (report.valid) {
+    console.log(`OK: ${report.entries} entries, head ${report.head}`);
+  } else {
+    const where = report.error.line ? ` at line ${report.error.line} (seq ${report.error.seq})` : "";
+    console.error(`TAMPERED${where}: ${report.error.reason}`);
+    process.exit(2);
+  }
+} else if (positionals[0] === "export" && positionals.length === 1) {
+  const entries = await audit.list({ submissionId: values.submission, type: values.type, from: values.from, to: values.to });
+  const lines = entries.map(entry => `${JSON.stringify(entry)}\n`).join("");
+
+  if (values.out) {
+    await writeFile(values.out, lines);
+    console.log(`Exported ${entries.length} entries to ${values.out}`);
+  } else {
+    process.stdout.write(lines);
+  }
+} else {
+  console.error(USAGE);
+  process.exit(1);
+}
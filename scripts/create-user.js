@@ -0,0 +1,41 @@
+import "dotenv/config";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { ROLES, UserStore } from "../src/services/user.store.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const USAGE = `Usage:
+  npm run create-user -- <username> --role <${ROLES.join("|")}> [--name "<full name>"]
+
+The password is read from the USER_PASSWORD environment variable.
+Use this to create the first administrator; further accounts can be added through /api/admin/users.`;
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    role: { type: "string" },
+    name: { type: "string" },
+  },
+});
+
+if (positionals.length !== 1 || !values.role || !process.env.USER_PASSWORD) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+const users = new UserStore(process.env.DATA_DIR || path.join(__dirname, "../data"));
+
+try {
+  const user = await users.create({
+    username: positionals[0],
+    password: process.env.USER_PASSWORD,
+    role: values.role,
+    name: values.name || null,
+  });
+  console.log(`Created ${user.role} ${user.username} (${user.id})`);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,85 @@
+import "dotenv/config";
+import { readFile, writeFile } from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+import { validatePosters } from "../src/services/ai.service.js";
+import { createProvider } from "../src/providers/index.js";
+import { promptRegistry } from "../src/services/prompt.registry.js";
+import {
+  compareReports,
+  evaluate,
+  formatComparison,
+  formatReport,
+  loadDataset,
+} from "../src/services/evaluation.service.js";
+
+const USAGE = `Usage:
+  npm run evaluate -- <dataset-dir> [--provider openai|ollama|fixture] [--model name] [--prompt version|file] [--out report.json]
+  npm run evaluate -- --compare base.json candidate.json`;
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    provider: { type: "string" },
+    model: { type: "string" },
+    prompt: { type: "string" },
+    out: { type: "string" },
+    compare: { type: "boolean", default: false },
+  },
+});
+
+/**
+ * Load an alternative prompt: a registered prompt version, a .js module exporting
+ * VALIDATION_PROMPT, or a plain text file
+ */
+async function loadPrompt(value) {
+  const version = promptRegistry.get(value);
+  if (version) return { id: version.id, text: version.text };
+
+  if (value.endsWith(".js")) {
+    const module = await import(path.resolve(value));
+    return { id: value, text: module.VALIDATION_PROMPT };
+  }
+  return { id: value, text: await readFile(value, "utf8") };
+}
+
+if (values.compare) {
+  if (positionals.length !== 2) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const [base, candidate] = await Promise.all(positionals.map(async file => JSON.parse(await readFile(file, "utf8"))));
+  console.log(formatComparison(compareReports(base, candidate)));
+} else {
+  if (positionals.length !== 1) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const samples = await loadDataset(positionals[0]);
+  const provider = createProvider({ provider: values.provider, model: values.model });
+  const prompt = values.prompt ? await loadPrompt(values.prompt) : null;
+
+  // One sample per poster and no shadow runs: the report measures exactly the prompt under test
+  const results = await validatePosters(samples.map(sample => sample.buffer), {
+    provider,
+    consensus: null,
+    shadowRate: 0,
+    ...(prompt && { prompt: prompt.text, promptVersion: prompt.id }),
+  });
+
+  const report = evaluate(samples, results, {
+    dataset: path.resolve(positionals[0]),
+    provider: provider.name,
+    model: provider.model,
+    prompt: values.prompt || `active (${promptRegistry.activeId})`,
+  });
+
+  console.log(formatReport(report));
+
+  if (values.out) {
+    await writeFile(values.out, JSON.stringify(report, null, 2));
+    console.log(`\nReport written to ${values.out}`);
+  }
+}
@@ -0,0 +1,33 @@
+import "dotenv/config";
+import { readFile } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { CandidateRegistry } from "../src/services/candidate.registry.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const USAGE = `Usage:
+  npm run import-candidates -- <registry.csv> [--merge]
+
+CSV columns: id, name, wilaya[, accounts] (accounts separated by ";")`;
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    merge: { type: "boolean", default: false },
+  },
+});
+
+if (positionals.length !== 1) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+const registry = new CandidateRegistry(process.env.DATA_DIR || path.join(__dirname, "../data"));
+const { imported, total, errors } = await registry.importCsv(await readFile(positionals[0], "utf8"), { merge: values.merge });
+
+for (const { line, error } of errors) {
+  console.warn(`Line ${line}: ${error}`);
+}
+console.log(`Imported ${imported} candidates (${total} in registry, ${errors.length} rows skipped)`);
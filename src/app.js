@@ -4,7 +4,32 @@ import multipart from "@fastify/multipart";
 import path from "path";
 import { fileURLToPath } from "url";
 import fastifyStatic from "@fastify/static";
-import { validatePoster } from "./services/ai.service.js";
+import { SubmissionStore } from "./services/submission.store.js";
+import { DuplicateService } from "./services/duplicate.service.js";
+import { ReviewService } from "./services/review.service.js";
+import { CandidateRegistry } from "./services/candidate.registry.js";
+import { ruleEngine } from "./services/rule.engine.js";
+import { shuraPowers } from "./services/shura.powers.js";
+import { promptRegistry } from "./services/prompt.registry.js";
+import { ShadowLog } from "./services/prompt.shadow.js";
+import { STAGED_PROMPT_VERSION } from "./services/stagedPrompt.js";
+import { resolveLanguage } from "./services/messages.js";
+import { SubmissionPipeline } from "./services/submission.pipeline.js";
+import { JobQueue } from "./services/job.queue.js";
+import { BatchService } from "./services/batch.service.js";
+import { UserStore } from "./services/user.store.js";
+import { AuthService, sessionToken } from "./services/auth.service.js";
+import { AuditLog } from "./services/audit.log.js";
+import submissionsRoutes from "./routes/submissions.routes.js";
+import reviewsRoutes from "./routes/reviews.routes.js";
+import rulesRoutes from "./routes/rules.routes.js";
+import messagesRoutes from "./routes/messages.routes.js";
+import candidatesRoutes from "./routes/candidates.routes.js";
+import jobsRoutes from "./routes/jobs.routes.js";
+import batchesRoutes from "./routes/batches.routes.js";
+import authRoutes from "./routes/auth.routes.js";
+import auditRoutes from "./routes/audit.routes.js";
+import promptsRoutes from "./routes/prompts.routes.js";
 
 // In ESM, __dirname is not available, so we define it manually:
 const __filename = fileURLToPath(import.meta.url);
@@ -12,21 +37,119 @@ const __dirname = path.dirname(__filename);
 
 const fastify = Fastify({ logger: true });
 
-fastify.register(multipart);
+const dataDir = process.env.DATA_DIR || path.join(__dirname, "../data");
+
+const users = new UserStore(dataDir);
+const auth = new AuthService(users);
+fastify.decorate("users", users);
+fastify.decorate("auth", auth);
+
+// Resolve the session on every request; each route decides what the user's role may do
+fastify.decorateRequest("user", null);
+fastify.addHook("onRequest", async (request) => {
+  request.user = await auth.authenticate(sessionToken(request));
+});
+
+if ((await users.list()).length === 0) {
+  fastify.log.warn("No user accounts yet; create an administrator with `npm run create-user -- <username> --role admin`");
+}
+
+// Rejections are contestable: every verdict and decision goes to a hash-chained log
+const audit = new AuditLog(dataDir);
+fastify.decorate("audit", audit);
+
+const submissions = new SubmissionStore(dataDir);
+await submissions.init();
+fastify.decorate("submissions", submissions);
+fastify.decorate("reviews", new ReviewService(submissions, { audit }));
+
+const candidates = new CandidateRegistry(dataDir);
+fastify.decorate("candidates", candidates);
+
+// A prompt version in shadow mode is compared against the active one; disagreements are kept for review
+const shadows = new ShadowLog(dataDir);
+fastify.decorate("shadows", shadows);
+
+const pipeline = new SubmissionPipeline({ submissions, duplicates: new DuplicateService(submissions), candidates, audit, shadows });
+
+const batches = new BatchService({ pipeline, dataDir });
+fastify.decorate("batches", batches);
+
+// Async uploads: a bounded worker pool so peak days queue up instead of overloading the model API.
+// Failed model calls are retried; the final attempt stores the technical-error verdict like the sync path.
+// A batch is one job that validates its own files with bounded concurrency.
+const jobs = new JobQueue({
+  validation: (data, { progress, lastAttempt }) => pipeline.run(data, { progress, failOnError: !lastAttempt }),
+  batch: (data, { progress }) => batches.run(data, { progress }),
+});
+fastify.decorate("jobs", jobs);
+
+// Legal team edits the rules file between election cycles; pick changes up without a redeploy
+ruleEngine.watch(fastify.log);
+fastify.decorate("rules", ruleEngine);
+shuraPowers.watch(fastify.log);
+fastify.decorate("powers", shuraPowers);
+promptRegistry.watch(fastify.log);
+fastify.decorate("prompts", promptRegistry);
+if (process.env.ANALYSIS_PIPELINE === "staged") {
+  fastify.log.warn(`Staged pipeline: verdicts use the built-in stage prompts (${STAGED_PROMPT_VERSION}); registry versions and shadow runs apply to the single-pass pipeline only`);
+}
+
+fastify.register(multipart, {
+  limits: {
+    fileSize: Number(process.env.MAX_UPLOAD_BYTES || 20 * 1024 * 1024),
+    files: Number(process.env.MAX_UPLOAD_FILES || 10),
+  },
+});
 
 fastify.register(fastifyStatic, {
   root: path.join(__dirname, "../public"),
   prefix: "/", // Serves index.html at the root URL
 });
 
-fastify.post("/api/validate", async (request, reply) => {
-  const file = await request.file();
-  const buffer = await file.toBuffer();
+fastify.post("/api/validate", { preHandler: auth.authorize("submit") }, async (request, reply) => {
+  // One or more images and/or PDFs make up a single submission
+  const files = [];
+  for await (const file of request.files()) {
+    files.push({ buffer: await file.toBuffer(), filename: file.filename, mimeType: file.mimetype });
+  }
+  if (files.length === 0) return reply.code(400).send({ error: "No file uploaded" });
 
-  // Vision LLM handles both OCR and compliance validation
-  const result = await validatePoster(buffer);
+  // Verdict text language: ?lang=ar|en, else Accept-Language
+  const language = resolveLanguage(request.query.lang, request.headers["accept-language"]);
 
-  return reply.send(result);
+  // A candidate's username is checked against the registry's accounts; officers upload on behalf of candidates
+  const { user } = request;
+  const account = user.role === "candidate" ? user.username : null;
+
+  const submission = { files, account, submittedBy: user.username, language };
+
+  // ?async=true (or "Prefer: respond-async"): answer with a job id right away instead of
+  // holding the request open for the model call
+  if (request.query.async === "true" || /respond-async/.test(request.headers.prefer || "")) {
+    const job = jobs.enqueue(submission, { owner: user.username });
+    return reply.code(202).send({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`,
+    });
+  }
+
+  // A check that could not be completed is a service failure, not a verdict
+  const response = await pipeline.run(submission);
+  return reply.code(response.status === "error" ? 503 : 200).send(response);
 });
 
+fastify.register(authRoutes);
+fastify.register(submissionsRoutes);
+fastify.register(reviewsRoutes);
+fastify.register(rulesRoutes);
+fastify.register(messagesRoutes);
+fastify.register(candidatesRoutes);
+fastify.register(jobsRoutes);
+fastify.register(batchesRoutes);
+fastify.register(auditRoutes);
+fastify.register(promptsRoutes);
+
 fastify.listen({ port: process.env.PORT || 3000, host: "0.0.0.0" });
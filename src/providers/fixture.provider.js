@@ -0,0 +1,39 @@
+import { createHash } from "crypto";
+import { existsSync } from "fs";
+import { readFile } from "fs/promises";
+import path from "path";
+
+/**
+ * Deterministic offline backend that replays recorded model responses.
+ *
+ * Looks up `<dir>/<sha256 of image>.json`, falling back to `<dir>/default.json`.
+ * A fixture is either the raw model JSON or `{ "modelVersion": ..., "response": {...} }`.
+ * Requests made for one stage of the staged pipeline (or the landmark follow-up)
+ * are answered from `stages[<stage>]` when the fixture has it.
+ */
+export class FixtureProvider {
+
+  constructor({ dir, model = "fixture-replay" }) {
+    this.name = "fixture";
+    this.model = model;
+    this.dir = dir;
+  }
+
+  async analyze({ image, stage }) {
+    const hash = createHash("sha256").update(Buffer.from(image.base64, "base64")).digest("hex");
+
+    const candidates = [path.join(this.dir, `${hash}.json`), path.join(this.dir, "default.json")];
+    const file = candidates.find(candidate => existsSync(candidate));
+    if (!file) {
+      throw new Error(`No fixture recorded for image ${hash} in ${this.dir}`);
+    }
+
+    const fixture = JSON.parse(await readFile(file, "utf8"));
+    const response = (stage && fixture.stages?.[stage]) ?? fixture.response ?? fixture;
+
+    return {
+      content: typeof response === "string" ? response : JSON.stringify(response),
+      modelVersion: fixture.modelVersion || this.model,
+    };
+  }
+}
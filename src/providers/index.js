@@ -0,0 +1,126 @@
+import { createHash } from "crypto";
+import { mkdir, readFile, writeFile } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { OpenAIProvider } from "./openai.provider.js";
+import { OllamaProvider } from "./ollama.provider.js";
+import { FixtureProvider } from "./fixture.provider.js";
+import { CircuitBreaker, withResilience } from "./resilience.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Build a vision provider from config (defaults come from the environment):
+ *
+ * - VISION_PROVIDER: "openai" (default) | "ollama" | "fixture"
+ * - VISION_MODEL: model name (default "qwen3-vl-plus", "qwen2.5vl" for ollama)
+ * - DASHSCOPE_API_KEY / DASHSCOPE_BASE_URL: OpenAI-compatible endpoint
+ * - OLLAMA_HOST: Ollama server (default http://127.0.0.1:11434)
+ * - VISION_FIXTURES_DIR: recorded responses for the fixture backend
+ * - VISION_RECORD_DIR: when set, every live response is saved as a fixture
+ * - VISION_TIMEOUT_MS: per-call timeout (default 90s)
+ * - VISION_RETRIES / VISION_RETRY_DELAY_MS: backoff for timeouts, 429s, 5xx and dropped connections
+ * - VISION_BREAKER_THRESHOLD / VISION_BREAKER_RESET_MS: consecutive failures that open the
+ *   circuit, and how long it stays open
+ *
+ * Requests may carry a `stage` name (staged pipeline, landmark follow-up) for
+ * recording and replay.
+ */
+export function createProvider(config = {}) {
+  const env = process.env;
+  const type = config.provider || env.VISION_PROVIDER || "openai";
+  let provider;
+
+  switch (type) {
+    case "openai":
+      provider = new OpenAIProvider({
+        apiKey: config.apiKey || env.DASHSCOPE_API_KEY,
+        baseURL: config.baseURL || env.DASHSCOPE_BASE_URL,
+        model: config.model || env.VISION_MODEL || "qwen3-vl-plus",
+      });
+      break;
+
+    case "ollama":
+      provider = new OllamaProvider({
+        host: config.host || env.OLLAMA_HOST || "http://127.0.0.1:11434",
+        model: config.model || env.VISION_MODEL || "qwen2.5vl",
+      });
+      break;
+
+    case "fixture":
+      provider = new FixtureProvider({
+        dir: config.fixturesDir || env.VISION_FIXTURES_DIR || path.join(__dirname, "../../fixtures/responses"),
+        model: config.model,
+      });
+      break;
+
+    default:
+      throw new Error(`Unknown vision provider: ${type}`);
+  }
+
+  if (type === "fixture") return provider;
+
+  provider = withResilience(provider, {
+    timeoutMs: Number(config.timeoutMs ?? env.VISION_TIMEOUT_MS ?? 90000),
+    retries: Number(config.retries ?? env.VISION_RETRIES ?? 3),
+    baseDelayMs: Number(config.retryDelayMs ?? env.VISION_RETRY_DELAY_MS ?? 1000),
+    breaker: new CircuitBreaker({
+      threshold: Number(config.breakerThreshold ?? env.VISION_BREAKER_THRESHOLD ?? 5),
+      resetMs: Number(config.breakerResetMs ?? env.VISION_BREAKER_RESET_MS ?? 30000),
+    }),
+  });
+
+  const recordDir = config.recordDir ?? env.VISION_RECORD_DIR;
+  return recordDir ? withRecording(provider, recordDir) : provider;
+}
+
+/**
+ * Save every response in the fixture format so it can be replayed offline.
+ * Stage answers are added to the image's fixture under `stages`.
+ */
+function withRecording(provider, dir) {
+  const analyze = provider.analyze.bind(provider);
+  // Stage requests for one image run side by side; write its fixture one at a time
+  let writing = Promise.resolve();
+
+  const save = async (file, stage, fixture) => {
+    if (stage) {
+      const existing = await readFile(file, "utf8").then(JSON.parse, () => ({}));
+      fixture = { ...existing, ...fixture, response: existing.response, stages: { ...existing.stages, [stage]: fixture.response } };
+    }
+
+    await mkdir(dir, { recursive: true });
+    await writeFile(file, JSON.stringify(fixture, null, 2));
+  };
+
+  provider.analyze = async (request) => {
+    const output = await analyze(request);
+
+    const hash = createHash("sha256").update(Buffer.from(request.image.base64, "base64")).digest("hex");
+    let response;
+    try {
+      response = JSON.parse(output.content);
+    } catch {
+      response = output.content;
+    }
+
+    const fixture = { provider: provider.name, modelVersion: output.modelVersion, response };
+    const saved = writing.then(() => save(path.join(dir, `${hash}.json`), request.stage, fixture));
+    writing = saved.catch(() => {});
+    await saved;
+
+    return output;
+  };
+
+  return provider;
+}
+
+let defaultProvider = null;
+
+/**
+ * Provider shared by the service when none is injected (created on first use)
+ */
+export function getDefaultProvider() {
+  if (!defaultProvider) defaultProvider = createProvider();
+  return defaultProvider;
+}
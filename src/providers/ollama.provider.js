@@ -0,0 +1,44 @@
+/**
+ * Local Ollama (or any server speaking the Ollama /api/chat protocol)
+ */
+export class OllamaProvider {
+
+  constructor({ host, model }) {
+    this.name = "ollama";
+    this.model = model;
+    this.host = host.replace(/\/$/, "");
+  }
+
+  async analyze({ systemPrompt, userText, image, signal, temperature = 0.1 }) {
+    const response = await fetch(`${this.host}/api/chat`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      signal,
+      body: JSON.stringify({
+        model: this.model,
+        stream: false,
+        format: "json",
+        messages: [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: userText, images: [image.base64] },
+        ],
+        options: {
+          temperature,
+          top_p: 0.95,
+          num_predict: 4096,
+        },
+      }),
+    });
+
+    if (!response.ok) {
+      throw Object.assign(new Error(`Ollama request failed: ${response.status} ${await response.text()}`), { status: response.status });
+    }
+
+    const data = await response.json();
+
+    return {
+      content: data.message.content,
+      modelVersion: data.model || this.model,
+    };
+  }
+}
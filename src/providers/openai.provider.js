@@ -0,0 +1,52 @@
+import { OpenAI } from "openai";
+
+/**
+ * OpenAI-compatible chat completions backend (DashScope, OpenAI, vLLM, ...)
+ */
+export class OpenAIProvider {
+
+  constructor({ apiKey, baseURL, model }) {
+    this.name = "openai";
+    this.model = model;
+    // Timeouts and retries are handled by the resilience wrapper
+    this.client = new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+  }
+
+  async analyze({ systemPrompt, userText, image, signal, temperature = 0.1 }) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [
+        {
+          // System role contains all instructions
+          role: "system",
+          content: systemPrompt
+        },
+        {
+          // User role is simple and direct
+          role: "user",
+          content: [
+            {
+              type: "text",
+              text: userText,
+            },
+            {
+              type: "image_url",
+              image_url: {
+                url: `data:${image.mimeType};base64,${image.base64}`
+              },
+            },
+          ],
+        },
+      ],
+      response_format: { type: "json_object" },
+      temperature,       // Low by default for stricter adherence
+      max_tokens: 4096,
+      top_p: 0.95,       // Slightly reduce randomness
+    }, { signal });
+
+    return {
+      content: response.choices[0].message.content,
+      modelVersion: response.model || this.model,
+    };
+  }
+}
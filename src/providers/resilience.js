@@ -0,0 +1,158 @@
+// Connection-level failures worth another attempt (Node, undici and the OpenAI SDK)
+const NETWORK_ERRORS = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN", "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT"];
+
+export class ProviderTimeoutError extends Error {
+  constructor(provider, timeoutMs) {
+    super(`${provider} did not respond within ${timeoutMs}ms`);
+    this.name = "ProviderTimeoutError";
+    this.statusCode = 504;
+  }
+}
+
+export class CircuitOpenError extends Error {
+  constructor(provider, retryAfterMs) {
+    super(`${provider} is unavailable after repeated failures; retry in ${Math.ceil(retryAfterMs / 1000)}s`);
+    this.name = "CircuitOpenError";
+    this.statusCode = 503;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Failures that may succeed on a later attempt: timeouts, rate limits,
+ * server errors and dropped connections (not bad requests or bad credentials)
+ */
+export function isTransientError(error) {
+  if (error instanceof ProviderTimeoutError || error instanceof CircuitOpenError) return true;
+  if (error.status !== undefined) return error.status === 429 || error.status >= 500;
+
+  return error.name === "APIConnectionError"
+    || error.name === "APIConnectionTimeoutError"
+    || error.message === "fetch failed"
+    || NETWORK_ERRORS.includes(error.code ?? error.cause?.code);
+}
+
+/**
+ * Stops calling a failing backend for a while instead of queueing up timeouts.
+ *
+ * closed: calls go through; `threshold` consecutive transient failures open it
+ * open: calls fail fast with CircuitOpenError until `resetMs` has passed
+ * half_open: one trial call; success closes the circuit, failure re-opens it
+ */
+export class CircuitBreaker {
+
+  constructor({ threshold = 5, resetMs = 30000, now = Date.now } = {}) {
+    this.threshold = threshold;
+    this.resetMs = resetMs;
+    this.now = now;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Throws CircuitOpenError when the call must not go through
+   */
+  before(provider) {
+    if (this.state === "open") {
+      const remaining = this.openedAt + this.resetMs - this.now();
+      if (remaining > 0) throw new CircuitOpenError(provider, remaining);
+      this.state = "half_open";
+    }
+
+    if (this.state === "half_open") {
+      if (this.trialInFlight) throw new CircuitOpenError(provider, this.resetMs);
+      this.trialInFlight = true;
+    }
+  }
+
+  success() {
+    this.state = "closed";
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  failure() {
+    this.trialInFlight = false;
+    this.failures++;
+
+    if (this.state === "half_open" || this.failures >= this.threshold) {
+      this.state = "open";
+      this.openedAt = this.now();
+    }
+  }
+
+  describe() {
+    return { state: this.state, failures: this.failures, openedAt: this.openedAt && new Date(this.openedAt).toISOString() };
+  }
+}
+
+/**
+ * Wrap a provider with a per-call timeout, retries with exponential backoff for
+ * transient failures (honoring Retry-After), and a circuit breaker.
+ *
+ * Rate-limit pauses are shared by every call through this provider, so
+ * concurrent workers back off together instead of hammering the API in turn.
+ */
+export function withResilience(provider, {
+  timeoutMs = 90000,
+  retries = 3,
+  baseDelayMs = 1000,
+  breaker = new CircuitBreaker(),
+} = {}) {
+  const analyze = provider.analyze.bind(provider);
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+  let pausedUntil = 0;
+
+  const attempt = async (request) => {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new ProviderTimeoutError(provider.name, timeoutMs));
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([analyze({ ...request, signal: controller.signal }), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  provider.analyze = async (request) => {
+    for (let retry = 0; ; retry++) {
+      const wait = pausedUntil - Date.now();
+      if (wait > 0) await sleep(wait);
+
+      breaker.before(provider.name);
+
+      try {
+        const output = await attempt(request);
+        breaker.success();
+        return output;
+      } catch (error) {
+        if (!isTransientError(error)) {
+          // The backend answered; the request itself was bad
+          breaker.success();
+          throw error;
+        }
+
+        breaker.failure();
+        if (retry >= retries || breaker.state === "open") throw error;
+
+        const retryAfter = Number(error.headers?.["retry-after"]) * 1000;
+        const delay = retryAfter > 0 ? retryAfter : baseDelayMs * 2 ** retry;
+        if (error.status === 429) pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+
+        console.warn(`${provider.name} call failed (${error.message}), retrying in ${delay}ms (${retry + 1} of ${retries})`);
+        await sleep(delay);
+      }
+    }
+  };
+
+  provider.circuit = breaker;
+  return provider;
+}
@@ -0,0 +1,33 @@
+/**
+ * Audit log export and verification, and the audit history of one submission
+ */
+export default async function auditRoutes(fastify) {
+  const audit = fastify.audit;
+  const { auth } = fastify;
+
+  /**
+   * The log as JSON Lines. Unfiltered, the export can be checked on its own with
+   * `npm run audit -- verify --file <export>`; a filtered one is for reading only.
+   */
+  fastify.get("/api/admin/audit", { preHandler: auth.authorize("admin") }, async (request, reply) => {
+    const { submissionId, type, from, to } = request.query;
+    const entries = await audit.list({ submissionId, type, from, to });
+
+    return reply
+      .type("application/x-ndjson; charset=utf-8")
+      .header("Content-Disposition", `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.jsonl"`)
+      .send(entries.map(entry => `${JSON.stringify(entry)}\n`).join(""));
+  });
+
+  fastify.get("/api/admin/audit/verify", { preHandler: auth.authorize("admin") }, async (request, reply) => {
+    const report = await audit.verify({ head: request.query.head || null });
+    return reply.code(report.valid ? 200 : 409).send(report);
+  });
+
+  fastify.get("/api/submissions/:id/audit", { preHandler: auth.authorize("review") }, async (request, reply) => {
+    const entries = await audit.list({ submissionId: request.params.id });
+    if (entries.length === 0) return reply.code(404).send({ error: "No audit entries for this submission" });
+
+    return { submissionId: request.params.id, entries };
+  });
+}
@@ -0,0 +1,57 @@
+import { ROLE_PERMISSIONS, SESSION_COOKIE, sessionToken } from "../services/auth.service.js";
+
+/**
+ * Sign-in, sign-out and the admin's account management
+ */
+export default async function authRoutes(fastify) {
+  const auth = fastify.auth;
+  const users = fastify.users;
+
+  const cookie = (request, token, maxAge) => [
+    `${SESSION_COOKIE}=${token}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Strict",
+    `Max-Age=${maxAge}`,
+    request.protocol === "https" ? "Secure" : null,
+  ].filter(Boolean).join("; ");
+
+  fastify.post("/api/auth/login", async (request, reply) => {
+    const { username, password } = request.body || {};
+    const session = await auth.login(username, password);
+
+    // The browser UI uses the cookie; API clients send the token as a Bearer header
+    return reply
+      .header("Set-Cookie", cookie(request, session.token, Math.floor(auth.ttlMs / 1000)))
+      .send({ ...session, permissions: ROLE_PERMISSIONS[session.user.role] });
+  });
+
+  fastify.post("/api/auth/logout", async (request, reply) => {
+    const token = sessionToken(request);
+    if (token) auth.logout(token);
+
+    return reply.header("Set-Cookie", cookie(request, "", 0)).code(204).send();
+  });
+
+  fastify.get("/api/auth/me", { preHandler: auth.authorize() }, async (request) => {
+    return { user: request.user, permissions: ROLE_PERMISSIONS[request.user.role] };
+  });
+
+  fastify.get("/api/admin/users", { preHandler: auth.authorize("admin") }, async () => {
+    return { users: await users.list() };
+  });
+
+  fastify.post("/api/admin/users", { preHandler: auth.authorize("admin") }, async (request, reply) => {
+    const { username, password, role, name } = request.body || {};
+    return reply.code(201).send(await users.create({ username, password, role, name }));
+  });
+
+  fastify.patch("/api/admin/users/:id", { preHandler: auth.authorize("admin") }, async (request) => {
+    const { role, name, password, disabled } = request.body || {};
+    const user = await users.update(request.params.id, { role, name, password, disabled });
+
+    // A new password or a disabled account ends the sessions opened before
+    if (password !== undefined || user.disabled) auth.revoke(user.id);
+    return user;
+  });
+}
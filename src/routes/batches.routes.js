@@ -0,0 +1,64 @@
+import { BatchError, MAX_BATCH_FILES, MAX_UNZIPPED_BYTES, extractBatchFiles, toCsvReport } from "../services/batch.service.js";
+import { resolveLanguage } from "../services/messages.js";
+
+/**
+ * Batch validation: many posters (or ZIP archives of posters) in one upload,
+ * processed in the background with a CSV report for committee review sessions
+ */
+export default async function batchesRoutes(fastify) {
+  const batches = fastify.batches;
+  const jobs = fastify.jobs;
+  const batchUsers = { preHandler: fastify.auth.authorize("batch") };
+
+  fastify.post("/api/batches", batchUsers, async (request, reply) => {
+    const uploads = [];
+    let received = 0;
+    const parts = request.files({
+      limits: {
+        files: MAX_BATCH_FILES,
+        fileSize: Number(process.env.MAX_BATCH_UPLOAD_BYTES || 200 * 1024 * 1024),
+      },
+    });
+    for await (const file of parts) {
+      const buffer = await file.toBuffer();
+      // Archives only grow when unpacked, so stop reading once the raw upload is already too big
+      received += buffer.length;
+      if (received > MAX_UNZIPPED_BYTES) {
+        throw new BatchError(`The batch is larger than ${MAX_UNZIPPED_BYTES} bytes`, 413);
+      }
+      uploads.push({ buffer, filename: file.filename, mimeType: file.mimetype });
+    }
+    if (uploads.length === 0) return reply.code(400).send({ error: "No file uploaded" });
+
+    const files = extractBatchFiles(uploads);
+    const language = resolveLanguage(request.query.lang, request.headers["accept-language"]);
+    const batch = await batches.create(files, { submittedBy: request.user.username, language });
+    const job = jobs.enqueue({ batchId: batch.id, files }, { type: "batch", owner: request.user.username });
+
+    return reply.code(202).send({
+      batchId: batch.id,
+      jobId: job.id,
+      files: files.length,
+      statusUrl: `/api/batches/${batch.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`,
+      reportUrl: `/api/batches/${batch.id}/report.csv`,
+    });
+  });
+
+  fastify.get("/api/batches/:id", batchUsers, async (request, reply) => {
+    const batch = await batches.get(request.params.id);
+    if (!batch) return reply.code(404).send({ error: "Batch not found" });
+
+    return batch;
+  });
+
+  fastify.get("/api/batches/:id/report.csv", batchUsers, async (request, reply) => {
+    const batch = await batches.get(request.params.id);
+    if (!batch) return reply.code(404).send({ error: "Batch not found" });
+
+    return reply
+      .type("text/csv; charset=utf-8")
+      .header("Content-Disposition", `attachment; filename="batch-${batch.id}.csv"`)
+      .send(toCsvReport(batch));
+  });
+}
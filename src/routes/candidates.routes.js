@@ -0,0 +1,30 @@
+/**
+ * Admin access to the candidate registry
+ */
+export default async function candidatesRoutes(fastify) {
+  const registry = fastify.candidates;
+
+  // Every route in this plugin is for administrators
+  fastify.addHook("preHandler", fastify.auth.authorize("admin"));
+
+  // The elections office exports the registry as CSV; accept it as the raw body
+  fastify.addContentTypeParser("text/csv", { parseAs: "string" }, (request, body, done) => done(null, body));
+
+  fastify.get("/api/admin/candidates", async () => {
+    const candidates = await registry.list();
+    return { importedAt: registry.importedAt, total: candidates.length, candidates };
+  });
+
+  fastify.post("/api/admin/candidates/import", async (request, reply) => {
+    if (typeof request.body !== "string" || !request.body.trim()) {
+      return reply.code(400).send({ error: "Send the registry as a text/csv body" });
+    }
+
+    return registry.importCsv(request.body, { merge: request.query.mode === "merge" });
+  });
+
+  fastify.get("/api/admin/candidates/match", async (request) => {
+    const matches = await registry.match(request.query.name);
+    return { name: request.query.name || null, matches };
+  });
+}
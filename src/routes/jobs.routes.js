@@ -0,0 +1,88 @@
+import { canView } from "../services/auth.service.js";
+
+/**
+ * Status of asynchronous validation jobs: polling and Server-Sent Events
+ */
+export default async function jobsRoutes(fastify) {
+  const jobs = fastify.jobs;
+  const { auth } = fastify;
+
+  // Uploaders follow their own jobs; someone else's job is reported as missing
+  const findVisible = request => {
+    const job = jobs.get(request.params.id);
+    return job && canView(request.user, job.owner) ? job : null;
+  };
+
+  const view = job => ({ ...job, position: jobs.position(job.id) });
+
+  // Open event streams by job id, fed by a single queue listener however many are open
+  const subscribers = new Map();
+
+  const dispatch = update => {
+    for (const send of [...(subscribers.get(update.id) || [])]) send(update);
+  };
+  jobs.on("update", dispatch);
+  fastify.addHook("onClose", async () => jobs.off("update", dispatch));
+
+  const subscribe = (id, send) => {
+    if (!subscribers.has(id)) subscribers.set(id, new Set());
+    subscribers.get(id).add(send);
+
+    return () => {
+      subscribers.get(id)?.delete(send);
+      if (subscribers.get(id)?.size === 0) subscribers.delete(id);
+    };
+  };
+
+  fastify.get("/api/jobs", { preHandler: auth.authorize("view-all") }, async () => jobs.stats());
+
+  fastify.get("/api/jobs/:id", { preHandler: auth.authorize() }, async (request, reply) => {
+    const job = findVisible(request);
+    if (!job) return reply.code(404).send({ error: "Job not found" });
+
+    return view(job);
+  });
+
+  /**
+   * Stream job updates: a "progress" event per state change, then one
+   * "completed" or "failed" event carrying the final job, then the stream closes
+   */
+  fastify.get("/api/jobs/:id/events", { preHandler: auth.authorize() }, async (request, reply) => {
+    const job = findVisible(request);
+    if (!job) return reply.code(404).send({ error: "Job not found" });
+
+    reply.hijack();
+    const stream = reply.raw;
+    stream.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+      // Stop proxies from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+
+    const send = update => {
+      const event = jobs.isFinished(update) ? update.status : "progress";
+      stream.write(`event: ${event}\ndata: ${JSON.stringify(view(update))}\n\n`);
+      if (event !== "progress") close();
+    };
+
+    // Comment lines keep idle connections open behind proxies
+    const heartbeat = setInterval(() => stream.write(": keep-alive\n\n"), 15000);
+    const unsubscribe = subscribe(job.id, send);
+
+    // Runs once, whether the job finished, the client left or the socket broke
+    let closed = false;
+    function close() {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      stream.end();
+    }
+
+    request.raw.on("close", close);
+    stream.on("error", close);
+    send(job);
+  });
+}
@@ -0,0 +1,17 @@
+import { LANGUAGES, RULE_TITLES, resolveLanguage, textDirection, translate } from "../services/messages.js";
+
+/**
+ * Localized labels for clients rendering verdicts
+ */
+export default async function messagesRoutes(fastify) {
+  fastify.get("/api/messages", async (request) => {
+    const language = resolveLanguage(request.query.lang, request.headers["accept-language"]);
+
+    return {
+      language,
+      direction: textDirection(language),
+      languages: LANGUAGES,
+      rules: Object.fromEntries(Object.entries(RULE_TITLES).map(([rule, title]) => [rule, translate(title, language)])),
+    };
+  });
+}
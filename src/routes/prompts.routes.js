@@ -0,0 +1,81 @@
+/**
+ * Admin access to the validation prompt versions and the shadow comparisons
+ */
+export default async function promptsRoutes(fastify) {
+  const prompts = fastify.prompts;
+  const shadows = fastify.shadows;
+  const audit = fastify.audit;
+
+  // Every route in this plugin is for administrators
+  fastify.addHook("preHandler", fastify.auth.authorize("admin"));
+
+  // Switching prompts changes verdicts: log who did it, like a review decision
+  const logChange = (request, action, version, previous) =>
+    audit.append("prompt", { action, version, previous, actor: request.user.username });
+
+  fastify.get("/api/admin/prompts", async () => {
+    return { ...prompts.describe(), shadowStats: await shadows.stats() };
+  });
+
+  fastify.get("/api/admin/prompts/:id", async (request, reply) => {
+    const version = prompts.get(request.params.id);
+    if (!version) return reply.code(404).send({ error: "Prompt version not found" });
+
+    return version;
+  });
+
+  // Register a new version (inactive until activated or shadowed)
+  fastify.post("/api/admin/prompts", async (request, reply) => {
+    const { id, name, description, text } = request.body || {};
+    const version = await prompts.register({ id, name, description, text });
+    await logChange(request, "register", version.id, null);
+
+    return reply.code(201).send(version);
+  });
+
+  fastify.post("/api/admin/prompts/:id/activate", async (request) => {
+    const previous = prompts.activeId;
+    const registry = await prompts.activate(request.params.id);
+    await logChange(request, "activate", registry.active, previous);
+
+    return registry;
+  });
+
+  fastify.post("/api/admin/prompts/:id/shadow", async (request) => {
+    const previous = prompts.shadowId;
+    const registry = await prompts.setShadow(request.params.id);
+    await logChange(request, "shadow", registry.shadow, previous);
+
+    return registry;
+  });
+
+  fastify.delete("/api/admin/prompts/shadow", async (request) => {
+    const previous = prompts.shadowId;
+    const registry = await prompts.setShadow(null);
+    await logChange(request, "shadow", null, previous);
+
+    return registry;
+  });
+
+  // Posters where the shadow version's verdict differed (?all=true includes agreements)
+  fastify.get("/api/admin/prompts/shadow/comparisons", async (request) => {
+    const { version, all, limit, offset } = request.query;
+
+    return shadows.list({
+      version,
+      all: all === "true",
+      limit: limit ? Number(limit) : undefined,
+      offset: offset ? Number(offset) : undefined,
+    });
+  });
+
+  fastify.post("/api/admin/prompts/reload", async (request, reply) => {
+    try {
+      prompts.load();
+    } catch (error) {
+      return reply.code(422).send({ error: `Prompt registry is invalid: ${error.message}` });
+    }
+
+    return prompts.describe();
+  });
+}
@@ -0,0 +1,42 @@
+import { ReviewError } from "../services/review.service.js";
+
+/**
+ * Officer decisions, candidate appeals and override reporting
+ */
+export default async function reviewsRoutes(fastify) {
+  const reviews = fastify.reviews;
+  const { auth } = fastify;
+
+  // Decisions and appeals are recorded under the signed-in user, never a name from the body
+  fastify.post("/api/submissions/:id/review", { preHandler: auth.authorize("review") }, async (request) => {
+    const { status, reason, overriddenRules } = request.body || {};
+
+    const record = await reviews.decide(request.params.id, {
+      status,
+      reason,
+      officer: request.user.username,
+      overriddenRules: overriddenRules || [],
+    });
+
+    return record.review;
+  });
+
+  fastify.post("/api/submissions/:id/appeal", { preHandler: auth.authorize("appeal") }, async (request) => {
+    const { reason } = request.body || {};
+
+    // Candidates appeal only their own submissions
+    const submission = await fastify.submissions.get(request.params.id);
+    if (submission?.submittedBy !== request.user.username) throw new ReviewError("Submission not found", 404);
+
+    const record = await reviews.appeal(request.params.id, { reason, submittedBy: request.user.username });
+    return record.review;
+  });
+
+  fastify.get("/api/overrides", { preHandler: auth.authorize("review") }, async (request) => {
+    return reviews.listOverrides({ rule: request.query.rule });
+  });
+
+  fastify.get("/api/overrides/stats", { preHandler: auth.authorize("review") }, async () => {
+    return reviews.overrideStats();
+  });
+}
@@ -0,0 +1,80 @@
+/**
+ * Admin access to the deterministic rules file and the Shura powers lexicon
+ */
+export default async function rulesRoutes(fastify) {
+  const rules = fastify.rules;
+  const powers = fastify.powers;
+
+  // Every route in this plugin is for administrators
+  fastify.addHook("preHandler", fastify.auth.authorize("admin"));
+
+  fastify.get("/api/admin/rules", async () => {
+    return rules.describe();
+  });
+
+  fastify.post("/api/admin/rules/reload", async (request, reply) => {
+    try {
+      rules.load();
+    } catch (error) {
+      return reply.code(422).send({ error: `Rules file is invalid: ${error.message}` });
+    }
+
+    return { version: rules.version, count: rules.rules.length, loadedAt: rules.loadedAt };
+  });
+
+  // Dry-run the loaded rules against sample text without touching any submission
+  fastify.post("/api/admin/rules/test", async (request, reply) => {
+    const { text, ruleId, fields = {} } = request.body || {};
+    if (!text && Object.keys(fields).length === 0) {
+      return reply.code(400).send({ error: "Provide sample text or fields" });
+    }
+
+    const sample = {
+      rawText: text || "",
+      objectives: text ? text.split("\n").filter(Boolean) : [],
+      candidateName: text || "",
+      details: text || "",
+      ...fields,
+    };
+
+    const selected = rules.getRules().filter(rule => !ruleId || rule.id === ruleId);
+    if (ruleId && selected.length === 0) {
+      return reply.code(404).send({ error: `Unknown rule: ${ruleId}` });
+    }
+
+    return selected.map(rule => {
+      const match = rules.matchRule(rule, sample);
+      return {
+        ruleId: rule.id,
+        kind: rule.kind,
+        matched: !!match,
+        field: match?.field || null,
+        match: match?.match || null,
+      };
+    });
+  });
+
+  fastify.get("/api/admin/powers", async () => {
+    return powers.describe();
+  });
+
+  fastify.post("/api/admin/powers/reload", async (request, reply) => {
+    try {
+      powers.load();
+    } catch (error) {
+      return reply.code(422).send({ error: `Shura powers lexicon is invalid: ${error.message}` });
+    }
+
+    return { version: powers.version, count: powers.entries.length, loadedAt: powers.loadedAt };
+  });
+
+  // Classify sample objectives (one per line) with the loaded lexicon
+  fastify.post("/api/admin/powers/test", async (request, reply) => {
+    const { text, objectives = text ? text.split("\n").filter(Boolean) : [] } = request.body || {};
+    if (!Array.isArray(objectives) || objectives.length === 0) {
+      return reply.code(400).send({ error: "Provide sample text or objectives" });
+    }
+
+    return objectives.map(objective => ({ objective, ...(powers.classify(String(objective)) ?? { power: null, matches: [] }) }));
+  });
+}
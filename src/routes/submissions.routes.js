@@ -0,0 +1,111 @@
+import { SERVABLE_TYPES, summarizeSubmission } from "../services/submission.store.js";
+import { collectAnnotations, renderAnnotatedImage } from "../services/annotation.service.js";
+import { expandUploads } from "../services/document.service.js";
+import { localizeResult, resolveLanguage } from "../services/messages.js";
+import { can, canView } from "../services/auth.service.js";
+import { REVIEW_TRANSITIONS } from "../services/review.service.js";
+import { detectMimeType } from "../services/image.preprocess.js";
+
+const dateOrDateTime = { anyOf: [{ type: "string", format: "date" }, { type: "string", format: "date-time" }] };
+
+const listQuery = {
+  type: "object",
+  properties: {
+    isCompliant: { type: "boolean" },
+    outcome: { type: "string", enum: ["compliant", "non_compliant", "error"] },
+    escalated: { type: "boolean" },
+    rule: { type: "string" },
+    wilaya: { type: "string" },
+    status: { type: "string", enum: Object.keys(REVIEW_TRANSITIONS) },
+    from: dateOrDateTime,
+    to: dateOrDateTime,
+    limit: { type: "integer", minimum: 1, maximum: 500 },
+    offset: { type: "integer", minimum: 0 },
+  },
+};
+
+/**
+ * Read-only access to stored submissions: reviewers see all of them, candidates their own
+ */
+export default async function submissionsRoutes(fastify) {
+  const store = fastify.submissions;
+  const signedIn = { preHandler: fastify.auth.authorize() };
+
+  // Someone else's submission is reported as missing, not forbidden
+  const findVisible = async request => {
+    const record = await store.get(request.params.id);
+    return record && canView(request.user, record.submittedBy) ? record : null;
+  };
+
+  fastify.get("/api/submissions", { ...signedIn, schema: { querystring: listQuery } }, async (request) => {
+    const { isCompliant, outcome, escalated, rule, wilaya, status, from, to, limit, offset } = request.query;
+
+    const { total, items } = await store.list({
+      submittedBy: can(request.user, "view-all") ? undefined : request.user.username,
+      isCompliant,
+      outcome,
+      escalated,
+      rule,
+      wilaya,
+      status,
+      from,
+      to,
+      limit,
+      offset,
+    });
+
+    return { total, items: items.map(summarizeSubmission) };
+  });
+
+  fastify.get("/api/submissions/:id", signedIn, async (request, reply) => {
+    const record = await findVisible(request);
+    if (!record) return reply.code(404).send({ error: "Submission not found" });
+
+    // Stored verdicts are bilingual; ?lang= presents one language
+    if (request.query.lang) {
+      return { ...record, result: localizeResult(record.result, resolveLanguage(request.query.lang)) };
+    }
+
+    return record;
+  });
+
+  fastify.get("/api/submissions/:id/image", signedIn, async (request, reply) => {
+    const record = await findVisible(request);
+    if (!record) return reply.code(404).send({ error: "Submission not found" });
+
+    const image = await store.readImage(record, Number(request.query.index || 0));
+    if (!image) return reply.code(404).send({ error: "File not found" });
+
+    // Served by what the bytes are (records from before detection kept the declared type),
+    // and only as an image or PDF, so an upload can never run as a page in an officer's browser
+    const mimeType = detectMimeType(image.buffer);
+    if (!SERVABLE_TYPES.includes(mimeType)) return reply.code(415).send({ error: "Stored file is not an image or PDF" });
+
+    const filename = (image.filename || image.file).split("/").pop();
+    return reply
+      .type(mimeType)
+      .header("X-Content-Type-Options", "nosniff")
+      .header("Content-Disposition", `inline; filename="${filename.replace(/[^\x20-\x7e]|["\\]/g, "_")}"; filename*=UTF-8''${encodeURIComponent(filename)}`)
+      .send(image.buffer);
+  });
+
+  /**
+   * The poster (or one page of a multi-page submission) with violations boxed and labeled
+   */
+  fastify.get("/api/submissions/:id/annotated", signedIn, async (request, reply) => {
+    const record = await findVisible(request);
+    if (!record) return reply.code(404).send({ error: "Submission not found" });
+
+    const pageNumber = Number(request.query.page || 1);
+    const files = await Promise.all((record.files || [record.image]).map((_, index) => store.readImage(record, index)));
+    const pages = await expandUploads(files);
+
+    const page = pages[pageNumber - 1];
+    if (!page) return reply.code(404).send({ error: "Page not found" });
+
+    const result = record.result.pages ? record.result.pages[pageNumber - 1].result : record.result;
+    const image = await renderAnnotatedImage(page.buffer, collectAnnotations(result));
+
+    return reply.type("image/png").send(image);
+  });
+}
@@ -1,39 +1,184 @@
-import { OpenAI } from "openai";
-import { VALIDATION_PROMPT } from "./validationPrompt.js";
+import { createHash } from "crypto";
+import { promptRegistry } from "./prompt.registry.js";
+import { compareVerdicts } from "./prompt.shadow.js";
+import { STAGE_REQUESTS, STAGED_PROMPTS, STAGED_PROMPT_VERSION } from "./stagedPrompt.js";
+import { ANALYSIS_PIPELINES, CHECK_STAGES, mergeStages, stageInput } from "./staged.analysis.js";
+import { getRuleFields, ruleEngine } from "./rule.engine.js";
+import { getDefaultProvider } from "../providers/index.js";
+import { isTransientError } from "../providers/resilience.js";
+import { preprocessImage } from "./image.preprocess.js";
+import { normalizeBoundingBox } from "./annotation.service.js";
+import { DEFAULT_LANGUAGE, ERROR_MESSAGES, LANGUAGES, REJECTION_MESSAGES, bilingual, rejectionMessage, translate } from "./messages.js";
+import { collectRejectionReasons, historicalKey } from "./rejection.reasons.js";
+import { wilayaKnowledge } from "./wilaya.knowledge.js";
+import { modelVerdict, quotes, shuraPowers } from "./shura.powers.js";
+import { mapConcurrent } from "./concurrency.js";
+import { ConsensusService } from "./consensus.service.js";
+import {
+  DOCUMENT_TYPES,
+  ETHICS_RULES,
+  PROHIBITED_RULES,
+  REQUIRED_ELEMENTS,
+  SCOPE_RULES,
+  validateResultSchema,
+  validateStageSchema,
+} from "./resultSchema.js";
+
+const ANALYSIS_REQUEST = "Analyze this election poster for compliance. Return the complete JSON object with _analysis_trace showing your reasoning.";
+const LANDMARK_REQUEST = `Look ONLY for the protected landmarks listed above, anywhere in this poster (including faint background watermarks).
+Return ONLY this JSON object:
+{ "found": boolean, "landmarkId": string | null, "confidence": number, "location": string, "details": string, "boundingBox": BoundingBox | null }`;
 
-const openai = new OpenAI({
-  apiKey: process.env.DASHSCOPE_API_KEY,
-  baseURL: process.env.DASHSCOPE_BASE_URL,
-});
+/**
+ * A model answer exactly as received, for the audit log
+ */
+function rawResponse(stage, attempt, systemPrompt, response) {
+  return {
+    stage: stage || "analysis",
+    attempt,
+    promptSha256: createHash("sha256").update(systemPrompt).digest("hex"),
+    modelVersion: response.modelVersion ?? null,
+    content: response.content,
+  };
+}
 
+/**
+ * Audit trail of a result: every raw model answer and every change the
+ * post-processing made to the model's verdict. Travels with the result as
+ * `_audit` until the submission pipeline moves it into the audit log.
+ */
+function auditTrail(result) {
+  if (!result._audit) result._audit = { responses: [], mutations: [] };
+  return result._audit;
+}
+
+function recordMutation(result, step, details, before) {
+  auditTrail(result).mutations.push({
+    step,
+    ...details,
+    before,
+    after: { isCompliant: result.isCompliant, overallScore: result.overallScore },
+  });
+}
+
+const verdictOf = result => ({ isCompliant: result.isCompliant, overallScore: result.overallScore });
 
 /**
  * Optimized validation service with CoT and strict schema
  */
 export class ValidationService {
 
+  constructor({
+    rules = ruleEngine,
+    provider = getDefaultProvider(),
+    prompts = promptRegistry,
+    prompt = null,
+    promptVersion = null,
+    shadowRate = Number(process.env.PROMPT_SHADOW_RATE ?? 1),
+    maxRepairAttempts = Number(process.env.SCHEMA_REPAIR_ATTEMPTS ?? 1),
+    preprocess = preprocessImage,
+    landmarks = wilayaKnowledge,
+    landmarkCheck = process.env.LANDMARK_CHECK !== "off",
+    powers = shuraPowers,
+    consensus = new ConsensusService(),
+    pipeline = process.env.ANALYSIS_PIPELINE || "single",
+  } = {}) {
+    if (!ANALYSIS_PIPELINES.includes(pipeline)) throw new Error(`Unknown analysis pipeline: ${pipeline}`);
+
+    this.rules = rules;
+    this.provider = provider;
+    this.prompts = prompts;
+    // An explicit prompt text (e.g. for evaluation) overrides the registry and disables shadow runs
+    this.prompt = prompt;
+    this.promptVersion = promptVersion;
+    this.shadowRate = shadowRate;
+    this.maxRepairAttempts = maxRepairAttempts;
+    this.preprocess = preprocess;
+    this.landmarks = landmarks;
+    this.landmarkCheck = landmarkCheck;
+    this.powers = powers;
+    this.consensus = consensus;
+    this.pipeline = pipeline;
+  }
+
   /**
    * Main validation method
    */
-  async validatePoster(imageBuffer) {
+  async validatePoster(imageBuffer, { mimeType, filename } = {}) {
     try {
-      // Single-stage AI analysis with CoT
-      const aiResult = await this.performAIAnalysis(imageBuffer);
+      // The prompt version is fixed for the whole validation, even if another is activated meanwhile
+      const prompt = this.resolvePrompt();
+
+      // Normalize the upload (real type, orientation, size) and measure its quality
+      const image = this.preprocess
+        ? await this.preprocess(imageBuffer, { filename })
+        : { buffer: imageBuffer, mimeType: mimeType || "image/jpeg" };
+
+      // Candidate prompt version, if one is in shadow mode: runs alongside, never decides
+      const shadowRun = this.startShadow(image);
+
+      // AI analysis: one pass with CoT, or OCR then focused checks (ANALYSIS_PIPELINE=staged)
+      const aiResult = await this.performAIAnalysis(image.buffer, image.mimeType, prompt);
+
+      // Second look for the protected landmarks of the wilaya named on the poster
+      await this.checkLandmarks(aiResult, image, prompt);
 
       // Post-process and validate schema
-      const validatedResult = this.validateAndEnrichResult(aiResult);
+      const validatedResult = this.validateAndEnrichResult(aiResult, { image });
+
+      // Borderline verdict: get more samples and let them vote
+      let final = validatedResult;
+      const trigger = this.consensus?.trigger(validatedResult);
+      if (trigger) {
+        // Each sample's own trail, set aside while they vote
+        const trails = new Map();
+        const samples = [];
+        const setAside = (result, provider) => {
+          trails.set(result, result._audit);
+          samples.push({ provider: provider.name, ...result._audit });
+          delete result._audit;
+          return result;
+        };
+
+        setAside(validatedResult, this.provider);
+        final = await this.consensus.run(validatedResult, this.provider, async provider =>
+          setAside(await this.sampleWith(provider, image, prompt), provider), trigger);
+
+        // The chosen verdict keeps the trail that produced it; every answer that voted, the first included, is under `samples`
+        final._audit = { ...trails.get(final), samples };
+      }
 
-      return validatedResult;
+      if (shadowRun) {
+        const shadow = await shadowRun;
+        if (shadow.status === "error") {
+          console.warn('Shadow prompt validation failed, nothing to compare:', shadow.error);
+        } else {
+          final._shadow = compareVerdicts(final, shadow);
+        }
+      }
+
+      return final;
 
     } catch (error) {
+      // A bad upload (unreadable image) is refused outright, never stored as a failed check
+      if (error.statusCode >= 400 && error.statusCode < 500) throw error;
+
       console.error('Validation error:', error);
 
+      // A failed check is not a verdict: no compliance decision and no rejection reasons,
+      // so candidates are never told a technical failure is a rule violation
       return {
-        isCompliant: false,
-        overallScore: 0,
-        summary: "Validation failed due to technical error",
-        rejectionReason: `Technical error: ${error.message}`,
+        status: "error",
+        isCompliant: null,
+        overallScore: null,
+        summary: "Validation could not be completed due to a technical error",
+        rejectionReason: null,
+        rejectionReasons: [],
+        // The cause is for operators; candidates only learn that the check failed
         error: error.message,
+        errorMessage: bilingual(ERROR_MESSAGES.TECHNICAL_ERROR),
+        retryable: isTransientError(error),
+        _audit: { responses: error.responses || [], mutations: [] },
         _analysis_trace: {
           step1_content_extraction: "Error occurred",
           step2_document_type: "Could not analyze",
@@ -44,44 +189,83 @@ export class ValidationService {
     }
   }
 
+  /**
+   * The prompt text and version for one validation: the explicit prompt, else the registry's active version
+   */
+  resolvePrompt() {
+    if (this.prompt) return { id: this.promptVersion || "custom", text: this.prompt };
+
+    const { id, text } = this.prompts.active();
+    return { id, text };
+  }
+
+  /**
+   * Start validating the image with the shadow prompt version, if one is set
+   * (single-pass pipeline only, for a PROMPT_SHADOW_RATE share of posters).
+   * Resolves to the shadow result, which is only compared, never used.
+   */
+  startShadow(image) {
+    const shadow = this.prompt ? null : this.prompts?.shadow();
+    if (!shadow || this.pipeline !== "single" || Math.random() >= this.shadowRate) return null;
+
+    return this.sampleWith(this.provider, image, { id: shadow.id, text: shadow.text });
+  }
+
+  /**
+   * One more full validation of the already preprocessed image, by another provider or with another prompt
+   */
+  sampleWith(provider, image, prompt = this.resolvePrompt()) {
+    const service = new ValidationService({
+      rules: this.rules,
+      provider,
+      prompts: this.prompts,
+      prompt: prompt.text,
+      promptVersion: prompt.id,
+      maxRepairAttempts: this.maxRepairAttempts,
+      preprocess: async () => image,
+      landmarks: this.landmarks,
+      landmarkCheck: this.landmarkCheck,
+      powers: this.powers,
+      consensus: null,
+      pipeline: this.pipeline,
+    });
+    return service.validatePoster(image.buffer, { mimeType: image.mimeType });
+  }
+
   /**
    * Perform AI analysis with optimized prompt structure
    */
-  async performAIAnalysis(imageBuffer) {
-    const base64Image = imageBuffer.toString("base64");
-
-    const response = await openai.chat.completions.create({
-      model: "qwen3-vl-plus",
-      messages: [
-        {
-          // System role contains all instructions
-          role: "system",
-          content: VALIDATION_PROMPT
-        },
-        {
-          // User role is simple and direct
-          role: "user",
-          content: [
-            {
-              type: "text",
-              text: "Analyze this election poster for compliance. Return the complete JSON object with _analysis_trace showing your reasoning.",
-            },
-            {
-              type: "image_url",
-              image_url: {
-                url: `data:image/jpeg;base64,${base64Image}`
-              },
-            },
-          ],
-        },
-      ],
-      response_format: { type: "json_object" },
-      temperature: 0.1,  // Lower for stricter adherence
-      max_tokens: 4096,
-      top_p: 0.95,       // Slightly reduce randomness
+  async performAIAnalysis(imageBuffer, mimeType = "image/jpeg", prompt = this.resolvePrompt()) {
+    const image = { base64: imageBuffer.toString("base64"), mimeType };
+    if (this.pipeline === "staged") {
+      return this.performStagedAnalysis(image);
+    }
+
+    const { result, modelVersion, repairAttempts, responses } = await this.requestJson({
+      systemPrompt: prompt.text,
+      userText: ANALYSIS_REQUEST,
+      image,
+      check: validateResultSchema,
     });
 
-    const result = JSON.parse(response.choices[0].message.content);
+    // An answer without a verdict is a failed check, not a rejection: defaulting it
+    // to non-compliant would tell the candidate they broke a rule nobody found
+    if (typeof result.isCompliant !== 'boolean') {
+      throw Object.assign(
+        new Error(`Model response has no isCompliant verdict after ${repairAttempts + 1} attempt(s)`),
+        { responses }
+      );
+    }
+
+    // Record which backend produced this verdict
+    result.metadata = {
+      provider: this.provider.name,
+      modelUsed: this.provider.model,
+      modelVersion,
+      promptVersion: prompt.id,
+      repairAttempts,
+    };
+    auditTrail(result).responses.push(...responses);
 
     // Log trace for debugging
     if (result._analysis_trace) {
@@ -91,10 +275,193 @@ export class ValidationService {
     return result;
   }
 
+  /**
+   * Two-stage analysis. Stage one only transcribes the poster and inventories
+   * what it shows; stage two runs the visual, Shura powers and language checks
+   * side by side, each with the stage one output as input. The answers are
+   * merged into the single-pass result shape.
+   */
+  async performStagedAnalysis(image) {
+    // Unlike the single pass, a stage answer cannot be patched up: an empty or
+    // partial one would merge into a clean verdict, so the check fails instead
+    const askStage = async (stage, userText) => {
+      const answer = await this.requestJson({
+        stage,
+        systemPrompt: STAGED_PROMPTS[stage],
+        userText,
+        image,
+        check: result => validateStageSchema(stage, result),
+      });
+      if (answer.errors.length > 0) {
+        throw Object.assign(
+          new Error(`Model answer to the ${stage} stage is incomplete after ${answer.repairAttempts + 1} attempt(s): ${answer.errors[0]}`),
+          { responses: answer.responses }
+        );
+      }
+      return answer;
+    };
+
+    const extraction = await askStage("extraction", STAGE_REQUESTS.extraction);
+
+    // The visual check gets the landmark list up front instead of a follow-up question
+    const wilaya = this.landmarkCheck ? this.landmarks?.detect(extraction.result.extractedText?.rawText) : null;
+    const landmarkContext = wilaya?.landmarks.length > 0 ? this.landmarks.instructionsFor(wilaya) : null;
+
+    const checks = Object.fromEntries(await Promise.all(CHECK_STAGES.map(async stage => [stage, await askStage(
+      stage,
+      `${stageInput(extraction.result, stage === "visual" ? landmarkContext : null)}\n\n${STAGE_REQUESTS[stage]}`
+    )])));
+    const stages = { extraction, ...checks };
+
+    const result = mergeStages(extraction.result, Object.fromEntries(CHECK_STAGES.map(stage => [stage, checks[stage].result])));
+    result.metadata = {
+      provider: this.provider.name,
+      modelUsed: this.provider.model,
+      modelVersion: extraction.modelVersion,
+      promptVersion: STAGED_PROMPT_VERSION,
+      repairAttempts: Object.values(stages).reduce((sum, stage) => sum + stage.repairAttempts, 0),
+      pipeline: {
+        mode: "staged",
+        stages: Object.fromEntries(Object.entries(stages).map(([stage, { modelVersion, repairAttempts }]) => [stage, { modelVersion, repairAttempts }])),
+        landmarkContext: landmarkContext ? wilaya.name : null,
+      },
+    };
+    auditTrail(result).responses.push(...Object.values(stages).flatMap(stage => stage.responses));
+
+    return result;
+  }
+
+  /**
+   * Ask the model for a JSON object. Unparseable or off-schema responses are
+   * retried with the errors fed back to the model; after the last attempt a
+   * parseable but incomplete object is returned as is, with the `errors` left.
+   * Every raw answer is returned as `responses` (and attached to the error when
+   * none was usable).
+   */
+  async requestJson({ stage, systemPrompt, userText, image, check }) {
+    let feedback = null;
+    const responses = [];
+
+    for (let attempt = 0; ; attempt++) {
+      const response = await this.provider.analyze({
+        systemPrompt,
+        userText: feedback ? `${userText}\n\n${feedback}` : userText,
+        image,
+        ...(stage && { stage }),
+      });
+      responses.push(rawResponse(stage, attempt, systemPrompt, response));
+
+      let result = null;
+      let errors;
+      try {
+        result = JSON.parse(response.content);
+        errors = check(result);
+      } catch (error) {
+        errors = [`Response is not valid JSON: ${error.message}`];
+      }
+
+      if (errors.length > 0 && attempt < this.maxRepairAttempts) {
+        console.warn(`Model response${stage ? ` (${stage} stage)` : ""} failed schema check (attempt ${attempt + 1}), retrying:`, errors);
+        feedback =
+          "Your previous response did not match the required JSON schema:\n" +
+          errors.slice(0, 20).map(error => `- ${error}`).join("\n") +
+          "\nReturn the COMPLETE corrected JSON object.";
+        continue;
+      }
+
+      if (!result) {
+        throw Object.assign(
+          new Error(`Model returned invalid JSON${stage ? ` in the ${stage} stage` : ""} after ${attempt + 1} attempt(s): ${errors[0]}`),
+          { responses }
+        );
+      }
+
+      return { result, errors, modelVersion: response.modelVersion, repairAttempts: attempt, responses };
+    }
+  }
+
+  /**
+   * Detect the wilaya from the extracted text and make sure its protected
+   * landmarks were considered. When the first pass did not flag
+   * HISTORICAL_SYMBOLS, the model is asked again with the wilaya's landmark
+   * list in its instructions. A flagged item records the suspected landmark.
+   */
+  async checkLandmarks(result, image, prompt = this.resolvePrompt()) {
+    const wilaya = this.landmarks?.detect(result.extractedText?.rawText);
+    if (!wilaya || wilaya.landmarks.length === 0) return;
+
+    const items = result.categories?.prohibitedContent?.items;
+    if (!Array.isArray(items)) return;
+
+    let item = items.find(item => item?.rule === "HISTORICAL_SYMBOLS");
+    let answer = null;
+    // The staged visual check already had the landmark list in its request
+    const asked = item?.found !== true && this.landmarkCheck && !result.metadata?.pipeline?.landmarkContext;
+
+    if (asked) {
+      answer = await this.askAboutLandmarks(image, wilaya, result, prompt);
+
+      if (answer?.found === true) {
+        const before = verdictOf(result);
+        if (!item) {
+          item = { rule: "HISTORICAL_SYMBOLS" };
+          items.push(item);
+        }
+        Object.assign(item, {
+          found: true,
+          confidence: answer.confidence,
+          location: answer.location,
+          details: answer.details,
+          boundingBox: answer.boundingBox,
+        });
+        result.categories.prohibitedContent.status = "fail";
+        result.isCompliant = false;
+        result.overallScore = 0;
+        recordMutation(result, "checkLandmarks", { rule: "HISTORICAL_SYMBOLS", details: answer.details ?? null }, before);
+      }
+    }
+
+    const landmark = item?.found === true
+      ? this.landmarks.identifyLandmark(wilaya, { landmarkId: answer?.landmarkId, details: item.details || "" })
+      : null;
+    if (landmark) {
+      item.suspectedLandmark = { id: landmark.id, name: landmark.name, nameEn: landmark.nameEn, type: landmark.type, wilaya: wilaya.name };
+      item.details = [item.details, `Suspected landmark: ${landmark.nameEn} (${landmark.name}), ولاية ${wilaya.name}`]
+        .filter(Boolean).join(". ");
+    }
+
+    result.metadata = {
+      ...result.metadata,
+      landmarkCheck: { wilaya: wilaya.name, asked, found: item?.found === true, landmark: landmark?.id || null },
+    };
+  }
+
+  /**
+   * Focused follow-up: the wilaya's landmark list in the per-request instructions.
+   * Returns the parsed answer, or null if the model's reply was unusable.
+   */
+  async askAboutLandmarks(image, wilaya, result, prompt) {
+    const response = await this.provider.analyze({
+      systemPrompt: prompt.text,
+      userText: `${this.landmarks.instructionsFor(wilaya)}\n\n${LANDMARK_REQUEST}`,
+      image: { base64: image.buffer.toString("base64"), mimeType: image.mimeType },
+      stage: "landmarks",
+    });
+    auditTrail(result).responses.push(rawResponse("landmarks", 0, prompt.text, response));
+
+    try {
+      const answer = JSON.parse(response.content);
+      return typeof answer?.found === "boolean" ? answer : null;
+    } catch (error) {
+      console.warn('Landmark check returned invalid JSON, ignoring:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Validate result schema and enrich with computed fields
    */
-  validateAndEnrichResult(result) {
+  validateAndEnrichResult(result, { image } = {}) {
     // 1. Validate JSON completeness (catch STOP logic failures)
     const validationErrors = this.validateSchema(result);
     if (validationErrors.length > 0) {
@@ -105,38 +472,49 @@ export class ValidationService {
       };
     }
 
-    // 2. Fix logic error: non-election material should be non-compliant
-    this.fixNonElectionLogic(result);
+    // 2. Fill safe defaults so later steps never see partial objects
+    this.coerceResult(result);
 
-    // 3. Ensure required fields exist
-    if (!result._analysis_trace) {
-      console.warn('Missing _analysis_trace - model did not show reasoning');
-      result._analysis_trace = {
-        step1_content_extraction: "Not provided",
-        step2_document_type: "Not provided",
-        step3_violations_found: [],
-        step4_decision_logic: "Not provided"
-      };
+    // 2b. Back the model's image quality opinion with local measurements
+    if (image?.quality) {
+      this.applyImageMeasurements(result, image);
     }
 
+    // 2c. An unacceptable image is a rejection in both pipelines
+    this.rejectUnacceptableImage(result);
+
+    // 3. Fix logic error: non-election material should be non-compliant
+    this.fixNonElectionLogic(result);
+
     // 4. Validate number detection logic (catch false positives)
     this.validateNumberDetection(result);
 
     // 5. Deterministic Text Validation (Safety Net)
     this.validateTextContent(result);
 
+    // 5b. Per-objective Shura powers verdicts from the verb lexicon
+    this.classifyObjectives(result);
+
     // 5. Compute validation confidence based on trace quality
     result.validationConfidence = this.calculateConfidence(result);
 
-    // 6. Ensure rejection reason is present if non-compliant
-    if (!result.isCompliant && !result.rejectionReason) {
-      result.rejectionReason = this.generateRejectionReason(result);
+    // 6. Ensure rejection reason is present (in every language) if non-compliant,
+    //    and list every violated rule, most severe first
+    if (!result.isCompliant) {
+      this.ensureRejectionMessage(result);
     }
+    result.rejectionReasons = result.isCompliant ? [] : collectRejectionReasons(result, {
+      deterministicRules: new Map(this.rules.getRules({ kind: 'violation' }).map(rule => [rule.id, rule]))
+    });
+
+    // Outcome of the check, distinct from the technical "error" status
+    result.status = result.isCompliant ? "compliant" : "non_compliant";
 
-    // 7. Add metadata
+    // 7. Add metadata (keep provider info and corrections recorded earlier)
     result.metadata = {
+      ...result.metadata,
       timestamp: new Date().toISOString(),
-      modelUsed: "qwen3-vl-plus",
+      modelUsed: result.metadata?.modelUsed || this.provider.model,
       hasAnalysisTrace: !!result._analysis_trace.step1_content_extraction,
       schemaValid: validationErrors.length === 0
     };
@@ -144,6 +522,76 @@ export class ValidationService {
     return result;
   }
 
+  /**
+   * A poster whose image is not acceptable (reported by the model or measured)
+   * cannot be checked reliably, so it is not compliant. The staged merge decides
+   * the same way; the single-pass model may still call such a poster compliant.
+   */
+  rejectUnacceptableImage(result) {
+    if (result.imageQuality.isAcceptable !== false || !result.isCompliant) return;
+
+    const issues = result.imageQuality.issues.join(", ") || "no issue named";
+    const before = verdictOf(result);
+    result.isCompliant = false;
+    result.overallScore = 0;
+
+    if (result._analysis_trace) {
+      result._analysis_trace.step4_decision_logic = `Non-compliant because the image quality is not acceptable (${issues})`;
+    }
+
+    recordMutation(result, "rejectUnacceptableImage", {
+      rule: 'IMAGE_QUALITY',
+      details: `Image quality not acceptable (${issues}), verdict set to non-compliant`
+    }, before);
+  }
+
+  /**
+   * Merge measured resolution/blur into imageQuality and warn when model and measurement disagree
+   */
+  applyImageMeasurements(result, image) {
+    const measured = image.quality.issues;
+    const reported = result.imageQuality.issues;
+
+    result.imageQuality.issues = [...new Set([...reported, ...measured])];
+    result.imageQuality.measurements = {
+      width: image.quality.width,
+      height: image.quality.height,
+      laplacianVariance: image.quality.laplacianVariance,
+      measuredIssues: measured,
+      originalMimeType: image.originalMimeType,
+      transformations: image.transformations
+    };
+
+    // Resolution is objective; blur detection is only a hint (flat designs score low)
+    if (measured.includes('low_resolution') && result.imageQuality.isAcceptable !== false) {
+      const before = verdictOf(result);
+      result.imageQuality.isAcceptable = false;
+      recordMutation(result, "applyImageMeasurements", {
+        rule: 'IMAGE_QUALITY',
+        details: `Measured ${image.quality.width}x${image.quality.height}: low resolution, image quality set to not acceptable`
+      }, before);
+    }
+
+    if (!result.warnings) result.warnings = [];
+    if (measured.includes('blurry') && !reported.includes('blurry')) {
+      result.warnings.push({
+        type: 'MEASURED_QUALITY',
+        rule: 'IMAGE_QUALITY',
+        message: `Image measured as blurry (Laplacian variance ${image.quality.laplacianVariance}) but the model did not report it. Verify readability.`,
+        confidence: 60
+      });
+    }
+    if (reported.includes('blurry') && !measured.includes('blurry')) {
+      result.warnings.push({
+        type: 'POSSIBLE_FALSE_POSITIVE',
+        rule: 'IMAGE_QUALITY',
+        message: `Model reported blur but the image measures sharp (Laplacian variance ${image.quality.laplacianVariance}).`,
+        confidence: 60
+      });
+    }
+    if (result.warnings.length === 0) delete result.warnings;
+  }
+
   /**
    * Fix logic error: non-election material MUST be non-compliant
    */
@@ -152,6 +600,7 @@ export class ValidationService {
       // Non-election material should ALWAYS be non-compliant
       if (result.isCompliant === true) {
         console.warn('Logic error detected: Non-election material marked as compliant. Fixing...');
+        const before = verdictOf(result);
 
         result.isCompliant = false;
         result.overallScore = 0;
@@ -172,6 +621,10 @@ export class ValidationService {
         result.metadata = result.metadata || {};
         result.metadata.logicCorrectionApplied = true;
         result.metadata.correctionReason = 'Non-election material incorrectly marked as compliant';
+        recordMutation(result, "fixNonElectionLogic", {
+          rule: 'NOT_ELECTION',
+          details: `${result.metadata.correctionReason} (${result.documentType.actualType})`
+        }, before);
       }
     }
   }
@@ -180,39 +633,131 @@ export class ValidationService {
    * Validate JSON schema completeness (Fix #1: STOP logic)
    */
   validateSchema(result) {
-    const errors = [];
+    return validateResultSchema(result);
+  }
 
-    // Required top-level fields
-    if (typeof result.isCompliant !== 'boolean') errors.push('Missing isCompliant');
-    if (typeof result.overallScore !== 'number') errors.push('Missing overallScore');
-    if (!result.summary) errors.push('Missing summary');
+  /**
+   * Coerce a (possibly partial) model response into the full schema shape.
+   * A response with no verdict never gets this far from the single-pass
+   * analysis; should one arrive, it defaults to non-compliant and the change
+   * is recorded. Missing checks default to "not flagged" so no violation is invented.
+   */
+  coerceResult(result) {
+    const text = (value, fallback = "") => (typeof value === "string" ? value : fallback);
+    const nullableText = value => (typeof value === "string" && value ? value : null);
+    const number = (value, fallback = 0) => {
+      const n = Number(value);
+      return value === null || value === "" || Number.isNaN(n) ? fallback : Math.max(0, Math.min(100, n));
+    };
+    const list = value => (Array.isArray(value) ? value : value ? [value] : []).filter(v => typeof v === "string");
+    const objects = value => (Array.isArray(value) ? value.filter(v => v && typeof v === "object") : []);
 
-    // documentType validation
-    if (!result.documentType) {
-      errors.push('Missing documentType');
-    } else {
-      if (typeof result.documentType.isElectionPropaganda !== 'boolean') {
-        errors.push('Missing documentType.isElectionPropaganda');
-      }
-      if (!result.documentType.actualType) errors.push('Missing documentType.actualType');
+    if (!result._analysis_trace) {
+      console.warn('Missing _analysis_trace - model did not show reasoning');
     }
+    const trace = result._analysis_trace || {};
+    result._analysis_trace = {
+      ...trace,
+      step1_content_extraction: text(trace.step1_content_extraction, "Not provided"),
+      step2_document_type: text(trace.step2_document_type, "Not provided"),
+      step3_violations_found: list(trace.step3_violations_found),
+      step4_decision_logic: text(trace.step4_decision_logic, "Not provided")
+    };
 
-    // categories validation (must exist even if empty)
-    if (!result.categories) {
-      errors.push('Missing categories');
-    } else {
-      if (!result.categories.prohibitedContent) errors.push('Missing prohibitedContent');
-      if (!result.categories.requiredContent) errors.push('Missing requiredContent');
-      if (!result.categories.contentScope) errors.push('Missing contentScope');
-      if (!result.categories.languageEthics) errors.push('Missing languageEthics');
+    if (typeof result.isCompliant !== 'boolean') {
+      const before = verdictOf(result);
+      result.isCompliant = false;
+      result.overallScore = 0;
+      recordMutation(result, "coerceResult", {
+        rule: null,
+        details: `Model gave no boolean isCompliant (${JSON.stringify(before.isCompliant ?? null)}), defaulted to non-compliant`
+      }, before);
     }
+    result.overallScore = number(result.overallScore);
+    result.summary = text(result.summary) || "No summary provided";
+    result.rejectionReason = nullableText(result.rejectionReason);
+
+    const doc = result.documentType || {};
+    const actualType = DOCUMENT_TYPES.includes(doc.actualType) ? doc.actualType : null;
+    const isElectionPropaganda = typeof doc.isElectionPropaganda === 'boolean'
+      ? doc.isElectionPropaganda
+      : actualType ? actualType === "election_poster" : true;
+    result.documentType = {
+      ...doc,
+      isElectionPropaganda,
+      actualType: actualType || (isElectionPropaganda ? "election_poster" : "other"),
+      confidence: number(doc.confidence),
+      reasoning: text(doc.reasoning)
+    };
 
-    // extractedText validation
-    if (!result.extractedText) {
-      errors.push('Missing extractedText');
-    }
+    const quality = result.imageQuality || {};
+    result.imageQuality = {
+      ...quality,
+      isAcceptable: typeof quality.isAcceptable === 'boolean' ? quality.isAcceptable : true,
+      issues: list(quality.issues)
+    };
 
-    return errors;
+    const categories = result.categories || {};
+    const category = (value, normalizeItem, failed) => {
+      const items = objects(value?.items).map(normalizeItem).filter(Boolean);
+      const status = ["pass", "fail"].includes(value?.status) ? value.status : (items.some(failed) ? "fail" : "pass");
+      return { ...value, status, items };
+    };
+
+    result.categories = {
+      ...categories,
+      prohibitedContent: category(categories.prohibitedContent, item => PROHIBITED_RULES.includes(item.rule) && {
+        ...item,
+        found: item.found === true,
+        confidence: number(item.confidence),
+        details: text(item.details),
+        location: text(item.location, "unknown"),
+        boundingBox: normalizeBoundingBox(item.boundingBox)
+      }, item => item.found),
+      requiredContent: category(categories.requiredContent, item => REQUIRED_ELEMENTS.includes(item.element) && {
+        ...item,
+        present: item.present !== false,
+        quality: ["good", "poor", "missing"].includes(item.quality) ? item.quality : (item.present ? "good" : "missing")
+      }, item => !item.present),
+      contentScope: category(categories.contentScope, item => {
+        if (!SCOPE_RULES.includes(item.rule)) return false;
+
+        const violatingObjectives = list(item.violatingObjectives);
+        const spans = objects(item.violatingSpans).filter(span => typeof span.text === "string");
+        // Every quoted objective gets a span; unlocalized ones carry a null box
+        const violatingSpans = violatingObjectives.map(quote => {
+          const span = spans.find(span => span.text === quote) || spans.find(span => span.text.includes(quote));
+          return { text: quote, boundingBox: normalizeBoundingBox(span?.boundingBox) };
+        });
+
+        return {
+          ...item,
+          violated: item.violated === true,
+          confidence: number(item.confidence),
+          violatingObjectives,
+          violatingSpans,
+          explanation: text(item.explanation)
+        };
+      }, item => item.violated),
+      languageEthics: category(categories.languageEthics, item => ETHICS_RULES.includes(item.rule) && {
+        ...item,
+        passed: item.passed !== false,
+        details: text(item.details)
+      }, item => !item.passed)
+    };
+
+    const extracted = result.extractedText || {};
+    result.extractedText = {
+      ...extracted,
+      rawText: text(extracted.rawText),
+      candidateName: nullableText(extracted.candidateName),
+      candidateNumber: nullableText(extracted.candidateNumber),
+      phoneNumber: nullableText(extracted.phoneNumber),
+      objectives: list(extracted.objectives),
+      containsNonArabic: extracted.containsNonArabic === true
+    };
+
+    return result;
   }
 
   /**
@@ -224,35 +769,28 @@ export class ValidationService {
     );
 
     if (candidateNumberItem?.found) {
-      const details = candidateNumberItem.details?.toLowerCase() || '';
-      const extractedText = result.extractedText?.rawText?.toLowerCase() || '';
-
-      // Check for false positive indicators
-      const falsePositivePatterns = [
-        /\d{8,}/,  // Phone numbers (8+ digits)
-        /\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4}/,  // Dates
-        /سنة.*\d+|\d+.*سنة/,  // Age mentions
-        /للتواصل.*\d+|\d+.*للتواصل/,  // Contact numbers
-        /رؤية.*\d{4}|\d{4}.*رؤية/,  // Vision statements
-      ];
-
-      // If details suggest false positive, add warning
-      for (const pattern of falsePositivePatterns) {
-        if (pattern.test(details) || pattern.test(extractedText)) {
-          if (!result.warnings) result.warnings = [];
-          result.warnings.push({
-            type: 'POSSIBLE_FALSE_POSITIVE',
-            rule: 'CANDIDATE_NUMBER',
-            message: 'Number detection may be false positive (phone/date/age). Verify context.',
-            details: candidateNumberItem.details,
-            confidence: 60
-          });
-          break;
-        }
+      const fields = getRuleFields(result, {
+        details: candidateNumberItem.details?.toLowerCase() || '',
+        rawText: result.extractedText?.rawText?.toLowerCase() || '',
+      });
+
+      // Check for false positive indicators (phone/date/age/vision patterns from the rules file)
+      const falsePositives = this.rules.evaluate(fields, { kind: 'falsePositive', appliesTo: 'CANDIDATE_NUMBER' });
+      if (falsePositives.length > 0) {
+        if (!result.warnings) result.warnings = [];
+        result.warnings.push({
+          type: 'POSSIBLE_FALSE_POSITIVE',
+          rule: 'CANDIDATE_NUMBER',
+          message: 'Number detection may be false positive (phone/date/age). Verify context.',
+          details: candidateNumberItem.details,
+          matchedRule: falsePositives[0].ruleId,
+          confidence: 60
+        });
       }
 
       // Check if "رقم المرشح" or "المرشح رقم" exists (true positive indicator)
-      const hasCandidateContext = /رقم\s*المرشح|المرشح\s*رقم/.test(extractedText);
+      const contextRules = this.rules.getRules({ kind: 'requiredContext', appliesTo: 'CANDIDATE_NUMBER' });
+      const hasCandidateContext = contextRules.every(rule => this.rules.matchRule(rule, fields));
       if (!hasCandidateContext) {
         if (!result.warnings) result.warnings = [];
         result.warnings.push({
@@ -267,88 +805,153 @@ export class ValidationService {
 
   /**
    * Deterministic validation for prohibited text patterns
-   * acts as a safety net when AI misses explicit violations
+   * acts as a safety net when AI misses explicit violations.
+   * Patterns live in the rules file (see rule.engine.js).
    */
   validateTextContent(result) {
-    const text = result.extractedText?.rawText || "";
+    const hits = this.rules.evaluate(getRuleFields(result), { kind: 'violation' });
 
-    // 1. Check for "Job Seeker File" (Opening/Handling)
-    // Pattern: "فتح ملف الباحثين" or "ملف الباحثين"
-    const jobSeekerPattern = /فتح\s*ملف\s*باحثين|ملف\s*الباحثين/i;
-    if (jobSeekerPattern.test(text)) {
-      const match = text.match(jobSeekerPattern)[0];
+    for (const { rule, ruleId, match } of hits) {
       this.flagDeterministicViolation(result, {
-        rule: "OBJECTIVES_OUTSIDE_POWERS",
+        rule: rule.rule,
+        category: rule.category,
+        ruleId,
         violatingObjectives: [match],
-        explanation: "Prohibited content: 'Job Seeker File' (ملف الباحثين) is an executive authority matter."
-      }, "Prohibited content: Mentioning 'Job Seeker File' (ملف الباحثين) is strictly prohibited.");
+        boundingBox: this.findTextBox(result, match),
+        explanation: rule.explanation || rule.message.en
+      }, rule.message);
     }
+  }
 
-    // 2. Check for "Ensuring Services Complete" (guaranteeing outcome)
-    // Pattern: "أن تكون ... مكتملة" or "ضمان ... خدمات"
-    const completeServicePattern = /أن\s*تكون.*مكتملة|ضمان.*خدمات|ضمان.*حصول/i;
-    if (completeServicePattern.test(text)) {
-      const match = text.match(completeServicePattern)[0];
-      this.flagDeterministicViolation(result, {
-        rule: "OBJECTIVES_OUTSIDE_POWERS",
-        violatingObjectives: [match],
-        explanation: "Prohibited content: Guaranteeing services or completeness is outside Shura powers."
-      }, "Prohibited content: Candidates cannot guarantee service completion or outcomes.");
-    }
+  /**
+   * Classify every objective on its own (result.objectiveAnalysis). Where the
+   * lexicon finds a phrase it decides: a forbidden objective nobody flagged is
+   * enforced like a text rule, and an allowed one that was flagged gets a
+   * POSSIBLE_FALSE_POSITIVE warning. Other objectives keep the model's verdict.
+   */
+  classifyObjectives(result) {
+    if (!this.powers) return;
 
-    // 3. Check for "Seek to obtain" (Executive promise)
-    // Pattern: "سأسعى على حصول" or "سأسعى للحصول"
-    const seekObtainPattern = /سأسعى\s*(على|لـ?)\s*حصول/i;
-    if (seekObtainPattern.test(text)) {
-      const match = text.match(seekObtainPattern)[0];
-      this.flagDeterministicViolation(result, {
-        rule: "ELECTION_PROMISES",
-        violatingObjectives: [match],
-        explanation: "Prohibited Grammar: 'Seeking to obtain' (سأسعى للحصول) implies executive benefit delivery."
-      }, "Prohibited language: 'Seeking to obtain' (سأسعى للحصول) is a prohibited form of promise.");
-    }
+    result.objectiveAnalysis = result.extractedText.objectives.map(objective => {
+      const verdict = this.powers.classify(objective);
+      if (!verdict) {
+        return { objective, source: "model", ...modelVerdict(objective, result) };
+      }
+
+      const flagged = result.categories.contentScope.items.find(item => item.violated && quotes(item, objective));
+      if (!verdict.allowed && !flagged) {
+        this.flagDeterministicViolation(result, {
+          rule: verdict.rule,
+          category: "contentScope",
+          ruleId: `POWERS.${verdict.entryId}`,
+          violatingObjectives: [objective],
+          boundingBox: this.findTextBox(result, objective),
+          explanation: verdict.rationale.en
+        }, rejectionMessage(verdict.rule));
+      }
+      if (verdict.allowed && flagged) {
+        if (!result.warnings) result.warnings = [];
+        result.warnings.push({
+          type: 'POSSIBLE_FALSE_POSITIVE',
+          rule: flagged.rule,
+          message: `"${objective}" was flagged, but the lexicon reads "${verdict.phrase}" as ${this.powers.powers[verdict.power].en} work within the Shura Council's powers. Verify.`,
+          confidence: 60
+        });
+      }
+
+      return { objective, source: "lexicon", ...verdict };
+    });
+  }
+
+  /**
+   * Reuse the model's box for a span that contains the matched text, if it localized one
+   */
+  findTextBox(result, match) {
+    const spans = (result.categories?.contentScope?.items || []).flatMap(item => item.violatingSpans || []);
+    return spans.find(span => span.boundingBox && span.text.includes(match))?.boundingBox || null;
   }
 
   /**
    * Helper to apply a deterministic violation
    */
   flagDeterministicViolation(result, violationData, rejectionMsg) {
+    const before = verdictOf(result);
+
     // 1. Mark as non-compliant
     result.isCompliant = false;
     result.overallScore = 0;
 
     // 2. Set rejection reason if empty
+    const message = typeof rejectionMsg === 'string' ? { en: rejectionMsg } : rejectionMsg;
     if (!result.rejectionReason) {
-      result.rejectionReason = rejectionMsg;
-    } else if (!result.rejectionReason.includes(rejectionMsg)) {
+      result.rejectionReason = message.en;
+      result.rejectionMessage = Object.fromEntries(LANGUAGES.map(language => [language, message[language] ?? message.en]));
+    } else if (!result.rejectionReason.includes(message.en)) {
       // Append if different
-      result.rejectionReason += ` | ${rejectionMsg}`;
+      this.ensureRejectionMessage(result);
+      for (const language of LANGUAGES) {
+        result.rejectionMessage[language] += ` | ${message[language] ?? message.en}`;
+      }
+      result.rejectionReason = result.rejectionMessage.en;
     }
 
-    // 3. Add to content scope violations
+    // 3. Add to the rule's category (content scope unless the rule says otherwise)
     if (!result.categories) result.categories = {};
-    if (!result.categories.contentScope) result.categories.contentScope = { status: "fail", items: [] };
 
-    // Check if duplicate exists
-    const exists = result.categories.contentScope.items.some(item =>
-      item.rule === violationData.rule && item.violatingObjectives?.[0] === violationData.violatingObjectives[0]
-    );
-
-    if (!exists) {
-      result.categories.contentScope.status = "fail";
-      result.categories.contentScope.items.push({
-        rule: violationData.rule,
-        violated: true,
-        confidence: 100,
-        violatingObjectives: violationData.violatingObjectives,
-        explanation: violationData.explanation
-      });
+    if (violationData.category === "prohibitedContent") {
+      if (!result.categories.prohibitedContent) result.categories.prohibitedContent = { status: "fail", items: [] };
+
+      const item = result.categories.prohibitedContent.items.find(item => item.rule === violationData.rule);
+      if (item) {
+        item.found = true;
+        item.confidence = 100;
+      } else {
+        result.categories.prohibitedContent.items.push({
+          rule: violationData.rule,
+          found: true,
+          confidence: 100,
+          details: `${violationData.explanation} ("${violationData.violatingObjectives[0]}")`,
+          location: "text",
+          boundingBox: violationData.boundingBox ?? null,
+          ...(violationData.ruleId && { deterministicRule: violationData.ruleId })
+        });
+      }
+      result.categories.prohibitedContent.status = "fail";
+    } else {
+      if (!result.categories.contentScope) result.categories.contentScope = { status: "fail", items: [] };
+
+      // Check if duplicate exists
+      const exists = result.categories.contentScope.items.some(item =>
+        item.rule === violationData.rule && item.violatingObjectives?.[0] === violationData.violatingObjectives[0]
+      );
+
+      if (!exists) {
+        result.categories.contentScope.status = "fail";
+        result.categories.contentScope.items.push({
+          rule: violationData.rule,
+          violated: true,
+          confidence: 100,
+          violatingObjectives: violationData.violatingObjectives,
+          violatingSpans: violationData.violatingObjectives.map(text => ({ text, boundingBox: violationData.boundingBox ?? null })),
+          explanation: violationData.explanation,
+          ...(violationData.ruleId && { deterministicRule: violationData.ruleId })
+        });
+      }
     }
 
     // 4. Update trace to reflect system intervention
     if (result._analysis_trace) {
       result._analysis_trace.step4_decision_logic += ` [System enforced violation: ${violationData.explanation}]`;
     }
+
+    // 5. Keep the change for the audit log
+    recordMutation(result, "flagDeterministicViolation", {
+      rule: violationData.rule,
+      ruleId: violationData.ruleId ?? null,
+      category: violationData.category ?? "contentScope",
+      violatingObjectives: violationData.violatingObjectives,
+      details: violationData.explanation
+    }, before);
   }
 
   /**
@@ -404,24 +1007,42 @@ export class ValidationService {
   }
 
   /**
-   * Generate rejection reason from result
+   * Generate rejection reason from result in one language
+   */
+  generateRejectionReason(result, language = DEFAULT_LANGUAGE) {
+    return translate(REJECTION_MESSAGES[this.rejectionMessageKey(result)], language);
+  }
+
+  /**
+   * Fill `rejectionMessage` ({ en, ar }) alongside `rejectionReason`. A reason the
+   * model wrote itself stays as the English text; the other languages use the
+   * catalog message for the same leading issue.
    */
-  generateRejectionReason(result) {
+  ensureRejectionMessage(result) {
+    if (result.rejectionMessage) return;
+
+    const message = rejectionMessage(this.rejectionMessageKey(result));
+    result.rejectionMessage = { ...message, en: result.rejectionReason || message.en };
+    result.rejectionReason = result.rejectionMessage.en;
+  }
+
+  /**
+   * Catalog key (see messages.js) of the leading reason a result was rejected
+   */
+  rejectionMessageKey(result) {
     // Check document type first
     if (result.documentType && !result.documentType.isElectionPropaganda) {
-      const typeMap = {
-        'training_ad': "The request is an advertisement for a training course and not an election advertisement for the candidate",
-        'press_interview': "The attached document is a press interview and not election propaganda",
-        'proposal': "The publication has nothing to do with election propaganda. Rather, it is a proposal to solve a problem",
-        'social_post': "The post has nothing to do with election propaganda"
-      };
-      return typeMap[result.documentType.actualType] || "This is not election propaganda";
+      const key = `NOT_ELECTION.${result.documentType.actualType}`;
+      return REJECTION_MESSAGES[key] ? key : 'NOT_ELECTION';
     }
 
     // Check image quality
     if (result.imageQuality && !result.imageQuality.isAcceptable) {
       if (result.imageQuality.issues.includes('blurry')) {
-        return "Photo is blurry";
+        return 'IMAGE_QUALITY.blurry';
+      }
+      if (result.imageQuality.issues.includes('low_resolution')) {
+        return 'IMAGE_QUALITY.low_resolution';
       }
     }
 
@@ -433,40 +1054,33 @@ export class ValidationService {
     const hasLogo = violations.find(v => v.rule === 'ELECTION_LOGO');
 
     if (hasNumber && hasLogo) {
-      return "Removal of the candidate's number and election logo is required";
+      return 'CANDIDATE_NUMBER+ELECTION_LOGO';
     }
     if (hasNumber) {
-      return "Please remove the candidate number";
+      return 'CANDIDATE_NUMBER';
     }
     if (hasLogo) {
-      return "Please remove the election logo";
+      return 'ELECTION_LOGO';
     }
 
     const historical = violations.find(v => v.rule === 'HISTORICAL_SYMBOLS');
     if (historical) {
-      const detail = historical.details.toLowerCase();
-      if (detail.includes('fort') || detail.includes('castle')) {
-        return "Please remove the fort/castle from the image background as it is a historical symbol";
-      }
-      if (detail.includes('gate')) {
-        return "Please remove the gate from the image background as it is a historical symbol";
-      }
-      return "Please remove the historical symbol from the image background";
+      return historicalKey(historical);
     }
 
     const publicFigures = violations.find(v => v.rule === 'PUBLIC_FIGURES');
     if (publicFigures) {
-      return "The poster contains public figures";
+      return 'PUBLIC_FIGURES';
     }
 
     const stateEmblem = violations.find(v => v.rule === 'STATE_EMBLEM');
     if (stateEmblem) {
-      return "Please remove the state emblem";
+      return 'STATE_EMBLEM';
     }
 
     const flag = violations.find(v => v.rule === 'NATIONAL_FLAG');
     if (flag) {
-      return "Please remove the national flag";
+      return 'NATIONAL_FLAG';
     }
 
     // Check content scope
@@ -475,22 +1089,22 @@ export class ValidationService {
 
     const outsidePowers = scopeViolations.find(v => v.rule === 'OBJECTIVES_OUTSIDE_POWERS');
     if (outsidePowers) {
-      return "Most of the objectives mentioned fall outside the legally defined powers of the Shura Council members";
+      return 'OBJECTIVES_OUTSIDE_POWERS';
     }
 
     const promise = scopeViolations.find(v => v.rule === 'ELECTION_PROMISES');
     if (promise) {
-      return "The content of the objective involves an election promise";
+      return 'ELECTION_PROMISES';
     }
 
     const deviation = scopeViolations.find(v => v.rule === 'DEVIATION_FROM_SCOPE');
     if (deviation) {
-      return "The poster deviated from the content of the election campaign, which includes the candidate's picture, biography, electoral vision, goals, or roles";
+      return 'DEVIATION_FROM_SCOPE';
     }
 
     const previousTerm = scopeViolations.find(v => v.rule === 'PREVIOUS_TERM_EXPLOITATION');
     if (previousTerm) {
-      return "Cannot exploit the previous term achievements";
+      return 'PREVIOUS_TERM_EXPLOITATION';
     }
 
     // Check required content
@@ -499,33 +1113,26 @@ export class ValidationService {
     const missingName = required.find(item => item.element === 'CANDIDATE_NAME' && !item.present);
 
     if (missingPhoto || missingName) {
-      return "Election campaigning is limited to the following: candidate photo, name, CV, and vision";
+      return 'MISSING_REQUIRED';
     }
 
     // Default
-    return "Poster does not comply with election campaign regulations";
+    return 'DEFAULT';
   }
 }
 
 /**
  * Factory function for easy usage
  */
-export async function validatePoster(imageBuffer) {
+export async function validatePoster(imageBuffer, options = {}) {
   const service = new ValidationService();
-  return await service.validatePoster(imageBuffer);
+  return await service.validatePoster(imageBuffer, options);
 }
 
 /**
- * Batch validation for multiple images
+ * Batch validation for multiple images, `concurrency` at a time (results keep the input order)
  */
-export async function validatePosters(imageBuffers) {
-  const service = new ValidationService();
-  const results = [];
-
-  for (const buffer of imageBuffers) {
-    const result = await service.validatePoster(buffer);
-    results.push(result);
-  }
-
-  return results;
+export async function validatePosters(imageBuffers, { concurrency = Number(process.env.BATCH_CONCURRENCY || 3), ...options } = {}) {
+  const service = new ValidationService(options);
+  return mapConcurrent(imageBuffers, concurrency, buffer => service.validatePoster(buffer));
 }
\ No newline at end of file
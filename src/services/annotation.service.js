@@ -0,0 +1,83 @@
+import sharp from "sharp";
+
+const COLORS = {
+  prohibitedContent: "#dc2626",
+  contentScope: "#ea580c",
+};
+const LABEL_HEIGHT = 0.035; // fraction of the image height
+
+/**
+ * Coerce a model-supplied box to `{ x, y, width, height }` as fractions (0-1) of the
+ * image, origin top-left. Returns null when the box is missing or has no area.
+ */
+export function normalizeBoundingBox(box) {
+  if (!box || typeof box !== "object") return null;
+
+  const values = ["x", "y", "width", "height"].map(key => Number(box[key]));
+  if (values.some(value => !Number.isFinite(value))) return null;
+
+  const clamp = value => Math.min(1, Math.max(0, value));
+  const x = clamp(values[0]);
+  const y = clamp(values[1]);
+  const width = clamp(values[0] + values[2]) - x;
+  const height = clamp(values[1] + values[3]) - y;
+  if (width <= 0 || height <= 0) return null;
+
+  const round = value => Math.round(value * 10000) / 10000;
+  return { x: round(x), y: round(y), width: round(width), height: round(height) };
+}
+
+/**
+ * Boxes to draw for a (single page) result: flagged prohibited items and violating text spans
+ */
+export function collectAnnotations(result) {
+  const prohibited = (result.categories?.prohibitedContent?.items || [])
+    .filter(item => item.found && item.boundingBox)
+    .map(item => ({ category: "prohibitedContent", label: item.rule, box: item.boundingBox }));
+
+  const spans = (result.categories?.contentScope?.items || [])
+    .filter(item => item.violated)
+    .flatMap(item => (item.violatingSpans || [])
+      .filter(span => span.boundingBox)
+      .map(span => ({ category: "contentScope", label: item.rule, box: span.boundingBox })));
+
+  return [...prohibited, ...spans];
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Draw labeled boxes over the (EXIF-rotated) original image and return a PNG
+ */
+export async function renderAnnotatedImage(buffer, annotations) {
+  const image = sharp(buffer).rotate();
+  const { data, info } = await image.png().toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+
+  const stroke = Math.max(2, Math.round(Math.min(width, height) / 200));
+  const labelHeight = Math.max(14, Math.round(height * LABEL_HEIGHT));
+  const fontSize = Math.round(labelHeight * 0.7);
+
+  const shapes = annotations.map(({ category, label, box }) => {
+    const color = COLORS[category] || COLORS.prohibitedContent;
+    const x = Math.round(box.x * width);
+    const y = Math.round(box.y * height);
+    const w = Math.round(box.width * width);
+    const h = Math.round(box.height * height);
+    // Put the label above the box, or inside it when the box touches the top edge
+    const labelY = y >= labelHeight ? y - labelHeight : y;
+    const labelWidth = Math.round(label.length * fontSize * 0.7) + stroke * 4;
+
+    return `
+      <rect x="${x}" y="${y}" width="${w}" height="${h}" fill="none" stroke="${color}" stroke-width="${stroke}"/>
+      <rect x="${x}" y="${labelY}" width="${labelWidth}" height="${labelHeight}" fill="${color}"/>
+      <text x="${x + stroke * 2}" y="${labelY + Math.round(labelHeight * 0.75)}" font-family="sans-serif"
+        font-size="${fontSize}" font-weight="bold" fill="#ffffff">${escapeXml(label)}</text>`;
+  });
+
+  const overlay = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shapes.join("")}</svg>`;
+
+  return sharp(data).composite([{ input: Buffer.from(overlay), top: 0, left: 0 }]).png().toBuffer();
+}
@@ -0,0 +1,100 @@
+/**
+ * Arabic text normalization for deterministic checks.
+ *
+ * OCR output from the model varies in ways that do not change meaning
+ * (hamza forms, taa marbuta, alef maqsura, tatweel, diacritics, Arabic-Indic
+ * digits). Rules run against the normalized form, and matches are mapped back
+ * to the original text so evidence is still quoted verbatim.
+ */
+
+const CHAR_MAP = {
+  "أ": "ا",
+  "إ": "ا",
+  "آ": "ا",
+  "ٱ": "ا",
+  "ة": "ه",
+  "ى": "ي",
+  "ؤ": "و",
+  "ئ": "ي",
+};
+
+// Harakat, tanween, shadda, sukun, dagger alef and Quranic marks
+const DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED]/;
+const TATWEEL = "ـ";
+
+/**
+ * Normalize a single character; returns "" for characters that are dropped
+ */
+function normalizeChar(char) {
+  if (char === TATWEEL || DIACRITICS.test(char)) return "";
+
+  const code = char.charCodeAt(0);
+  // Arabic-Indic (٠-٩) and Extended Arabic-Indic (۰-۹) digits
+  if (code >= 0x0660 && code <= 0x0669) return String(code - 0x0660);
+  if (code >= 0x06F0 && code <= 0x06F9) return String(code - 0x06F0);
+
+  return CHAR_MAP[char] ?? char;
+}
+
+/**
+ * Normalize text, keeping for every output character the index it came from
+ */
+export function normalizeArabic(text) {
+  const source = String(text ?? "");
+  let normalized = "";
+  const map = [];
+
+  for (let i = 0; i < source.length; i++) {
+    const replacement = normalizeChar(source[i]);
+    for (const char of replacement) {
+      normalized += char;
+      map.push(i);
+    }
+  }
+
+  return { text: normalized, map, source };
+}
+
+/**
+ * Map a [start, end) span of the normalized text back to the original text.
+ * Trailing diacritics/tatweel dropped during normalization are kept in the quote.
+ */
+export function toOriginalSpan({ map, source }, start, end) {
+  if (end <= start) return { start: map[start] ?? source.length, end: map[start] ?? source.length, text: "" };
+
+  const originalStart = map[start];
+  let originalEnd = map[end - 1] + 1;
+
+  while (originalEnd < source.length && normalizeChar(source[originalEnd]) === "") {
+    originalEnd++;
+  }
+
+  return {
+    start: originalStart,
+    end: originalEnd,
+    text: source.slice(originalStart, originalEnd),
+  };
+}
+
+/**
+ * Normalize a regex source so patterns written with hamza/diacritics still
+ * match normalized text. Escape sequences (\s, \d, ...) are left untouched.
+ */
+export function normalizePattern(pattern) {
+  let result = "";
+
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] === "\\" && i + 1 < pattern.length) {
+      result += pattern[i] + pattern[i + 1];
+      i++;
+      continue;
+    }
+
+    const replacement = normalizeChar(pattern[i]);
+    // A dropped character takes its quantifier with it ("لـ?" -> "ل", not "ل?")
+    if (replacement === "" && "?*+".includes(pattern[i + 1])) i++;
+    result += replacement;
+  }
+
+  return result;
+}
@@ -0,0 +1,175 @@
+import { appendFile, mkdir, readFile } from "fs/promises";
+import { createHash } from "crypto";
+import path from "path";
+
+// prevHash of the first entry
+export const GENESIS_HASH = "0".repeat(64);
+
+/**
+ * JSON with object keys sorted at every level, so an entry hashes the same
+ * after a round trip through the file
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function entryHash({ hash, ...entry }) {
+  return createHash("sha256").update(canonicalJson(entry)).digest("hex");
+}
+
+/**
+ * Check a chain of entries: sequence numbers, links and hashes. With `head`,
+ * the chain must also contain an entry with that hash (a head recorded
+ * earlier, e.g. in committee minutes), which catches truncation and rewrites
+ * of the whole file.
+ *
+ * Returns `{ valid, entries, head, error }`; `error` names the first bad entry.
+ */
+export function verifyChain(entries, { head = null } = {}) {
+  let prevHash = GENESIS_HASH;
+  let headSeen = head === null;
+
+  for (const [index, entry] of entries.entries()) {
+    const fail = reason => ({ valid: false, entries: entries.length, head: prevHash, error: { seq: entry.seq ?? null, line: index + 1, reason } });
+
+    if (entry.seq !== index + 1) return fail(`expected sequence number ${index + 1}, found ${entry.seq}`);
+    if (entry.prevHash !== prevHash) return fail("prevHash does not match the previous entry");
+    if (entryHash(entry) !== entry.hash) return fail("content does not match its hash");
+
+    prevHash = entry.hash;
+    if (entry.hash === head) headSeen = true;
+  }
+
+  if (!headSeen) {
+    return { valid: false, entries: entries.length, head: prevHash, error: { seq: null, line: null, reason: `expected head ${head} is not in the log` } };
+  }
+  return { valid: true, entries: entries.length, head: prevHash, error: null };
+}
+
+/**
+ * Parse JSON Lines; a line that does not parse is kept as a marker so verification fails on it
+ */
+export function parseEntries(text) {
+  return text.split("\n").filter(line => line.trim()).map(line => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      return { unreadable: line };
+    }
+  });
+}
+
+/**
+ * Move the audit trail off a (possibly multi-page) result, so it is logged but
+ * never stored with the verdict or shown to the candidate
+ */
+export function takeAudit(result) {
+  if (!result || typeof result !== "object") return null;
+  if (Array.isArray(result.pages)) {
+    return { pages: result.pages.map(page => ({ pageNumber: page.pageNumber, ...takeAudit(page.result) })) };
+  }
+
+  const trail = result._audit || null;
+  delete result._audit;
+  return trail;
+}
+
+/**
+ * Append-only, hash-chained audit log of verdicts and human decisions.
+ *
+ * One JSON entry per line in `<dataDir>/audit.log`:
+ * `{ seq, at, type, submissionId, data, prevHash, hash }`, where `hash` is the
+ * SHA-256 of the entry's canonical JSON without `hash`, and `prevHash` links
+ * it to the entry before. Changing, removing or reordering an entry breaks
+ * every hash after it.
+ *
+ * Entry types: "validation" (image hashes, raw model answers, prompt,
+ * post-processing changes, final verdict), "review" (officer decisions
+ * and candidate appeals) and "prompt" (prompt versions registered, activated
+ * or put in shadow mode).
+ */
+export class AuditLog {
+
+  constructor(dataDir) {
+    this.file = path.join(dataDir, "audit.log");
+    this.last = null;
+    // Appends are chained so two writers never link to the same previous entry
+    this.writing = Promise.resolve();
+  }
+
+  async load() {
+    if (this.last) return;
+
+    await mkdir(path.dirname(this.file), { recursive: true });
+    const entries = await this.readAll();
+    const last = entries[entries.length - 1];
+    this.last = last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+  }
+
+  /**
+   * Append one entry; resolves to the written entry
+   */
+  append(type, { submissionId = null, ...data }) {
+    const write = async () => {
+      await this.load();
+
+      const entry = {
+        seq: this.last.seq + 1,
+        at: new Date().toISOString(),
+        type,
+        submissionId,
+        data,
+        prevHash: this.last.hash,
+      };
+      entry.hash = entryHash(entry);
+
+      await appendFile(this.file, `${JSON.stringify(entry)}\n`);
+      this.last = { seq: entry.seq, hash: entry.hash };
+      return entry;
+    };
+
+    const appended = this.writing.then(write);
+    this.writing = appended.catch(() => {});
+    return appended;
+  }
+
+  async readAll() {
+    try {
+      return parseEntries(await readFile(this.file, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      return [];
+    }
+  }
+
+  /**
+   * Entries, oldest first, optionally for one submission, one type or a date range
+   */
+  async list({ submissionId, type, from, to } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    return (await this.readAll()).filter(entry => {
+      if (submissionId && entry.submissionId !== submissionId) return false;
+      if (type && entry.type !== type) return false;
+
+      const at = new Date(entry.at).getTime();
+      if (fromTime !== null && at < fromTime) return false;
+      if (toTime !== null && at > toTime) return false;
+
+      return true;
+    });
+  }
+
+  async verify(options) {
+    await this.writing;
+    return verifyChain(await this.readAll(), options);
+  }
+}
@@ -0,0 +1,142 @@
+import { randomBytes } from "crypto";
+
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_HOURS || 12) * 60 * 60 * 1000;
+// Failed sign-ins in a row before an account is locked for LOCKOUT_MS
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+export const SESSION_COOKIE = "session";
+
+/**
+ * What each role may do. Every signed-in user may upload and follow their own
+ * submissions; "view-all" lifts the own-submissions limit.
+ */
+export const ROLE_PERMISSIONS = {
+  candidate: ["submit", "appeal"],
+  officer: ["submit", "view-all", "review", "batch"],
+  admin: ["submit", "view-all", "review", "batch", "admin"],
+};
+
+export class AuthError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.statusCode = statusCode;
+  }
+}
+
+export function can(user, permission) {
+  return Boolean(user && ROLE_PERMISSIONS[user.role]?.includes(permission));
+}
+
+/**
+ * Whether the user may see a stored submission (or batch, or job): their own, or any with "view-all"
+ */
+export function canView(user, owner) {
+  return can(user, "view-all") || Boolean(user && owner && owner === user.username);
+}
+
+/**
+ * Session token from "Authorization: Bearer <token>" (API clients) or the
+ * session cookie (the browser UI, including EventSource and <img> requests)
+ */
+export function sessionToken(request) {
+  const [scheme, token] = (request.headers.authorization || "").split(" ");
+  if (scheme?.toLowerCase() === "bearer" && token) return token;
+
+  for (const cookie of (request.headers.cookie || "").split(";")) {
+    const [name, ...value] = cookie.trim().split("=");
+    if (name === SESSION_COOKIE) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+/**
+ * Sign-in and sessions on top of the local user store.
+ *
+ * Sessions are opaque random tokens kept in memory: a restart signs everyone
+ * out. The account is looked up on every request, so a role change or a
+ * disabled account takes effect immediately.
+ */
+export class AuthService {
+
+  constructor(users, { ttlMs = SESSION_TTL_MS } = {}) {
+    this.users = users;
+    this.ttlMs = ttlMs;
+    this.sessions = new Map();
+    this.failures = new Map();
+  }
+
+  /**
+   * Start a session; returns `{ token, expiresAt, user }`
+   */
+  async login(username, password) {
+    const key = String(username || "").trim().toLowerCase();
+    const failure = this.failures.get(key);
+    if (failure?.lockedUntil > Date.now()) {
+      throw new AuthError("Too many failed sign-ins; try again later", 429);
+    }
+
+    const user = await this.users.verify(username, password);
+    if (!user) {
+      const count = (failure?.count || 0) + 1;
+      this.failures.set(key, {
+        count: count >= MAX_FAILED_LOGINS ? 0 : count,
+        lockedUntil: count >= MAX_FAILED_LOGINS ? Date.now() + LOCKOUT_MS : null,
+      });
+      throw new AuthError("Invalid username or password");
+    }
+    this.failures.delete(key);
+
+    const token = randomBytes(32).toString("base64url");
+    const expiresAt = Date.now() + this.ttlMs;
+    this.sessions.set(token, { userId: user.id, expiresAt });
+
+    return { token, expiresAt: new Date(expiresAt).toISOString(), user };
+  }
+
+  logout(token) {
+    this.sessions.delete(token);
+  }
+
+  /**
+   * The signed-in user for a session token, or null
+   */
+  async authenticate(token) {
+    const session = token ? this.sessions.get(token) : null;
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+
+    const user = await this.users.get(session.userId);
+    if (!user || user.disabled) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return user;
+  }
+
+  /**
+   * End every session of a user (after a password change or when disabling the account)
+   */
+  revoke(userId) {
+    for (const [token, session] of this.sessions) {
+      if (session.userId === userId) this.sessions.delete(token);
+    }
+  }
+
+  /**
+   * preHandler that requires a signed-in user, and the permission when given
+   */
+  authorize(permission = null) {
+    return async (request) => {
+      if (!request.user) throw new AuthError("Sign in required");
+      if (permission && !can(request.user, permission)) {
+        throw new AuthError(`Your role (${request.user.role}) may not do this`, 403);
+      }
+    };
+  }
+}
@@ -0,0 +1,283 @@
+import { randomUUID } from "crypto";
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import path from "path";
+import { Unzip, UnzipInflate } from "fflate";
+import { getViolatedRules } from "./submission.store.js";
+import { mapConcurrent } from "./concurrency.js";
+
+export const MAX_BATCH_FILES = Number(process.env.MAX_BATCH_FILES || 200);
+// Whole batch, loose files and unpacked archives together
+export const MAX_UNZIPPED_BYTES = Number(process.env.MAX_BATCH_UNZIPPED_BYTES || 500 * 1024 * 1024);
+// Compressed bytes inflated at a time; bounds how far past the limit a zip bomb gets
+const UNZIP_CHUNK_BYTES = 64 * 1024;
+
+const MIME_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  gif: "image/gif",
+  pdf: "application/pdf",
+};
+
+const REPORT_COLUMNS = [
+  "filename",
+  "submission_id",
+  "candidate_name",
+  "verdict",
+  "overall_score",
+  "confidence",
+  "rule_hits",
+  "rejection_reasons",
+  "duplicate_of",
+  "error",
+];
+
+export class BatchError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "BatchError";
+    this.statusCode = statusCode;
+  }
+}
+
+function isZip(buffer, filename = "") {
+  return buffer.subarray(0, 4).toString("latin1") === "PK\x03\x04" || filename.toLowerCase().endsWith(".zip");
+}
+
+/**
+ * Unpack a ZIP into upload-like files, skipping folders and macOS/hidden metadata.
+ *
+ * The archive is fed to the inflater a slice at a time and the bytes it
+ * actually produces are charged to the batch's `budget`, so a zip bomb (or
+ * many archives that are each within the limit) is stopped while it inflates;
+ * the sizes declared in the archive's headers are not trusted.
+ */
+function unzipPosters(buffer, archiveName, budget) {
+  const files = [];
+
+  const unzipper = new Unzip(entry => {
+    const name = path.posix.basename(entry.name);
+    if (entry.name.endsWith("/") || entry.name.startsWith("__MACOSX/") || name.startsWith(".")) return;
+
+    const chunks = [];
+    entry.ondata = (error, chunk, final) => {
+      if (error) throw error;
+
+      budget.charge(chunk.length, archiveName);
+      chunks.push(chunk);
+      if (final) files.push({ name: entry.name, buffer: Buffer.concat(chunks) });
+    };
+    entry.start();
+  });
+  unzipper.register(UnzipInflate);
+
+  try {
+    for (let offset = 0; offset < buffer.length; offset += UNZIP_CHUNK_BYTES) {
+      unzipper.push(buffer.subarray(offset, offset + UNZIP_CHUNK_BYTES), offset + UNZIP_CHUNK_BYTES >= buffer.length);
+    }
+  } catch (error) {
+    if (error instanceof BatchError) throw error;
+    throw new BatchError(`${archiveName} is not a readable ZIP archive: ${error.message}`);
+  }
+
+  return files
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(({ name, buffer }) => ({
+      buffer,
+      filename: name,
+      mimeType: MIME_TYPES[path.extname(name).slice(1).toLowerCase()] || "application/octet-stream",
+    }));
+}
+
+/**
+ * Running total of the bytes a batch holds once unpacked, failing with 413 past `maxBytes`
+ */
+function byteBudget(maxBytes) {
+  let used = 0;
+  return {
+    charge(bytes, source) {
+      used += bytes;
+      if (used > maxBytes) {
+        throw new BatchError(`The batch unpacks to more than ${maxBytes} bytes (limit reached in ${source})`, 413);
+      }
+    },
+  };
+}
+
+/**
+ * Flatten uploads into one poster per file; ZIP archives contribute every file inside.
+ * `maxUnzippedBytes` bounds the whole batch, loose files included.
+ */
+export function extractBatchFiles(uploads, { maxUnzippedBytes = MAX_UNZIPPED_BYTES } = {}) {
+  const budget = byteBudget(maxUnzippedBytes);
+  const files = uploads.flatMap(upload => {
+    if (isZip(upload.buffer, upload.filename)) return unzipPosters(upload.buffer, upload.filename, budget);
+    budget.charge(upload.buffer.length, upload.filename);
+    return [upload];
+  });
+
+  if (files.length === 0) throw new BatchError("The batch contains no files");
+  if (files.length > MAX_BATCH_FILES) {
+    throw new BatchError(`The batch contains ${files.length} files; at most ${MAX_BATCH_FILES} are allowed`, 413);
+  }
+
+  return files;
+}
+
+/**
+ * The parts of one poster's verdict the committee report needs
+ */
+function summarizeItem(response) {
+  return {
+    submissionId: response.submissionId,
+    candidateName: response.extractedText?.candidateName || null,
+    // Verdicts reused from submissions stored before outcomes existed have no status
+    verdict: response.status || (response.error ? "error" : response.isCompliant ? "compliant" : "non_compliant"),
+    overallScore: response.overallScore ?? null,
+    confidence: response.validationConfidence ?? null,
+    ruleHits: getViolatedRules(response),
+    rejectionReasons: (response.rejectionReasons || []).map(reason =>
+      `${reason.severity}: ${reason.message}${reason.page ? ` (p. ${reason.page})` : ""}`),
+    duplicateOf: response.duplicateOf?.submissionId || null,
+    error: response.error || null,
+  };
+}
+
+/**
+ * Quote a CSV field. Text that a spreadsheet would run as a formula (filenames
+ * and model output are untrusted) is prefixed with an apostrophe.
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Committee review report, one row per file. Starts with a BOM so Excel reads the Arabic correctly.
+ */
+export function toCsvReport(batch) {
+  const rows = batch.items.map(item => [
+    item.filename,
+    item.submissionId,
+    item.candidateName,
+    item.verdict,
+    item.overallScore,
+    item.confidence,
+    (item.ruleHits || []).join("; "),
+    (item.rejectionReasons || []).join(" | "),
+    item.duplicateOf,
+    item.error,
+  ]);
+
+  return "\uFEFF" + [REPORT_COLUMNS, ...rows].map(row => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * Batches of posters validated together, e.g. everything a campaign office sends
+ * in one ZIP. Each file becomes its own submission; the batch record under
+ * `<dataDir>/batches` keeps the per-file summary for the report.
+ */
+export class BatchService {
+
+  constructor({ pipeline, dataDir, concurrency = Number(process.env.BATCH_CONCURRENCY || 3) }) {
+    this.pipeline = pipeline;
+    this.dir = path.join(dataDir, "batches");
+    this.concurrency = concurrency;
+  }
+
+  fileFor(id) {
+    // Ids are UUIDs; anything else must not become a path
+    if (!/^[0-9a-f-]{36}$/.test(id)) return null;
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async get(id) {
+    const file = this.fileFor(id);
+    if (!file) return null;
+
+    try {
+      return JSON.parse(await readFile(file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async save(batch) {
+    await mkdir(this.dir, { recursive: true });
+
+    const file = this.fileFor(batch.id);
+    const tmp = `${file}.tmp`;
+    await writeFile(tmp, JSON.stringify(batch, null, 2));
+    await rename(tmp, file);
+  }
+
+  /**
+   * Record a new batch; the files themselves are processed by `run`
+   */
+  async create(files, { submittedBy = null, language }) {
+    const batch = {
+      id: randomUUID(),
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      status: "queued",
+      submittedBy,
+      language,
+      counts: { total: files.length, done: 0, compliant: 0, nonCompliant: 0, errors: 0 },
+      items: files.map(file => ({ filename: file.filename })),
+    };
+
+    await this.save(batch);
+    return batch;
+  }
+
+  /**
+   * Validate every file of a batch, `concurrency` at a time. Files that fail
+   * (unsupported type, model errors after retries) are reported, not fatal.
+   * Items already validated are skipped, so a re-run resumes the batch.
+   */
+  async run({ batchId, files }, { progress = () => {} } = {}) {
+    const batch = await this.get(batchId);
+    batch.status = "running";
+    await this.save(batch);
+
+    // Saves are chained so concurrent workers never write the file at the same time
+    let saving = Promise.resolve();
+    const persist = () => (saving = saving.then(() => this.save(batch)));
+
+    const count = () => {
+      const done = batch.items.filter(item => item.verdict);
+      batch.counts = {
+        total: batch.items.length,
+        done: done.length,
+        compliant: done.filter(item => item.verdict === "compliant").length,
+        nonCompliant: done.filter(item => item.verdict === "non_compliant").length,
+        errors: done.filter(item => item.verdict === "error").length,
+      };
+      progress("validating", { completed: batch.counts.done, total: batch.counts.total });
+    };
+
+    await mapConcurrent(files, this.concurrency, async (file, index) => {
+      if (batch.items[index].verdict) return;
+
+      try {
+        const response = await this.pipeline.run({ files: [file], submittedBy: batch.submittedBy, language: batch.language });
+        batch.items[index] = { filename: file.filename, ...summarizeItem(response) };
+      } catch (error) {
+        batch.items[index] = { filename: file.filename, verdict: "error", ruleHits: [], rejectionReasons: [], error: error.message };
+      }
+
+      count();
+      await persist();
+    });
+
+    batch.status = "completed";
+    batch.finishedAt = new Date().toISOString();
+    count();
+    await persist();
+
+    return { batchId: batch.id, counts: batch.counts, reportUrl: `/api/batches/${batch.id}/report.csv` };
+  }
+}
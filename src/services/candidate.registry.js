@@ -0,0 +1,313 @@
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import path from "path";
+import { normalizeArabic } from "./arabic.normalize.js";
+import { detectWilaya } from "./submission.store.js";
+
+const MATCH_THRESHOLD = Number(process.env.CANDIDATE_MATCH_THRESHOLD || 0.85);
+// Two registered candidates scoring this close are indistinguishable from the poster
+const AMBIGUITY_MARGIN = 0.03;
+// Lineage words posters often drop ("فيصل بن علي" vs "فيصل علي")
+const LINEAGE_TOKENS = ["بن", "بنت", "ابن"];
+const REQUIRED_COLUMNS = ["id", "name", "wilaya"];
+const REGISTRY_WARNINGS = ["UNREGISTERED_CANDIDATE", "AMBIGUOUS_CANDIDATE", "WILAYA_MISMATCH", "NOT_CANDIDATE_OWNER"];
+
+export class CandidateImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CandidateImportError";
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * Name tokens for matching: normalized Arabic, no lineage words, no "ال" prefix
+ */
+export function nameTokens(name) {
+  return normalizeArabic(name).text
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter(token => token && !LINEAGE_TOKENS.includes(token))
+    .map(token => (token.length > 3 && token.startsWith("ال") ? token.slice(2) : token));
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function similarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  return length === 0 ? 1 : 1 - levenshtein(a, b) / length;
+}
+
+/**
+ * Similarity (0-1) between a name read from a poster and a registered name.
+ *
+ * Every poster token must find a close registry token (posters often shorten
+ * the full lineage name to given name + family name), and the given names
+ * must agree.
+ */
+export function nameSimilarity(posterName, registeredName) {
+  const poster = nameTokens(posterName);
+  const registered = nameTokens(registeredName);
+  if (poster.length === 0 || registered.length === 0) return 0;
+
+  const coverage = poster
+    .map(token => Math.max(...registered.map(candidate => similarity(token, candidate))))
+    .reduce((sum, score) => sum + score, 0) / poster.length;
+
+  const givenName = similarity(poster[0], registered[0]);
+
+  return Math.round(Math.min(coverage, givenName) * 1000) / 1000;
+}
+
+function sameWilaya(a, b) {
+  return nameTokens(a).join(" ") === nameTokens(b).join(" ");
+}
+
+/**
+ * Registered candidates, imported from the elections office CSV export.
+ *
+ * CSV columns: id, name, wilaya, and optionally accounts (the upload accounts
+ * allowed to submit for that candidate, separated by ";"). Stored as
+ * `<dataDir>/candidates.json`.
+ */
+export class CandidateRegistry {
+
+  constructor(dataDir) {
+    this.file = path.join(dataDir, "candidates.json");
+    this.candidates = null;
+    this.importedAt = null;
+  }
+
+  async load() {
+    if (this.candidates) return;
+
+    try {
+      const data = JSON.parse(await readFile(this.file, "utf8"));
+      this.candidates = data.candidates;
+      this.importedAt = data.importedAt;
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      this.candidates = [];
+    }
+  }
+
+  async save() {
+    await mkdir(path.dirname(this.file), { recursive: true });
+
+    const tmp = `${this.file}.tmp`;
+    await writeFile(tmp, JSON.stringify({ importedAt: this.importedAt, candidates: this.candidates }, null, 2));
+    await rename(tmp, this.file);
+  }
+
+  /**
+   * Import candidates from CSV text. Replaces the registry unless `merge` is set,
+   * in which case rows update candidates with the same id. Invalid rows are
+   * reported and skipped.
+   */
+  async importCsv(text, { merge = false } = {}) {
+    await this.load();
+
+    const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+    const columns = (header || []).map(column => column.trim().toLowerCase());
+    const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length) {
+      throw new CandidateImportError(`CSV is missing columns: ${missing.join(", ")}`);
+    }
+
+    const imported = [];
+    const errors = [];
+    const seen = new Set();
+
+    rows.forEach((cells, index) => {
+      const line = index + 2;
+      const row = Object.fromEntries(columns.map((column, i) => [column, (cells[i] || "").trim()]));
+
+      if (!row.id || !row.name || !row.wilaya) {
+        errors.push({ line, error: "id, name and wilaya are required" });
+        return;
+      }
+      if (seen.has(row.id)) {
+        errors.push({ line, error: `Duplicate candidate id ${row.id}` });
+        return;
+      }
+      seen.add(row.id);
+
+      imported.push({
+        id: row.id,
+        name: row.name,
+        wilaya: row.wilaya,
+        accounts: (row.accounts || "").split(";").map(account => account.trim()).filter(Boolean),
+      });
+    });
+
+    const byId = new Map((merge ? this.candidates : []).map(candidate => [candidate.id, candidate]));
+    for (const candidate of imported) byId.set(candidate.id, candidate);
+
+    this.candidates = [...byId.values()];
+    this.importedAt = new Date().toISOString();
+    await this.save();
+
+    return { imported: imported.length, total: this.candidates.length, errors };
+  }
+
+  async list() {
+    await this.load();
+    return this.candidates;
+  }
+
+  /**
+   * Registered candidates ranked by name similarity, best first (above the threshold only)
+   */
+  async match(name, { threshold = MATCH_THRESHOLD } = {}) {
+    await this.load();
+    if (!name) return [];
+
+    return this.candidates
+      .map(candidate => ({ candidate, score: nameSimilarity(name, candidate.name) }))
+      .filter(({ score }) => score >= threshold)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Check the poster's candidate against the registry: is the name registered,
+   * does the wilaya on the poster match the candidate's, and may this account
+   * submit for them. Returns the check and any warnings to attach to the result;
+   * null when no registry has been imported.
+   */
+  async crossCheck(result, { account = null } = {}) {
+    await this.load();
+    if (this.candidates.length === 0) return null;
+
+    const extractedName = result.extractedText?.candidateName || null;
+    const posterWilaya = detectWilaya(result);
+    const check = {
+      status: "matched",
+      extractedName,
+      candidate: null,
+      score: null,
+      posterWilaya,
+      wilayaMatches: null,
+      ownedByAccount: null,
+    };
+    const warnings = [];
+    const warn = (type, message, confidence) => warnings.push({ type, rule: "CANDIDATE_NAME", message, confidence });
+
+    if (!extractedName) {
+      check.status = "no_name";
+      return { check, warnings };
+    }
+
+    const [best, second] = await this.match(extractedName);
+    if (!best) {
+      check.status = "unregistered";
+      warn("UNREGISTERED_CANDIDATE", `"${extractedName}" does not match any registered candidate.`, 80);
+      return { check, warnings };
+    }
+
+    if (second && best.score - second.score < AMBIGUITY_MARGIN && !posterWilaya) {
+      check.status = "ambiguous";
+      warn("AMBIGUOUS_CANDIDATE", `"${extractedName}" matches several registered candidates (${best.candidate.id}, ${second.candidate.id}).`, 60);
+    }
+
+    // With a wilaya on the poster, prefer the close match registered there
+    const matches = [best, second].filter(match => match && best.score - match.score < AMBIGUITY_MARGIN);
+    const chosen = (posterWilaya && matches.find(({ candidate }) => sameWilaya(candidate.wilaya, posterWilaya))) || best;
+
+    check.candidate = { id: chosen.candidate.id, name: chosen.candidate.name, wilaya: chosen.candidate.wilaya };
+    check.score = chosen.score;
+
+    if (posterWilaya) {
+      check.wilayaMatches = sameWilaya(chosen.candidate.wilaya, posterWilaya);
+      if (!check.wilayaMatches) {
+        warn("WILAYA_MISMATCH", `Poster mentions ولاية ${posterWilaya} but ${chosen.candidate.name} is registered in ${chosen.candidate.wilaya}.`, 80);
+      }
+    }
+
+    if (account && chosen.candidate.accounts.length > 0) {
+      check.ownedByAccount = chosen.candidate.accounts.includes(account);
+      if (!check.ownedByAccount) {
+        warn("NOT_CANDIDATE_OWNER", `Account ${account} is not authorized to submit posters for ${chosen.candidate.name} (${chosen.candidate.id}).`, 90);
+      }
+    }
+
+    return { check, warnings };
+  }
+
+  /**
+   * Copy of the result carrying a fresh `candidateCheck` and registry warnings
+   * (any from an earlier check, e.g. a reused duplicate verdict, are replaced)
+   */
+  async applyTo(result, options = {}) {
+    const outcome = await this.crossCheck(result, options);
+    if (!outcome) return result;
+
+    const warnings = [
+      ...(result.warnings || []).filter(warning => !REGISTRY_WARNINGS.includes(warning.type)),
+      ...outcome.warnings,
+    ];
+
+    const checked = { ...result, candidateCheck: outcome.check, warnings };
+    if (warnings.length === 0) delete checked.warnings;
+    return checked;
+  }
+}
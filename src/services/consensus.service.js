@@ -0,0 +1,201 @@
+import { createProvider } from "../providers/index.js";
+
+const MODES = ["off", "auto", "always"];
+
+// Warnings that mean the single verdict is shaky enough to ask again
+export const TRIGGER_WARNINGS = ["POSSIBLE_FALSE_POSITIVE", "MISSING_CONTEXT"];
+
+/**
+ * Every rule a result decided, as rule -> violated (true/false)
+ */
+export function ruleDecisions(result) {
+  const categories = result.categories || {};
+  const decisions = {};
+  const decide = (rule, violated) => {
+    decisions[rule] = decisions[rule] === true || violated;
+  };
+
+  categories.prohibitedContent?.items?.forEach(item => decide(item.rule, item.found === true));
+  categories.contentScope?.items?.forEach(item => decide(item.rule, item.violated === true));
+  categories.languageEthics?.items?.forEach(item => decide(item.rule, item.passed === false));
+  categories.requiredContent?.items?.forEach(item => decide(item.element, item.present === false));
+
+  return decisions;
+}
+
+/**
+ * Per-rule votes across samples. A rule a sample did not report counts as "not violated".
+ * `agreement` is the share of samples on the majority side (1 = unanimous).
+ */
+export function mergeVotes(results) {
+  const decisions = results.map(ruleDecisions);
+  const rules = [...new Set(decisions.flatMap(Object.keys))].sort();
+  const count = votes => {
+    const violations = votes.filter(Boolean).length;
+    const majority = Math.max(violations, votes.length - violations);
+    return {
+      violations,
+      samples: votes.length,
+      agreement: Math.round((majority / votes.length) * 100) / 100,
+      // A tie is not a majority for rejecting
+      decision: violations > votes.length - violations,
+    };
+  };
+
+  return {
+    compliance: count(results.map(result => !result.isCompliant)),
+    rules: Object.fromEntries(rules.map(rule => [rule, count(decisions.map(decision => decision[rule] === true))])),
+  };
+}
+
+/**
+ * Index of the sample closest to the majority: among the samples on the winning
+ * side of the compliance vote, the one that agrees with the most rule votes
+ * (earliest wins ties). A sample from the losing side is never chosen, however
+ * many rules it agrees on, so the final verdict is always the majority's.
+ */
+function closestToMajority(results, votes) {
+  const scores = results.map(result => {
+    if ((!result.isCompliant) !== votes.compliance.decision) return -1;
+
+    const decisions = ruleDecisions(result);
+    return Object.entries(votes.rules).filter(([rule, vote]) => (decisions[rule] === true) === vote.decision).length;
+  });
+
+  return scores.indexOf(Math.max(...scores));
+}
+
+/**
+ * Consensus mode: for borderline posters, ask N samples (the same model at a
+ * higher temperature) or several models, merge their per-rule votes, and send
+ * the poster to human review when they disagree.
+ *
+ * - CONSENSUS_MODE: "off" (default) | "auto" (low confidence or a trigger warning) | "always"
+ * - CONSENSUS_SAMPLES: total samples including the first verdict (default 3)
+ * - CONSENSUS_MODELS: comma-separated `provider:model` list; when set, one sample per model
+ *   instead of resampling the primary model
+ * - CONSENSUS_CONFIDENCE: validationConfidence below which "auto" runs (default 70)
+ * - CONSENSUS_MIN_AGREEMENT: per-rule agreement below which the poster is escalated (default 1, i.e. unanimous)
+ *
+ * A tie is not a majority for rejecting: with an even number of samples, a
+ * 1-1 (or 2-2) split keeps the poster compliant, and a rule flagged by half
+ * the samples counts as not violated. Such a split is always escalated unless
+ * CONSENSUS_MIN_AGREEMENT is 0.5 or lower; prefer an odd CONSENSUS_SAMPLES.
+ */
+export class ConsensusService {
+
+  constructor({
+    mode = process.env.CONSENSUS_MODE || "off",
+    samples = Number(process.env.CONSENSUS_SAMPLES || 3),
+    models = (process.env.CONSENSUS_MODELS || "").split(",").map(model => model.trim()).filter(Boolean),
+    providers = null,
+    temperature = Number(process.env.CONSENSUS_TEMPERATURE || 0.7),
+    confidenceThreshold = Number(process.env.CONSENSUS_CONFIDENCE || 70),
+    minAgreement = Number(process.env.CONSENSUS_MIN_AGREEMENT || 1),
+  } = {}) {
+    if (!MODES.includes(mode)) throw new Error(`Unknown consensus mode: ${mode}`);
+
+    this.mode = mode;
+    this.samples = samples;
+    this.models = models;
+    this.providers = providers;
+    this.temperature = temperature;
+    this.confidenceThreshold = confidenceThreshold;
+    this.minAgreement = minAgreement;
+  }
+
+  /**
+   * Why this result needs a second opinion, or null if it does not
+   */
+  trigger(result) {
+    if (this.mode === "off" || result.status === "error") return null;
+    if (this.mode === "always") return "always";
+
+    if ((result.validationConfidence ?? 100) < this.confidenceThreshold) return "low_confidence";
+    const warning = (result.warnings || []).find(warning => TRIGGER_WARNINGS.includes(warning.type));
+    return warning ? `warning:${warning.type}` : null;
+  }
+
+  /**
+   * Providers for the extra samples: the configured models (created on first
+   * use), or the primary model resampled at a higher temperature
+   */
+  sampleProviders(primary) {
+    if (!this.providers && this.models.length > 0) {
+      this.providers = this.models.map(spec => {
+        const [provider, ...model] = spec.split(":");
+        return createProvider({ provider, model: model.join(":") || undefined });
+      });
+    }
+    if (this.providers) return this.providers;
+
+    const resampled = {
+      name: primary.name,
+      model: primary.model,
+      analyze: request => primary.analyze({ ...request, temperature: this.temperature }),
+    };
+    return Array.from({ length: Math.max(0, this.samples - 1) }, () => resampled);
+  }
+
+  /**
+   * Collect the extra samples (`sample(provider)` runs one full validation),
+   * merge the votes and return the verdict closest to the majority with a
+   * `consensus` report attached
+   */
+  async run(primary, primaryProvider, sample, trigger = this.trigger(primary)) {
+    const extra = await Promise.all(
+      this.sampleProviders(primaryProvider).map(async provider => ({ provider, result: await sample(provider) }))
+    );
+
+    // Samples that failed technically do not vote
+    const voters = [{ provider: primaryProvider, result: primary }, ...extra]
+      .filter(({ result }) => result.status !== "error");
+    const results = voters.map(({ result }) => result);
+    const votes = mergeVotes(results);
+
+    const disagreements = Object.entries(votes.rules)
+      .filter(([, vote]) => vote.agreement < this.minAgreement)
+      .map(([rule]) => rule);
+    const verdictSplit = votes.compliance.agreement < this.minAgreement;
+    const chosen = closestToMajority(results, votes);
+
+    const final = results[chosen];
+    final.consensus = {
+      trigger,
+      samples: voters.map(({ provider, result }) => ({
+        provider: provider.name,
+        model: provider.model,
+        isCompliant: result.isCompliant,
+        violatedRules: Object.entries(ruleDecisions(result)).filter(([, violated]) => violated).map(([rule]) => rule),
+        validationConfidence: result.validationConfidence,
+      })),
+      failedSamples: extra.length + 1 - voters.length,
+      chosenSample: chosen,
+      compliance: votes.compliance,
+      rules: votes.rules,
+      disagreements,
+      escalated: verdictSplit || disagreements.length > 0,
+    };
+
+    if (final.consensus.escalated) {
+      final.warnings = [
+        ...(final.warnings || []),
+        ...disagreements.map(rule => ({
+          type: "MODEL_DISAGREEMENT",
+          rule,
+          message: `${votes.rules[rule].violations} of ${votes.rules[rule].samples} samples flagged ${rule}. Needs human review.`,
+          confidence: Math.round(votes.rules[rule].agreement * 100),
+        })),
+      ];
+    }
+
+    return final;
+  }
+}
+
+/**
+ * Whether a (possibly multi-page) result was escalated to human review by consensus
+ */
+export function isEscalated(result) {
+  return result?.consensus?.escalated === true || (result?.pages || []).some(page => isEscalated(page.result));
+}
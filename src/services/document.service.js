@@ -0,0 +1,206 @@
+import { pdf } from "pdf-to-img";
+import { ValidationService } from "./ai.service.js";
+import { assertSupportedImage } from "./image.preprocess.js";
+import { LANGUAGES, REJECTION_MESSAGES, translate } from "./messages.js";
+import { sortBySeverity } from "./rejection.reasons.js";
+
+const MAX_PDF_PAGES = Number(process.env.MAX_PDF_PAGES || 20);
+const PDF_SCALE = 2; // ~150 DPI for A4, enough for OCR of small print
+
+export class DocumentError extends Error {
+  constructor(message, statusCode = 422) {
+    super(message);
+    this.name = "DocumentError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * PDF detection by magic bytes, falling back to the declared MIME type
+ */
+export function isPdf(buffer, mimeType) {
+  return buffer.subarray(0, 5).toString("latin1") === "%PDF-" || mimeType === "application/pdf";
+}
+
+/**
+ * Rasterize every page of an uploaded PDF. A file that is malformed, encrypted
+ * or too long is the uploader's to fix, so it fails with a 422 rather than as
+ * a server error.
+ */
+async function renderPdf(file) {
+  const name = file.filename || "PDF";
+
+  try {
+    const document = await pdf(file.buffer, { scale: PDF_SCALE });
+    if (document.length > MAX_PDF_PAGES) {
+      throw new DocumentError(`${name} has ${document.length} pages; at most ${MAX_PDF_PAGES} are allowed`);
+    }
+
+    const images = [];
+    for await (const image of document) images.push(image);
+    return images;
+  } catch (error) {
+    if (error instanceof DocumentError) throw error;
+    if (error.name === "PasswordException") {
+      throw new DocumentError(`${name} is password-protected; upload it without a password`);
+    }
+    throw new DocumentError(`${name} could not be read as a PDF (${error.message})`);
+  }
+}
+
+/**
+ * Turn uploaded files into a flat list of pages to validate.
+ * Images are one page each; PDFs are rasterized to PNG per page.
+ */
+export async function expandUploads(files) {
+  const pages = [];
+
+  for (const file of files) {
+    if (!isPdf(file.buffer, file.mimeType)) {
+      // Reject unsupported uploads before any model call is paid for
+      assertSupportedImage(file.buffer, file.filename);
+      pages.push({ buffer: file.buffer, mimeType: file.mimeType, source: file.filename, sourcePage: 1 });
+      continue;
+    }
+
+    const images = await renderPdf(file);
+    images.forEach((image, i) => {
+      pages.push({ buffer: image, mimeType: "image/png", source: file.filename, sourcePage: i + 1 });
+    });
+  }
+
+  return pages.map((page, i) => ({ ...page, pageNumber: i + 1 }));
+}
+
+/**
+ * Tag every item of a category with the page it came from
+ */
+function tagItems(category, pageNumber) {
+  return (category?.items || []).map(item => ({ ...item, page: pageNumber }));
+}
+
+/**
+ * Merge one category across pages: flagged items are kept per page,
+ * unflagged checks are listed once (only when no page flagged that rule).
+ */
+function mergeCategory(pages, name, key, isFlagged) {
+  const items = pages.flatMap(({ pageNumber, result }) => tagItems(result.categories?.[name], pageNumber));
+  const flagged = items.filter(isFlagged);
+  const flaggedRules = new Set(flagged.map(item => item[key]));
+
+  const passed = [];
+  for (const item of items.filter(item => !isFlagged(item))) {
+    if (flaggedRules.has(item[key]) || passed.some(p => p[key] === item[key])) continue;
+    const { page, ...rest } = item;
+    passed.push(rest);
+  }
+
+  return { status: flagged.length ? "fail" : "pass", items: [...flagged, ...passed] };
+}
+
+/**
+ * Combine per-page results into one submission verdict.
+ * Any non-compliant page fails the whole submission.
+ */
+export function aggregatePageResults(pages) {
+  const results = pages.map(page => page.result);
+  const errored = pages.filter(page => page.result.status === "error");
+  const failing = pages.filter(page => !page.result.isCompliant && page.result.status !== "error");
+  const isCompliant = failing.length === 0;
+
+  // A page that could not be checked leaves the whole submission unchecked
+  if (errored.length > 0) {
+    const [first] = errored;
+    return {
+      status: "error",
+      isCompliant: null,
+      overallScore: null,
+      summary: `Pages ${errored.map(p => p.pageNumber).join(", ")} of ${pages.length} could not be checked due to a technical error.`,
+      rejectionReason: null,
+      rejectionReasons: [],
+      error: `Page ${first.pageNumber}: ${first.result.error}`,
+      errorMessage: first.result.errorMessage,
+      retryable: errored.some(page => page.result.retryable),
+      pages: pages.map(({ pageNumber, source, sourcePage, result }) => ({ pageNumber, source, sourcePage, result })),
+      metadata: { timestamp: new Date().toISOString(), pageCount: pages.length },
+    };
+  }
+
+  const rejectionMessage = Object.fromEntries(LANGUAGES.map(language => [language, failing
+    .filter(page => page.result.rejectionReason)
+    .map(page => translate(REJECTION_MESSAGES.PAGE, language, {
+      page: page.pageNumber,
+      reason: page.result.rejectionMessage?.[language] ?? page.result.rejectionReason,
+    }))
+    .join(" | ") || null]));
+
+  return {
+    status: isCompliant ? "compliant" : "non_compliant",
+    isCompliant,
+    overallScore: Math.min(...results.map(r => r.overallScore ?? 0)),
+    summary: isCompliant
+      ? `All ${pages.length} pages comply with election campaign regulations.`
+      : `${failing.length} of ${pages.length} pages do not comply (pages ${failing.map(p => p.pageNumber).join(", ")}).`,
+    rejectionReason: rejectionMessage.en,
+    ...(rejectionMessage.en && { rejectionMessage }),
+    rejectionReasons: sortBySeverity(pages.flatMap(({ pageNumber, result }) =>
+      (result.rejectionReasons || []).map(reason => ({ ...reason, page: pageNumber })))),
+    documentType: results.find(r => r.documentType?.isElectionPropaganda === false)?.documentType || results[0].documentType,
+    imageQuality: {
+      isAcceptable: results.every(r => r.imageQuality?.isAcceptable !== false),
+      issues: [...new Set(results.flatMap(r => r.imageQuality?.issues || []))],
+    },
+    categories: {
+      prohibitedContent: mergeCategory(pages, "prohibitedContent", "rule", item => item.found),
+      contentScope: mergeCategory(pages, "contentScope", "rule", item => item.violated),
+      // Required elements only need to appear somewhere in the submission
+      requiredContent: mergeCategory(pages, "requiredContent", "element", () => false),
+      languageEthics: mergeCategory(pages, "languageEthics", "rule", item => item.passed === false),
+    },
+    extractedText: {
+      rawText: pages.map(p => `[Page ${p.pageNumber}]\n${p.result.extractedText?.rawText || ""}`).join("\n\n"),
+      candidateName: results.find(r => r.extractedText?.candidateName)?.extractedText.candidateName || null,
+      candidateNumber: results.find(r => r.extractedText?.candidateNumber)?.extractedText.candidateNumber || null,
+      phoneNumber: results.find(r => r.extractedText?.phoneNumber)?.extractedText.phoneNumber || null,
+      objectives: results.flatMap(r => r.extractedText?.objectives || []),
+      containsNonArabic: results.some(r => r.extractedText?.containsNonArabic),
+    },
+    warnings: pages.flatMap(({ pageNumber, result }) => (result.warnings || []).map(w => ({ ...w, page: pageNumber }))),
+    validationConfidence: Math.min(...results.map(r => r.validationConfidence ?? 100)),
+    _analysis_trace: {
+      step1_content_extraction: pages.map(p => `Page ${p.pageNumber}: ${p.result._analysis_trace?.step1_content_extraction}`).join("\n"),
+      step2_document_type: pages.map(p => `Page ${p.pageNumber}: ${p.result._analysis_trace?.step2_document_type}`).join("\n"),
+      step3_violations_found: pages.flatMap(p => (p.result._analysis_trace?.step3_violations_found || []).map(v => `Page ${p.pageNumber}: ${v}`)),
+      step4_decision_logic: isCompliant
+        ? "Compliant - every page passed"
+        : `Non-compliant - failing pages: ${failing.map(p => p.pageNumber).join(", ")}`,
+    },
+    pages: pages.map(({ pageNumber, source, sourcePage, result }) => ({ pageNumber, source, sourcePage, result })),
+    metadata: {
+      ...results[0].metadata,
+      timestamp: new Date().toISOString(),
+      pageCount: pages.length,
+    },
+  };
+}
+
+/**
+ * Validate a submission of one or more images and/or PDFs.
+ * A single image returns the plain poster result; anything else is aggregated per page.
+ * `onPage(pageNumber, pageCount)` is called before each page is sent to the model.
+ */
+export async function validateDocument(files, { onPage, ...options } = {}) {
+  const service = new ValidationService(options);
+  const pages = await expandUploads(files);
+
+  for (const page of pages) {
+    onPage?.(page.pageNumber, pages.length);
+    page.result = await service.validatePoster(page.buffer, { mimeType: page.mimeType, filename: page.source });
+  }
+
+  if (pages.length === 1 && !isPdf(files[0].buffer, files[0].mimeType)) {
+    return pages[0].result;
+  }
+
+  return aggregatePageResults(pages);
+}
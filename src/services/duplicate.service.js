@@ -0,0 +1,180 @@
+import sharp from "sharp";
+import { detectMimeType } from "./image.preprocess.js";
+
+const NEAR_DUPLICATE_DISTANCE = Number(process.env.NEAR_DUPLICATE_DISTANCE || 8);
+const REGION_CHANGE_THRESHOLD = 0.08;
+const GRID = [
+  ["top-left", "top", "top-right"],
+  ["left", "center", "right"],
+  ["bottom-left", "bottom", "bottom-right"],
+];
+
+/**
+ * 64-bit difference hash (dHash): robust to re-encoding, resizing and small edits
+ */
+export async function perceptualHash(buffer) {
+  const pixels = await sharp(buffer).rotate().greyscale().resize(9, 8, { fit: "fill" }).raw().toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, "0");
+}
+
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Perceptual hash for uploads that are plain images (PDFs and unknown files have none)
+ */
+export async function perceptualHashOf(buffer) {
+  const mimeType = detectMimeType(buffer);
+  if (!mimeType || !mimeType.startsWith("image/")) return null;
+
+  try {
+    return await perceptualHash(buffer);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Mean absolute pixel difference (0-1) per 3x3 region between two images
+ */
+export async function regionDiff(before, after) {
+  const size = 96;
+  const load = buffer => sharp(buffer).rotate().greyscale().resize(size, size, { fit: "fill" }).raw().toBuffer();
+  const [a, b] = await Promise.all([load(before), load(after)]);
+
+  const cell = size / 3;
+  const regions = {};
+
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      let total = 0;
+      for (let y = row * cell; y < (row + 1) * cell; y++) {
+        for (let x = col * cell; x < (col + 1) * cell; x++) {
+          total += Math.abs(a[y * size + x] - b[y * size + x]);
+        }
+      }
+      regions[GRID[row][col]] = Math.round((total / (cell * cell * 255)) * 1000) / 1000;
+    }
+  }
+
+  return regions;
+}
+
+/**
+ * Map the model's free-text location ("top left", "top-center", "middle") to a grid region
+ */
+export function toRegion(location) {
+  const text = String(location || "").toLowerCase();
+  const vertical = text.includes("top") ? "top" : text.includes("bottom") ? "bottom" : null;
+  const horizontal = text.includes("left") ? "left" : text.includes("right") ? "right" : null;
+
+  if (vertical && horizontal) return `${vertical}-${horizontal}`;
+  if (vertical || horizontal) return vertical || horizontal;
+  if (text.includes("center") || text.includes("middle")) return "center";
+  return null;
+}
+
+/**
+ * Finds resubmissions among stored submissions
+ */
+export class DuplicateService {
+
+  constructor(store, { maxDistance = NEAR_DUPLICATE_DISTANCE } = {}) {
+    this.store = store;
+    this.maxDistance = maxDistance;
+  }
+
+  /**
+   * Earlier submission with byte-identical files and a usable (non-error) verdict
+   */
+  async findExact(imageHash) {
+    const { items } = await this.store.list({ limit: Infinity });
+
+    return items
+      .filter(record => record.imageHash === imageHash && !record.duplicateOf && !record.result?.error)
+      .pop() || null;
+  }
+
+  /**
+   * Closest earlier single-image submission within the perceptual distance threshold
+   */
+  async findSimilar(hash) {
+    if (!hash) return null;
+
+    const { items } = await this.store.list({ limit: Infinity });
+    let best = null;
+
+    for (const record of items) {
+      if (!record.perceptualHash || record.duplicateOf || record.result?.error) continue;
+
+      const distance = hammingDistance(hash, record.perceptualHash);
+      if (distance <= this.maxDistance && (!best || distance < best.distance)) {
+        best = { record, distance };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Compare a near-duplicate with the earlier submission: which regions changed
+   * and whether each previously flagged item is gone
+   */
+  async describeChanges({ record, distance }, buffer, result) {
+    const previous = await this.store.readImage(record);
+    const regions = await regionDiff(previous.buffer, buffer);
+    const changedRegions = Object.keys(regions).filter(region => regions[region] >= REGION_CHANGE_THRESHOLD);
+
+    const nowFlagged = new Set([
+      ...(result.categories?.prohibitedContent?.items || []).filter(item => item.found).map(item => item.rule),
+      ...(result.categories?.contentScope?.items || []).filter(item => item.violated).map(item => item.rule),
+    ]);
+
+    const previouslyFlagged = [
+      ...(record.result.categories?.prohibitedContent?.items || []).filter(item => item.found),
+      ...(record.result.categories?.contentScope?.items || []).filter(item => item.violated),
+    ].map(item => {
+      const region = toRegion(item.location);
+      return {
+        rule: item.rule,
+        location: item.location || null,
+        region,
+        regionChanged: region ? changedRegions.includes(region) : null,
+        status: nowFlagged.has(item.rule) ? "still_present" : "resolved",
+      };
+    });
+
+    const summary = previouslyFlagged.length
+      ? previouslyFlagged.map(item => {
+        const where = item.location ? ` at ${item.location}` : "";
+        const change = item.regionChanged === null ? "" : item.regionChanged ? " (region changed)" : " (region unchanged)";
+        return `${item.rule}${where}: ${item.status === "resolved" ? "resolved" : "still present"}${change}`;
+      }).join("; ")
+      : "Previous submission had no flagged items";
+
+    return {
+      submissionId: record.id,
+      previousVerdict: record.isCompliant,
+      distance,
+      regions,
+      changedRegions,
+      previouslyFlagged,
+      summary,
+    };
+  }
+}
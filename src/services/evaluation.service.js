@@ -0,0 +1,256 @@
+import { readdir, readFile } from "fs/promises";
+import path from "path";
+import { getViolatedRules } from "./submission.store.js";
+
+const IMAGE_FILE = /\.(jpe?g|png|webp|gif)$/i;
+const CONFIDENCE_BINS = [[50, 60], [60, 70], [70, 80], [80, 90], [90, 101]];
+
+/**
+ * Load a labeled dataset: every image needs a sibling JSON label with the same name,
+ * e.g. `poster-01.jpg` + `poster-01.json`:
+ *
+ *   { "isCompliant": false, "rules": ["CANDIDATE_NUMBER"], "actualType": "election_poster" }
+ */
+export async function loadDataset(dir) {
+  const files = (await readdir(dir)).sort();
+  const samples = [];
+
+  for (const file of files.filter(f => IMAGE_FILE.test(f))) {
+    const base = file.replace(IMAGE_FILE, "");
+    const labelFile = files.find(f => f === `${base}.json`);
+    if (!labelFile) throw new Error(`Missing label ${base}.json for ${file}`);
+
+    const label = JSON.parse(await readFile(path.join(dir, labelFile), "utf8"));
+    if (typeof label.isCompliant !== "boolean") throw new Error(`${labelFile}: isCompliant must be a boolean`);
+
+    samples.push({
+      id: base,
+      file,
+      buffer: await readFile(path.join(dir, file)),
+      expected: {
+        isCompliant: label.isCompliant,
+        rules: label.rules || [],
+        actualType: label.actualType || null,
+      },
+    });
+  }
+
+  return samples;
+}
+
+/**
+ * Precision/recall/F1 from raw counts (null when undefined). F1 is 0, not
+ * undefined, when there were positives but none were caught.
+ */
+function ratios({ tp, fp, fn }) {
+  const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+  const f1 = tp + fp + fn > 0 ? (2 * tp) / (2 * tp + fp + fn) : null;
+  return { precision, recall, f1 };
+}
+
+/**
+ * Reduce a validation result to what the evaluation compares
+ */
+export function toPrediction(result) {
+  return {
+    isCompliant: result.isCompliant === true,
+    rules: getViolatedRules(result),
+    actualType: result.documentType?.actualType || null,
+    confidence: result.validationConfidence ?? null,
+    error: result.error || null,
+  };
+}
+
+/**
+ * Score predictions against labels.
+ * "Positive" means non-compliant, so verdict recall is the share of bad posters caught.
+ */
+export function evaluate(samples, results, meta = {}) {
+  const predictions = samples.map((sample, i) => ({
+    id: sample.id,
+    file: sample.file,
+    expected: sample.expected,
+    predicted: toPrediction(results[i]),
+  }));
+
+  const scored = predictions.filter(p => !p.predicted.error);
+
+  // Overall verdict
+  const verdict = { tp: 0, fp: 0, fn: 0, tn: 0 };
+  for (const { expected, predicted } of scored) {
+    if (!expected.isCompliant && !predicted.isCompliant) verdict.tp++;
+    else if (expected.isCompliant && !predicted.isCompliant) verdict.fp++;
+    else if (!expected.isCompliant && predicted.isCompliant) verdict.fn++;
+    else verdict.tn++;
+  }
+
+  // Per-rule hits
+  const rules = {};
+  for (const { expected, predicted } of scored) {
+    for (const rule of new Set([...expected.rules, ...predicted.rules])) {
+      rules[rule] = rules[rule] || { tp: 0, fp: 0, fn: 0 };
+      const inExpected = expected.rules.includes(rule);
+      const inPredicted = predicted.rules.includes(rule);
+      if (inExpected && inPredicted) rules[rule].tp++;
+      else if (inPredicted) rules[rule].fp++;
+      else rules[rule].fn++;
+    }
+  }
+
+  // documentType.actualType confusion matrix: matrix[expected][predicted]
+  const documentTypes = {};
+  for (const { expected, predicted } of scored.filter(p => p.expected.actualType)) {
+    const row = documentTypes[expected.actualType] = documentTypes[expected.actualType] || {};
+    const column = predicted.actualType || "missing";
+    row[column] = (row[column] || 0) + 1;
+  }
+
+  // Calibration: does validationConfidence track verdict accuracy?
+  const calibration = CONFIDENCE_BINS.map(([low, high]) => {
+    const inBin = scored.filter(p => p.predicted.confidence >= low && p.predicted.confidence < high);
+    const correct = inBin.filter(p => p.expected.isCompliant === p.predicted.isCompliant).length;
+    const meanConfidence = inBin.length
+      ? inBin.reduce((sum, p) => sum + p.predicted.confidence, 0) / inBin.length
+      : null;
+
+    return {
+      range: `${low}-${Math.min(high, 100)}`,
+      count: inBin.length,
+      meanConfidence,
+      accuracy: inBin.length ? correct / inBin.length : null,
+    };
+  });
+
+  const expectedCalibrationError = scored.length
+    ? calibration
+      .filter(bin => bin.count > 0)
+      .reduce((sum, bin) => sum + (bin.count / scored.length) * Math.abs(bin.meanConfidence / 100 - bin.accuracy), 0)
+    : null;
+
+  return {
+    meta: { ...meta, evaluatedAt: new Date().toISOString() },
+    samples: predictions.length,
+    errors: predictions.length - scored.length,
+    verdict: {
+      ...verdict,
+      accuracy: scored.length ? (verdict.tp + verdict.tn) / scored.length : null,
+      ...ratios(verdict),
+    },
+    rules: Object.fromEntries(
+      Object.entries(rules).sort(([a], [b]) => a.localeCompare(b)).map(([rule, counts]) => [rule, { ...counts, ...ratios(counts) }])
+    ),
+    documentTypes,
+    calibration,
+    expectedCalibrationError,
+    predictions,
+  };
+}
+
+/**
+ * Diff two evaluation reports (e.g. two prompt or model versions) over the same dataset
+ */
+export function compareReports(base, candidate) {
+  const delta = (a, b) => (a === null || b === null ? null : b - a);
+
+  const rules = {};
+  for (const rule of new Set([...Object.keys(base.rules), ...Object.keys(candidate.rules)])) {
+    const a = base.rules[rule] || {};
+    const b = candidate.rules[rule] || {};
+    rules[rule] = {
+      precision: delta(a.precision ?? null, b.precision ?? null),
+      recall: delta(a.recall ?? null, b.recall ?? null),
+    };
+  }
+
+  const basePredictions = new Map(base.predictions.map(p => [p.id, p]));
+  const changed = [];
+
+  for (const after of candidate.predictions) {
+    const before = basePredictions.get(after.id);
+    if (!before) continue;
+
+    const addedRules = after.predicted.rules.filter(rule => !before.predicted.rules.includes(rule));
+    const removedRules = before.predicted.rules.filter(rule => !after.predicted.rules.includes(rule));
+
+    if (before.predicted.isCompliant !== after.predicted.isCompliant || addedRules.length || removedRules.length) {
+      changed.push({
+        id: after.id,
+        expectedCompliant: after.expected.isCompliant,
+        before: before.predicted.isCompliant,
+        after: after.predicted.isCompliant,
+        fixed: before.predicted.isCompliant !== after.expected.isCompliant && after.predicted.isCompliant === after.expected.isCompliant,
+        broken: before.predicted.isCompliant === before.expected.isCompliant && after.predicted.isCompliant !== after.expected.isCompliant,
+        addedRules,
+        removedRules,
+      });
+    }
+  }
+
+  return {
+    base: base.meta,
+    candidate: candidate.meta,
+    verdict: {
+      accuracy: delta(base.verdict.accuracy, candidate.verdict.accuracy),
+      precision: delta(base.verdict.precision, candidate.verdict.precision),
+      recall: delta(base.verdict.recall, candidate.verdict.recall),
+    },
+    rules,
+    changed,
+  };
+}
+
+const pct = value => (value === null || value === undefined ? "  n/a" : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+/**
+ * Human-readable summary for the terminal
+ */
+export function formatReport(report) {
+  const lines = [];
+  const { verdict } = report;
+
+  lines.push(`Samples: ${report.samples} (${report.errors} technical errors excluded)`);
+  lines.push(`Verdict  accuracy ${pct(verdict.accuracy)}  precision ${pct(verdict.precision)}  recall ${pct(verdict.recall)}`);
+  lines.push(`         TP ${verdict.tp}  FP ${verdict.fp}  FN ${verdict.fn}  TN ${verdict.tn}  (positive = non-compliant)`);
+  lines.push("");
+  lines.push("Per-rule:");
+  for (const [rule, stats] of Object.entries(report.rules)) {
+    lines.push(`  ${rule.padEnd(28)} P ${pct(stats.precision)}  R ${pct(stats.recall)}  (tp ${stats.tp}, fp ${stats.fp}, fn ${stats.fn})`);
+  }
+  lines.push("");
+  lines.push("Document type (expected -> predicted):");
+  for (const [expected, row] of Object.entries(report.documentTypes)) {
+    lines.push(`  ${expected.padEnd(16)} ${Object.entries(row).map(([p, n]) => `${p}: ${n}`).join(", ")}`);
+  }
+  lines.push("");
+  lines.push(`Calibration (ECE ${pct(report.expectedCalibrationError)}):`);
+  for (const bin of report.calibration) {
+    lines.push(`  ${bin.range.padEnd(7)} n=${String(bin.count).padEnd(4)} accuracy ${pct(bin.accuracy)}`);
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Human-readable diff between two reports
+ */
+export function formatComparison(comparison) {
+  const signed = value => (value === null ? "  n/a" : `${value >= 0 ? "+" : ""}${(value * 100).toFixed(1)}pp`);
+  const lines = [];
+
+  lines.push(`Verdict  accuracy ${signed(comparison.verdict.accuracy)}  precision ${signed(comparison.verdict.precision)}  recall ${signed(comparison.verdict.recall)}`);
+  lines.push("");
+  lines.push("Per-rule:");
+  for (const [rule, stats] of Object.entries(comparison.rules)) {
+    lines.push(`  ${rule.padEnd(28)} P ${signed(stats.precision)}  R ${signed(stats.recall)}`);
+  }
+  lines.push("");
+  lines.push(`Changed samples (${comparison.changed.length}):`);
+  for (const change of comparison.changed) {
+    const tag = change.fixed ? "FIXED " : change.broken ? "BROKEN" : "      ";
+    const rules = [...change.addedRules.map(r => `+${r}`), ...change.removedRules.map(r => `-${r}`)].join(" ");
+    lines.push(`  ${tag} ${change.id}: compliant ${change.before} -> ${change.after} ${rules}`);
+  }
+
+  return lines.join("\n");
+}
@@ -0,0 +1,30 @@
+import { watch } from "fs";
+import path from "path";
+
+const RELOAD_DELAY_MS = 200;
+
+/**
+ * Call `reload` whenever `file` changes on disk, once per burst of events
+ * (editors often emit several per save).
+ *
+ * Watches the file's directory, not the file: a save that writes a temporary
+ * file and renames it over the original replaces the inode, and a watch on
+ * the old inode would never fire again.
+ *
+ * Returns the watcher; `close()` it to stop.
+ */
+export function watchFile(file, reload) {
+  const name = path.basename(file);
+  let timer = null;
+
+  const watcher = watch(path.dirname(file), (event, filename) => {
+    // Some platforms do not report the filename; reload to be safe
+    if (filename && filename !== name) return;
+
+    clearTimeout(timer);
+    timer = setTimeout(reload, RELOAD_DELAY_MS);
+  });
+
+  watcher.on("close", () => clearTimeout(timer));
+  return watcher;
+}
@@ -0,0 +1,163 @@
+import sharp from "sharp";
+
+const MAX_IMAGE_DIMENSION = Number(process.env.MAX_IMAGE_DIMENSION || 2048);
+const MIN_IMAGE_SIDE = Number(process.env.MIN_IMAGE_SIDE || 600);
+const BLUR_THRESHOLD = Number(process.env.BLUR_THRESHOLD || 100);
+const BLUR_SAMPLE_WIDTH = 1024;
+
+// Formats the vision models accept as-is
+const MODEL_FORMATS = ["image/jpeg", "image/png", "image/webp"];
+// Formats we can decode and convert before sending (sharp has no BMP decoder,
+// so BMP is detected only to name it in the 415)
+const CONVERTIBLE_FORMATS = ["image/gif", "image/tiff"];
+
+export class UnsupportedImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UnsupportedImageError";
+    this.statusCode = 415;
+  }
+}
+
+export class UnreadableImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UnreadableImageError";
+    this.statusCode = 422;
+  }
+}
+
+/**
+ * Detect the real image type from magic bytes (the upload's declared type is not trusted)
+ */
+export function detectMimeType(buffer) {
+  const hex = buffer.subarray(0, 12).toString("hex");
+  const ascii = buffer.subarray(0, 12).toString("latin1");
+
+  if (hex.startsWith("ffd8ff")) return "image/jpeg";
+  if (hex.startsWith("89504e470d0a1a0a")) return "image/png";
+  if (ascii.startsWith("RIFF") && ascii.slice(8, 12) === "WEBP") return "image/webp";
+  if (ascii.startsWith("GIF87a") || ascii.startsWith("GIF89a")) return "image/gif";
+  if (hex.startsWith("49492a00") || hex.startsWith("4d4d002a")) return "image/tiff";
+  if (ascii.startsWith("BM")) return "image/bmp";
+  if (ascii.slice(4, 8) === "ftyp") return "image/heic";
+  if (ascii.startsWith("%PDF-")) return "application/pdf";
+
+  return null;
+}
+
+/**
+ * Throw unless the buffer is an image we can process
+ */
+export function assertSupportedImage(buffer, filename = "upload") {
+  const mimeType = detectMimeType(buffer);
+  if (!MODEL_FORMATS.includes(mimeType) && !CONVERTIBLE_FORMATS.includes(mimeType)) {
+    throw new UnsupportedImageError(`${filename}: unsupported file type ${mimeType || "(unknown)"}`);
+  }
+  return mimeType;
+}
+
+/**
+ * Variance of the Laplacian over a greyscale sample; low values mean few sharp edges (blur)
+ */
+async function laplacianVariance(image) {
+  const { data, info } = await image
+    .clone()
+    .resize({ width: BLUR_SAMPLE_WIDTH, withoutEnlargement: true })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { width, height } = info;
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value = data[i - width] + data[i + width] + data[i - 1] + data[i + 1] - 4 * data[i];
+      sum += value;
+      sumSquares += value * value;
+      count++;
+    }
+  }
+
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
+
+/**
+ * Prepare an upload for the model: detect the true type, apply EXIF orientation,
+ * downsize oversized images, convert formats the model cannot read, and measure quality.
+ */
+export async function preprocessImage(buffer, { filename } = {}) {
+  const originalMimeType = assertSupportedImage(buffer, filename);
+
+  // Right signature, undecodable body (truncated or corrupt): the uploader's to fix, not a server fault
+  try {
+    return await prepareImage(buffer, originalMimeType);
+  } catch (error) {
+    throw new UnreadableImageError(`${filename || "upload"}: the ${originalMimeType} file is damaged or incomplete and could not be read`);
+  }
+}
+
+async function prepareImage(buffer, originalMimeType) {
+  const metadata = await sharp(buffer).metadata();
+  // EXIF orientations 5-8 swap width and height
+  const swapped = metadata.orientation >= 5;
+  const originalWidth = swapped ? metadata.height : metadata.width;
+  const originalHeight = swapped ? metadata.width : metadata.height;
+
+  const transformations = [];
+  let image = sharp(buffer, { animated: false }).rotate();
+
+  if (metadata.orientation && metadata.orientation !== 1) {
+    transformations.push(`exif_orientation_${metadata.orientation}`);
+  }
+
+  let width = originalWidth;
+  let height = originalHeight;
+  if (Math.max(width, height) > MAX_IMAGE_DIMENSION) {
+    image = image.resize({ width: MAX_IMAGE_DIMENSION, height: MAX_IMAGE_DIMENSION, fit: "inside" });
+    const scale = MAX_IMAGE_DIMENSION / Math.max(width, height);
+    width = Math.round(width * scale);
+    height = Math.round(height * scale);
+    transformations.push(`resized_to_${width}x${height}`);
+  }
+
+  let output = buffer;
+  let mimeType = originalMimeType;
+
+  if (transformations.length > 0 || !MODEL_FORMATS.includes(originalMimeType)) {
+    // Keep PNG (flat graphics, transparency) as PNG; everything else becomes JPEG
+    if (originalMimeType === "image/png") {
+      output = await image.png().toBuffer();
+      mimeType = "image/png";
+    } else {
+      output = await image.flatten({ background: "#ffffff" }).jpeg({ quality: 90 }).toBuffer();
+      mimeType = "image/jpeg";
+    }
+    if (mimeType !== originalMimeType) transformations.push(`converted_to_${mimeType}`);
+  }
+
+  const variance = await laplacianVariance(sharp(output));
+
+  const issues = [];
+  if (Math.min(originalWidth, originalHeight) < MIN_IMAGE_SIDE) issues.push("low_resolution");
+  if (variance < BLUR_THRESHOLD) issues.push("blurry");
+
+  return {
+    buffer: output,
+    mimeType,
+    originalMimeType,
+    transformations,
+    quality: {
+      width: originalWidth,
+      height: originalHeight,
+      laplacianVariance: Math.round(variance * 10) / 10,
+      issues,
+    },
+  };
+}
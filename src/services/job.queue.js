@@ -0,0 +1,166 @@
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
+
+const TERMINAL_STATUSES = ["completed", "failed"];
+
+/**
+ * Public view of a job (the uploaded files stay private)
+ */
+export function describeJob(job) {
+  const { data, ...rest } = job;
+  return rest;
+}
+
+/**
+ * In-process job queue with a bounded worker pool.
+ *
+ * Jobs run `handler(data, { progress, attempt, lastAttempt })`, or with a map of
+ * handlers, the one for the job's `type`. A handler that throws is retried with
+ * exponential backoff until `maxAttempts` is reached (errors with a 4xx
+ * `statusCode` are not retried).
+ * Every state change is emitted as an "update" event with the public job view.
+ *
+ * Jobs live in memory: anything queued or running is lost on restart, and
+ * finished jobs are forgotten after `retentionMs`.
+ *
+ * Job status: queued -> running -> completed | failed (running -> queued between retries)
+ */
+export class JobQueue extends EventEmitter {
+
+  constructor(handler, {
+    concurrency = Number(process.env.JOB_CONCURRENCY || 2),
+    maxAttempts = Number(process.env.JOB_MAX_ATTEMPTS || 3),
+    retryDelayMs = Number(process.env.JOB_RETRY_DELAY_MS || 2000),
+    retentionMs = Number(process.env.JOB_RETENTION_MS || 60 * 60 * 1000),
+  } = {}) {
+    super();
+    this.handler = handler;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.retentionMs = retentionMs;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queue a job and return its public view immediately. `owner` is the
+   * username allowed to follow it besides officers.
+   */
+  enqueue(data, { type = "validation", owner = null } = {}) {
+    const job = {
+      id: randomUUID(),
+      type,
+      owner,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      attempts: 0,
+      progress: { stage: "queued" },
+      result: null,
+      error: null,
+      data,
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.emitUpdate(job);
+    this.drain();
+
+    return describeJob(job);
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? describeJob(job) : null;
+  }
+
+  /**
+   * Position in the queue (1 = next to run), or null once started
+   */
+  position(id) {
+    const index = this.pending.findIndex(job => job.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  isFinished(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+  }
+
+  stats() {
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0 };
+    for (const job of this.jobs.values()) counts[job.status]++;
+    return { concurrency: this.concurrency, ...counts };
+  }
+
+  /**
+   * Start queued jobs while workers are free
+   */
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.running++;
+      this.execute(job).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  async execute(job) {
+    job.attempts++;
+    job.status = "running";
+    job.startedAt = job.startedAt || new Date().toISOString();
+    job.progress = { stage: "started", attempt: job.attempts };
+    this.emitUpdate(job);
+
+    const progress = (stage, details = {}) => {
+      job.progress = { stage, attempt: job.attempts, ...details };
+      this.emitUpdate(job);
+    };
+
+    try {
+      const handler = typeof this.handler === "function" ? this.handler : this.handler[job.type];
+      job.result = await handler(job.data, {
+        progress,
+        attempt: job.attempts,
+        lastAttempt: job.attempts >= this.maxAttempts,
+      });
+      job.status = "completed";
+      job.error = null;
+      job.progress = { stage: "done", attempt: job.attempts };
+    } catch (error) {
+      job.error = error.message;
+
+      // Client errors (unsupported file, too many pages) fail the same way every time
+      const permanent = error.statusCode >= 400 && error.statusCode < 500;
+      if (!permanent && job.attempts < this.maxAttempts) {
+        // Back off before the next attempt; the worker is free in the meantime
+        const delay = this.retryDelayMs * 2 ** (job.attempts - 1);
+        job.status = "queued";
+        job.progress = { stage: "retrying", attempt: job.attempts, retryInMs: delay };
+        this.emitUpdate(job);
+        setTimeout(() => {
+          this.pending.push(job);
+          this.drain();
+        }, delay);
+        return;
+      }
+
+      job.status = "failed";
+      job.progress = { stage: "failed", attempt: job.attempts };
+    }
+
+    job.finishedAt = new Date().toISOString();
+    // Uploaded files are not needed once the job is finished
+    job.data = null;
+    this.emitUpdate(job);
+    setTimeout(() => this.jobs.delete(job.id), this.retentionMs).unref();
+  }
+
+  emitUpdate(job) {
+    this.emit("update", describeJob(job));
+  }
+}
@@ -0,0 +1,366 @@
+/**
+ * Bilingual message catalog for verdict text shown to candidates and officers.
+ *
+ * RULE_TITLES names each rule id; REJECTION_MESSAGES holds the rejection reason
+ * for a rule id, plus a few variants keyed `<RULE>.<variant>` and non-rule
+ * keys (document types, image quality, fallbacks); REMEDIATION_MESSAGES says
+ * what to change for the same keys. English rejection text is what the
+ * validator has always returned; keep it stable, golden fixtures compare it.
+ */
+
+export const LANGUAGES = ["en", "ar"];
+export const DEFAULT_LANGUAGE = "en";
+const RTL_LANGUAGES = ["ar"];
+
+export const RULE_TITLES = {
+  ELECTION_LOGO: { en: "Election logo", ar: "شعار الانتخابات" },
+  CANDIDATE_NUMBER: { en: "Candidate number", ar: "رقم المرشح" },
+  STATE_EMBLEM: { en: "State emblem", ar: "شعار الدولة" },
+  NATIONAL_FLAG: { en: "National flag", ar: "العلم الوطني" },
+  HISTORICAL_SYMBOLS: { en: "Historical symbols", ar: "الرموز التاريخية" },
+  PUBLIC_FIGURES: { en: "Public figures", ar: "الشخصيات العامة" },
+  TRIBAL_SYMBOLS: { en: "Tribal symbols", ar: "الرموز القبلية" },
+  LOGOS_PRIVATE: { en: "Company or organization logos", ar: "شعارات الشركات أو الجهات" },
+  OBJECTIVES_OUTSIDE_POWERS: { en: "Objectives outside Shura powers", ar: "أهداف خارج صلاحيات مجلس الشورى" },
+  PREVIOUS_TERM_EXPLOITATION: { en: "Exploiting the previous term", ar: "استغلال الفترة السابقة" },
+  ELECTION_PROMISES: { en: "Election promises", ar: "الوعود الانتخابية" },
+  DEVIATION_FROM_SCOPE: { en: "Deviation from campaign scope", ar: "الخروج عن نطاق الدعاية الانتخابية" },
+  CANDIDATE_PHOTO: { en: "Candidate photo", ar: "صورة المرشح" },
+  CANDIDATE_NAME: { en: "Candidate name", ar: "اسم المرشح" },
+  ARABIC_ONLY: { en: "Arabic only", ar: "اللغة العربية فقط" },
+  PUBLIC_ORDER: { en: "Public order", ar: "النظام العام" },
+  NO_DEFAMATION: { en: "No defamation", ar: "عدم التشهير" },
+  IMAGE_QUALITY: { en: "Image quality", ar: "جودة الصورة" },
+};
+
+export const REJECTION_MESSAGES = {
+  "NOT_ELECTION.training_ad": {
+    en: "The request is an advertisement for a training course and not an election advertisement for the candidate",
+    ar: "الطلب عبارة عن إعلان عن دورة تدريبية وليس دعاية انتخابية للمرشح",
+  },
+  "NOT_ELECTION.press_interview": {
+    en: "The attached document is a press interview and not election propaganda",
+    ar: "المستند المرفق مقابلة صحفية وليس دعاية انتخابية",
+  },
+  "NOT_ELECTION.proposal": {
+    en: "The publication has nothing to do with election propaganda. Rather, it is a proposal to solve a problem",
+    ar: "المنشور لا علاقة له بالدعاية الانتخابية، بل هو مقترح لحل مشكلة",
+  },
+  "NOT_ELECTION.social_post": {
+    en: "The post has nothing to do with election propaganda",
+    ar: "المنشور لا علاقة له بالدعاية الانتخابية",
+  },
+  NOT_ELECTION: {
+    en: "This is not election propaganda",
+    ar: "هذا المستند ليس دعاية انتخابية",
+  },
+  IMAGE_QUALITY: {
+    en: "Photo quality is too poor to verify the content",
+    ar: "جودة الصورة لا تسمح بالتحقق من المحتوى",
+  },
+  "IMAGE_QUALITY.blurry": {
+    en: "Photo is blurry",
+    ar: "الصورة غير واضحة",
+  },
+  "IMAGE_QUALITY.low_resolution": {
+    en: "Photo resolution is too low",
+    ar: "دقة الصورة منخفضة جدًا",
+  },
+  "CANDIDATE_NUMBER+ELECTION_LOGO": {
+    en: "Removal of the candidate's number and election logo is required",
+    ar: "يلزم إزالة رقم المرشح وشعار الانتخابات",
+  },
+  CANDIDATE_NUMBER: {
+    en: "Please remove the candidate number",
+    ar: "يرجى إزالة رقم المرشح",
+  },
+  ELECTION_LOGO: {
+    en: "Please remove the election logo",
+    ar: "يرجى إزالة شعار الانتخابات",
+  },
+  "HISTORICAL_SYMBOLS.fort": {
+    en: "Please remove the fort/castle from the image background as it is a historical symbol",
+    ar: "يرجى إزالة الحصن/القلعة من خلفية الصورة لكونها رمزًا تاريخيًا",
+  },
+  "HISTORICAL_SYMBOLS.gate": {
+    en: "Please remove the gate from the image background as it is a historical symbol",
+    ar: "يرجى إزالة البوابة من خلفية الصورة لكونها رمزًا تاريخيًا",
+  },
+  HISTORICAL_SYMBOLS: {
+    en: "Please remove the historical symbol from the image background",
+    ar: "يرجى إزالة الرمز التاريخي من خلفية الصورة",
+  },
+  PUBLIC_FIGURES: {
+    en: "The poster contains public figures",
+    ar: "الملصق يحتوي على شخصيات عامة",
+  },
+  STATE_EMBLEM: {
+    en: "Please remove the state emblem",
+    ar: "يرجى إزالة شعار الدولة",
+  },
+  NATIONAL_FLAG: {
+    en: "Please remove the national flag",
+    ar: "يرجى إزالة العلم الوطني",
+  },
+  OBJECTIVES_OUTSIDE_POWERS: {
+    en: "Most of the objectives mentioned fall outside the legally defined powers of the Shura Council members",
+    ar: "معظم الأهداف المذكورة تقع خارج الصلاحيات المحددة قانونًا لأعضاء مجلس الشورى",
+  },
+  ELECTION_PROMISES: {
+    en: "The content of the objective involves an election promise",
+    ar: "مضمون الهدف ينطوي على وعد انتخابي",
+  },
+  DEVIATION_FROM_SCOPE: {
+    en: "The poster deviated from the content of the election campaign, which includes the candidate's picture, biography, electoral vision, goals, or roles",
+    ar: "خرج الملصق عن مضمون الدعاية الانتخابية الذي يشمل صورة المرشح وسيرته الذاتية ورؤيته الانتخابية وأهدافه أو أدواره",
+  },
+  PREVIOUS_TERM_EXPLOITATION: {
+    en: "Cannot exploit the previous term achievements",
+    ar: "لا يجوز استغلال إنجازات الفترة السابقة",
+  },
+  TRIBAL_SYMBOLS: {
+    en: "The poster contains tribal or family symbols",
+    ar: "الملصق يحتوي على رموز قبلية أو عائلية",
+  },
+  LOGOS_PRIVATE: {
+    en: "The poster contains company or organization logos",
+    ar: "الملصق يحتوي على شعارات شركات أو جهات",
+  },
+  CANDIDATE_PHOTO: {
+    en: "The candidate's photo is missing",
+    ar: "صورة المرشح غير موجودة",
+  },
+  CANDIDATE_NAME: {
+    en: "The candidate's name is missing",
+    ar: "اسم المرشح غير موجود",
+  },
+  ARABIC_ONLY: {
+    en: "The poster contains text in a language other than Arabic",
+    ar: "الملصق يحتوي على نص بلغة غير العربية",
+  },
+  PUBLIC_ORDER: {
+    en: "The content conflicts with public order",
+    ar: "المحتوى يخالف النظام العام",
+  },
+  NO_DEFAMATION: {
+    en: "The content defames or offends others",
+    ar: "المحتوى يتضمن إساءة أو تشهيرًا بالغير",
+  },
+  MISSING_REQUIRED: {
+    en: "Election campaigning is limited to the following: candidate photo, name, CV, and vision",
+    ar: "تقتصر الدعاية الانتخابية على ما يلي: صورة المرشح واسمه وسيرته الذاتية ورؤيته",
+  },
+  DEFAULT: {
+    en: "Poster does not comply with election campaign regulations",
+    ar: "الملصق غير مطابق لضوابط الدعاية الانتخابية",
+  },
+  PAGE: {
+    en: "Page {page}: {reason}",
+    ar: "الصفحة {page}: {reason}",
+  },
+};
+
+/**
+ * What the candidate has to change, keyed like REJECTION_MESSAGES
+ */
+export const REMEDIATION_MESSAGES = {
+  NOT_ELECTION: {
+    en: "Submit an election poster for the candidate (photo, name, biography and vision), not other material",
+    ar: "قدّم ملصق دعاية انتخابية للمرشح (الصورة والاسم والسيرة الذاتية والرؤية) وليس مواد أخرى",
+  },
+  IMAGE_QUALITY: {
+    en: "Upload a clear, complete image of the poster",
+    ar: "ارفع صورة واضحة وكاملة للملصق",
+  },
+  "IMAGE_QUALITY.blurry": {
+    en: "Upload a sharp, in-focus image of the poster",
+    ar: "ارفع صورة واضحة وغير مشوشة للملصق",
+  },
+  "IMAGE_QUALITY.low_resolution": {
+    en: "Upload the original design file or a higher-resolution image (at least 600 pixels on the short side)",
+    ar: "ارفع ملف التصميم الأصلي أو صورة بدقة أعلى (600 بكسل على الأقل للضلع الأقصر)",
+  },
+  ELECTION_LOGO: {
+    en: "Remove the election commission logo or seal",
+    ar: "احذف شعار أو ختم لجنة الانتخابات",
+  },
+  CANDIDATE_NUMBER: {
+    en: "Remove the candidate's ballot number",
+    ar: "احذف رقم المرشح",
+  },
+  STATE_EMBLEM: {
+    en: "Remove the state emblem (khanjar and crossed swords)",
+    ar: "احذف شعار الدولة (الخنجر والسيفين)",
+  },
+  NATIONAL_FLAG: {
+    en: "Remove all flags from the design",
+    ar: "احذف جميع الأعلام من التصميم",
+  },
+  HISTORICAL_SYMBOLS: {
+    en: "Replace the background with a plain or neutral design without forts, castles, gates or other landmarks",
+    ar: "استبدل الخلفية بتصميم محايد خالٍ من الحصون والقلاع والبوابات وغيرها من المعالم",
+  },
+  PUBLIC_FIGURES: {
+    en: "Use a photo of the candidate alone, without officials or other public figures",
+    ar: "استخدم صورة للمرشح وحده دون مسؤولين أو شخصيات عامة",
+  },
+  TRIBAL_SYMBOLS: {
+    en: "Remove tribal emblems and family crests",
+    ar: "احذف الشعارات القبلية وشعارات العائلات",
+  },
+  LOGOS_PRIVATE: {
+    en: "Remove company and organization logos",
+    ar: "احذف شعارات الشركات والجهات",
+  },
+  OBJECTIVES_OUTSIDE_POWERS: {
+    en: "Rephrase the quoted objectives as legislative or oversight goals (propose, study, monitor, recommend) instead of executive actions",
+    ar: "أعد صياغة الأهداف المقتبسة لتكون أهدافًا تشريعية أو رقابية (اقتراح، دراسة، متابعة، توصية) بدلًا من إجراءات تنفيذية",
+  },
+  ELECTION_PROMISES: {
+    en: "Remove the quoted promises and guarantees of specific benefits",
+    ar: "احذف الوعود والضمانات المقتبسة بتحقيق منافع محددة",
+  },
+  DEVIATION_FROM_SCOPE: {
+    en: "Limit the poster to the candidate's photo, name, biography, vision and goals",
+    ar: "اقتصر في الملصق على صورة المرشح واسمه وسيرته الذاتية ورؤيته وأهدافه",
+  },
+  PREVIOUS_TERM_EXPLOITATION: {
+    en: "Remove claims of personal credit and statistics from the previous term; a general mention of membership is allowed",
+    ar: "احذف نسبة الإنجازات والإحصاءات من الفترة السابقة إلى المرشح، ويجوز ذكر العضوية السابقة بشكل عام",
+  },
+  CANDIDATE_PHOTO: {
+    en: "Add a clear photo of the candidate",
+    ar: "أضف صورة واضحة للمرشح",
+  },
+  CANDIDATE_NAME: {
+    en: "Add the candidate's full name",
+    ar: "أضف اسم المرشح كاملًا",
+  },
+  ARABIC_ONLY: {
+    en: "Write all text in Arabic (names may keep their original form)",
+    ar: "اكتب جميع النصوص باللغة العربية (يجوز إبقاء الأسماء على أصلها)",
+  },
+  PUBLIC_ORDER: {
+    en: "Remove the content that conflicts with public order",
+    ar: "احذف المحتوى المخالف للنظام العام",
+  },
+  NO_DEFAMATION: {
+    en: "Remove statements about other candidates or persons",
+    ar: "احذف العبارات التي تمس المرشحين الآخرين أو الغير",
+  },
+  DEFAULT: {
+    en: "Correct the flagged content and submit again",
+    ar: "صحح المحتوى المشار إليه ثم أعد التقديم",
+  },
+};
+
+/**
+ * Shown when a check could not be completed (`status: "error"`); never a rejection
+ */
+export const ERROR_MESSAGES = {
+  TECHNICAL_ERROR: {
+    en: "Your poster could not be checked because of a technical problem. It has not been rejected; please submit it again later.",
+    ar: "تعذر فحص الملصق بسبب مشكلة تقنية. لم يُرفض الملصق؛ يرجى إعادة تقديمه لاحقاً.",
+  },
+};
+
+/**
+ * Rationale for objectives the Shura powers lexicon could not classify
+ */
+export const OBJECTIVE_MESSAGES = {
+  MODEL_REVIEW: {
+    en: "No lexicon phrase matched; the model's review: {reason}",
+    ar: "لا توجد عبارة مطابقة في المعجم؛ تقييم النموذج: {reason}",
+  },
+  FLAGGED: {
+    en: "No lexicon phrase matched; it was flagged as {rule}.",
+    ar: "لا توجد عبارة مطابقة في المعجم؛ صُنّف مخالفة ({rule}).",
+  },
+  MODEL_ALLOWED: {
+    en: "No lexicon phrase matched and the model did not flag it.",
+    ar: "لا توجد عبارة مطابقة في المعجم ولم يصنّفه النموذج مخالفة.",
+  },
+};
+
+/**
+ * A catalog entry in every supported language: `{ en, ar }`
+ */
+export function bilingual(entry, params = {}) {
+  return Object.fromEntries(LANGUAGES.map(language => [language, translate(entry, language, params)]));
+}
+
+/**
+ * Look up a catalog entry in one language, falling back to English
+ */
+export function translate(entry, language = DEFAULT_LANGUAGE, params = {}) {
+  if (typeof entry === "string") return entry;
+  const text = entry?.[language] ?? entry?.[DEFAULT_LANGUAGE];
+  if (text === undefined) return null;
+
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * A rejection message in every supported language: `{ en, ar }`
+ */
+export function rejectionMessage(key, params = {}) {
+  return bilingual(REJECTION_MESSAGES[key] || REJECTION_MESSAGES.DEFAULT, params);
+}
+
+/**
+ * Pick the response language: an explicit `lang` parameter wins, then the
+ * first supported Accept-Language entry by quality, then English.
+ */
+export function resolveLanguage(lang, acceptLanguage) {
+  const requested = String(lang || "").toLowerCase().split("-")[0];
+  if (LANGUAGES.includes(requested)) return requested;
+
+  const preferences = String(acceptLanguage || "")
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map(p => p.trim()).find(p => p.startsWith("q="));
+      return { language: tag.toLowerCase().split("-")[0], quality: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter(p => p.quality > 0 && LANGUAGES.includes(p.language))
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  return preferences[0]?.language || DEFAULT_LANGUAGE;
+}
+
+export function textDirection(language) {
+  return RTL_LANGUAGES.includes(language) ? "rtl" : "ltr";
+}
+
+/**
+ * Present a stored result in one language. The bilingual `rejectionMessage`
+ * stays on the result so clients can switch language without re-validating.
+ */
+export function localizeResult(result, language = DEFAULT_LANGUAGE) {
+  const localized = { ...result, language, direction: textDirection(language) };
+
+  if (result.rejectionMessage?.[language]) {
+    localized.rejectionReason = result.rejectionMessage[language];
+  }
+  if (result.errorMessage) {
+    localized.errorMessage = translate(result.errorMessage, language);
+  }
+  if (result.rejectionReasons) {
+    localized.rejectionReasons = result.rejectionReasons.map(reason => ({
+      ...reason,
+      message: translate(reason.message, language),
+      remediation: translate(reason.remediation, language),
+    }));
+  }
+  if (result.objectiveAnalysis) {
+    localized.objectiveAnalysis = result.objectiveAnalysis.map(entry => ({
+      ...entry,
+      rationale: translate(entry.rationale, language),
+    }));
+  }
+  if (result.pages) {
+    localized.pages = result.pages.map(page => ({ ...page, result: localizeResult(page.result, language) }));
+  }
+
+  return localized;
+}
@@ -0,0 +1,181 @@
+import { readFileSync } from "fs";
+import { rename, writeFile } from "fs/promises";
+import { createHash } from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+import { watchFile } from "./file.watch.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PROMPTS_FILE = path.join(__dirname, "../../rules/prompts.json");
+
+const VERSION_ID = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+export class PromptError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "PromptError";
+    this.statusCode = statusCode;
+  }
+}
+
+const sha256 = text => createHash("sha256").update(text).digest("hex");
+
+/**
+ * Named, versioned validation prompts, registered in a JSON file next to the
+ * rules and hot-reloaded on change.
+ *
+ * Each version's text lives in its own file and is pinned by its SHA-256: an
+ * edited prompt file refuses to load, so a change always means a new version
+ * that is activated on purpose. One version is active (decides verdicts); an
+ * optional shadow version runs alongside it without affecting them.
+ */
+export class PromptRegistry {
+
+  constructor(file = DEFAULT_PROMPTS_FILE) {
+    this.file = file;
+    this.activeId = null;
+    this.shadowId = null;
+    this.versions = new Map();
+    this.loadedAt = null;
+    this.watcher = null;
+  }
+
+  /**
+   * (Re)load the registry and every prompt file. Throws and keeps the previous prompts if anything is invalid.
+   */
+  load() {
+    const data = JSON.parse(readFileSync(this.file, "utf8"));
+    const versions = new Map();
+
+    for (const version of data.versions || []) {
+      if (!VERSION_ID.test(version.id || "")) throw new Error(`Invalid prompt version id: ${version.id}`);
+      if (versions.has(version.id)) throw new Error(`Duplicate prompt version: ${version.id}`);
+
+      const text = readFileSync(path.resolve(path.dirname(this.file), version.file), "utf8");
+      if (sha256(text) !== version.sha256) {
+        throw new Error(`Prompt ${version.id} (${version.file}) was edited after it was registered; register a new version instead`);
+      }
+      versions.set(version.id, { ...version, text });
+    }
+
+    if (!versions.has(data.active)) throw new Error(`Active prompt version ${data.active} is not registered`);
+    if (data.shadow && !versions.has(data.shadow)) throw new Error(`Shadow prompt version ${data.shadow} is not registered`);
+
+    this.activeId = data.active;
+    this.shadowId = data.shadow && data.shadow !== data.active ? data.shadow : null;
+    this.versions = versions;
+    this.loadedAt = new Date().toISOString();
+    return this;
+  }
+
+  /**
+   * Reload whenever the registry changes on disk
+   */
+  watch(logger = console) {
+    if (this.watcher) return;
+
+    this.watcher = watchFile(this.file, () => {
+      try {
+        this.load();
+        logger.info(`Reloaded prompt registry (active ${this.activeId}, shadow ${this.shadowId || "none"})`);
+      } catch (error) {
+        logger.error(`Prompt registry reload failed, keeping previous prompts: ${error.message}`);
+      }
+    });
+  }
+
+  close() {
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  get(id) {
+    return this.versions.get(id) || null;
+  }
+
+  active() {
+    return this.get(this.activeId);
+  }
+
+  shadow() {
+    return this.shadowId ? this.get(this.shadowId) : null;
+  }
+
+  /**
+   * Make a registered version the one that decides verdicts
+   */
+  async activate(id) {
+    this.require(id);
+    await this.save({ active: id, shadow: this.shadowId === id ? null : this.shadowId });
+    return this.describe();
+  }
+
+  /**
+   * Run a registered version in shadow mode, or stop shadowing with null
+   */
+  async setShadow(id) {
+    if (id !== null) this.require(id);
+    if (id !== null && id === this.activeId) throw new PromptError(`Prompt ${id} is already active`);
+
+    await this.save({ active: this.activeId, shadow: id });
+    return this.describe();
+  }
+
+  /**
+   * Add a new version: writes its prompt file next to the others and registers it (inactive)
+   */
+  async register({ id, name, description = null, text }) {
+    if (!VERSION_ID.test(id || "")) {
+      throw new PromptError("Version id must be 1-64 characters: letters, digits, \".\", \"_\" or \"-\"");
+    }
+    if (this.versions.has(id)) throw new PromptError(`Prompt version ${id} already exists`, 409);
+    if (!name) throw new PromptError("Name is required");
+    if (typeof text !== "string" || !text.trim()) throw new PromptError("Prompt text is required");
+
+    const file = `prompts/validation-${id}.md`;
+    await writeFile(path.resolve(path.dirname(this.file), file), text, { flag: "wx" }).catch(error => {
+      throw error.code === "EEXIST" ? new PromptError(`Prompt file ${file} already exists`, 409) : error;
+    });
+
+    const version = { id, name, description, file, sha256: sha256(text), createdAt: new Date().toISOString() };
+    await this.save({ active: this.activeId, shadow: this.shadowId }, [...this.listVersions(), version]);
+    return version;
+  }
+
+  require(id) {
+    if (!this.versions.has(id)) throw new PromptError(`Unknown prompt version: ${id}`, 404);
+  }
+
+  listVersions() {
+    return [...this.versions.values()].map(({ text, ...version }) => version);
+  }
+
+  /**
+   * Write the registry atomically and load it right away (the watcher reloads it again, harmlessly)
+   */
+  async save({ active, shadow }, versions = this.listVersions()) {
+    const tmp = `${this.file}.tmp`;
+    await writeFile(tmp, `${JSON.stringify({ active, shadow, versions }, null, 2)}\n`);
+    await rename(tmp, this.file);
+    this.load();
+  }
+
+  /**
+   * Public description of the registry (no prompt texts)
+   */
+  describe() {
+    return {
+      file: this.file,
+      active: this.activeId,
+      shadow: this.shadowId,
+      loadedAt: this.loadedAt,
+      versions: this.listVersions(),
+    };
+  }
+}
+
+/**
+ * Shared registry used by the validation service and the admin API
+ */
+export const promptRegistry = new PromptRegistry(process.env.PROMPTS_FILE || DEFAULT_PROMPTS_FILE).load();
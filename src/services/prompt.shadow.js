@@ -0,0 +1,114 @@
+import { appendFile, mkdir, readFile } from "fs/promises";
+import path from "path";
+import { ruleDecisions } from "./consensus.service.js";
+
+const violatedRules = result => Object.entries(ruleDecisions(result))
+  .filter(([, violated]) => violated)
+  .map(([rule]) => rule)
+  .sort();
+
+/**
+ * Compare the verdict of the active prompt with the shadow prompt's on the same
+ * poster: overall compliance and every rule either of them flagged
+ */
+export function compareVerdicts(active, shadow) {
+  const activeRules = violatedRules(active);
+  const shadowRules = violatedRules(shadow);
+  const onlyActive = activeRules.filter(rule => !shadowRules.includes(rule));
+  const onlyShadow = shadowRules.filter(rule => !activeRules.includes(rule));
+
+  return {
+    agrees: active.isCompliant === shadow.isCompliant && onlyActive.length === 0 && onlyShadow.length === 0,
+    active: { promptVersion: active.metadata?.promptVersion ?? null, isCompliant: active.isCompliant, violatedRules: activeRules },
+    shadow: {
+      promptVersion: shadow.metadata?.promptVersion ?? null,
+      modelVersion: shadow.metadata?.modelVersion ?? null,
+      isCompliant: shadow.isCompliant,
+      violatedRules: shadowRules,
+      rejectionReasons: shadow.rejectionReasons || [],
+    },
+    onlyActive,
+    onlyShadow,
+  };
+}
+
+/**
+ * Move the shadow comparisons off a (possibly multi-page) result, like its audit trail
+ */
+export function takeShadow(result) {
+  if (!result || typeof result !== "object") return [];
+  if (Array.isArray(result.pages)) {
+    return result.pages.flatMap(page => takeShadow(page.result).map(comparison => ({ pageNumber: page.pageNumber, ...comparison })));
+  }
+
+  const comparison = result._shadow;
+  delete result._shadow;
+  return comparison ? [comparison] : [];
+}
+
+/**
+ * Shadow prompt comparisons, one JSON line each in `<dataDir>/prompt-shadow.jsonl`.
+ * Every comparison is kept so agreement rates can be computed; the review
+ * list shows the disagreements.
+ */
+export class ShadowLog {
+
+  constructor(dataDir) {
+    this.file = path.join(dataDir, "prompt-shadow.jsonl");
+  }
+
+  async record(comparison) {
+    await mkdir(path.dirname(this.file), { recursive: true });
+
+    const entry = { at: new Date().toISOString(), ...comparison };
+    await appendFile(this.file, `${JSON.stringify(entry)}\n`);
+    return entry;
+  }
+
+  async readAll() {
+    try {
+      return (await readFile(this.file, "utf8")).split("\n").filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      return [];
+    }
+  }
+
+  /**
+   * Comparisons, newest first: disagreements only unless `all` is set
+   */
+  async list({ version, all = false, limit = 50, offset = 0 } = {}) {
+    const matches = (await this.readAll())
+      .filter(entry => (all || !entry.agrees) && (!version || entry.shadow.promptVersion === version))
+      .reverse();
+
+    return { total: matches.length, items: matches.slice(offset, offset + limit) };
+  }
+
+  /**
+   * Per shadow version: posters compared, disagreements, and how often each rule was flagged by one side only
+   */
+  async stats() {
+    const versions = {};
+
+    for (const entry of await this.readAll()) {
+      const stats = versions[entry.shadow.promptVersion] ??= { against: new Set(), compared: 0, disagreements: 0, rules: {} };
+      stats.against.add(entry.active.promptVersion);
+      stats.compared++;
+      if (!entry.agrees) stats.disagreements++;
+
+      for (const [side, rules] of [["onlyActive", entry.onlyActive], ["onlyShadow", entry.onlyShadow]]) {
+        for (const rule of rules) {
+          stats.rules[rule] ??= { onlyActive: 0, onlyShadow: 0 };
+          stats.rules[rule][side]++;
+        }
+      }
+    }
+
+    return Object.fromEntries(Object.entries(versions).map(([version, { against, ...stats }]) => [version, {
+      ...stats,
+      againstVersions: [...against],
+      agreementRate: Math.round((1 - stats.disagreements / stats.compared) * 1000) / 1000,
+    }]));
+  }
+}
@@ -0,0 +1,133 @@
+import { REJECTION_MESSAGES, REMEDIATION_MESSAGES, bilingual } from "./messages.js";
+
+export const SEVERITY_ORDER = ["critical", "high", "medium", "low"];
+
+/**
+ * Severity of each rule when the model flags it. Deterministic text rules
+ * carry their own severity in the rules file.
+ */
+export const RULE_SEVERITY = {
+  NOT_ELECTION: "critical",
+  ELECTION_LOGO: "critical",
+  CANDIDATE_NUMBER: "critical",
+  STATE_EMBLEM: "critical",
+  NATIONAL_FLAG: "critical",
+  HISTORICAL_SYMBOLS: "critical",
+  PUBLIC_FIGURES: "critical",
+  TRIBAL_SYMBOLS: "high",
+  LOGOS_PRIVATE: "high",
+  OBJECTIVES_OUTSIDE_POWERS: "high",
+  ELECTION_PROMISES: "high",
+  PREVIOUS_TERM_EXPLOITATION: "high",
+  DEVIATION_FROM_SCOPE: "high",
+  CANDIDATE_PHOTO: "high",
+  CANDIDATE_NAME: "high",
+  PUBLIC_ORDER: "high",
+  NO_DEFAMATION: "high",
+  IMAGE_QUALITY: "medium",
+  ARABIC_ONLY: "medium",
+};
+
+/**
+ * Pick the catalog variant for a historical symbol from what the model saw
+ */
+export function historicalKey(item) {
+  const detail = (item.details || "").toLowerCase();
+  if (detail.includes("fort") || detail.includes("castle")) return "HISTORICAL_SYMBOLS.fort";
+  if (detail.includes("gate")) return "HISTORICAL_SYMBOLS.gate";
+  return "HISTORICAL_SYMBOLS";
+}
+
+function reason({ rule, category, key = rule, severity, evidence = [], params = {}, extra = {} }) {
+  return {
+    rule,
+    category,
+    severity: severity || RULE_SEVERITY[rule] || "medium",
+    evidence: evidence.filter(Boolean),
+    message: bilingual(REJECTION_MESSAGES[key] || REJECTION_MESSAGES.DEFAULT, params),
+    remediation: bilingual(REMEDIATION_MESSAGES[key] || REMEDIATION_MESSAGES[rule] || REMEDIATION_MESSAGES.DEFAULT),
+    ...extra,
+  };
+}
+
+/**
+ * Stable sort: most severe first, original order within a severity
+ */
+export function sortBySeverity(reasons) {
+  return reasons
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => SEVERITY_ORDER.indexOf(a.item.severity) - SEVERITY_ORDER.indexOf(b.item.severity) || a.index - b.index)
+    .map(({ item }) => item);
+}
+
+/**
+ * Every reason a (single page) result was rejected, most severe first.
+ * Each entry: rule, category, severity, quoted evidence, and bilingual
+ * `message` / `remediation` (`{ en, ar }`).
+ *
+ * `deterministicRules` maps rule-file ids to their definitions so text-rule
+ * hits use the rule's own message and severity.
+ */
+export function collectRejectionReasons(result, { deterministicRules = new Map() } = {}) {
+  // Technical failures are not rejections
+  if (result.error) return [];
+
+  const reasons = [];
+  const categories = result.categories || {};
+
+  if (result.documentType && !result.documentType.isElectionPropaganda) {
+    const key = `NOT_ELECTION.${result.documentType.actualType}`;
+    reasons.push(reason({
+      rule: "NOT_ELECTION",
+      category: "documentType",
+      key: REJECTION_MESSAGES[key] ? key : "NOT_ELECTION",
+      evidence: [result.documentType.reasoning],
+    }));
+  }
+
+  if (result.imageQuality && !result.imageQuality.isAcceptable) {
+    const issue = ["low_resolution", "blurry"].find(issue => result.imageQuality.issues.includes(issue));
+    const measured = result.imageQuality.measurements;
+    reasons.push(reason({
+      rule: "IMAGE_QUALITY",
+      category: "imageQuality",
+      key: issue ? `IMAGE_QUALITY.${issue}` : "IMAGE_QUALITY",
+      evidence: [
+        ...result.imageQuality.issues,
+        measured && `${measured.width}x${measured.height}, Laplacian variance ${measured.laplacianVariance}`,
+      ],
+    }));
+  }
+
+  // Text-rule hits use the rule file's own message and severity
+  const fromRule = (entry, item) => {
+    const definition = deterministicRules.get(item.deterministicRule);
+    if (!definition) return entry;
+    return { ...entry, severity: definition.severity || entry.severity, ruleId: definition.id, message: bilingual(definition.message) };
+  };
+
+  for (const item of (categories.prohibitedContent?.items || []).filter(item => item.found)) {
+    const location = item.location && item.location !== "unknown" ? item.location : null;
+    reasons.push(fromRule(reason({
+      rule: item.rule,
+      category: "prohibitedContent",
+      key: item.rule === "HISTORICAL_SYMBOLS" ? historicalKey(item) : item.rule,
+      evidence: [item.details],
+      extra: { ...(location && { location }), ...(item.boundingBox && { boundingBox: item.boundingBox }) },
+    }), item));
+  }
+
+  for (const item of (categories.contentScope?.items || []).filter(item => item.violated)) {
+    reasons.push(fromRule(reason({ rule: item.rule, category: "contentScope", evidence: item.violatingObjectives }), item));
+  }
+
+  for (const item of (categories.requiredContent?.items || []).filter(item => !item.present)) {
+    reasons.push(reason({ rule: item.element, category: "requiredContent" }));
+  }
+
+  for (const item of (categories.languageEthics?.items || []).filter(item => item.passed === false)) {
+    reasons.push(reason({ rule: item.rule, category: "languageEthics", evidence: [item.details] }));
+  }
+
+  return sortBySeverity(reasons);
+}
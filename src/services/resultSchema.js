@@ -0,0 +1,261 @@
+import Ajv from "ajv";
+
+/**
+ * JSON Schema for the model response. Mirrors the `ValidationResult`
+ * TypeScript interface in the validation prompts (rules/prompts/); keep them in sync.
+ */
+
+export const PROHIBITED_RULES = [
+  "ELECTION_LOGO", "CANDIDATE_NUMBER", "STATE_EMBLEM", "NATIONAL_FLAG",
+  "HISTORICAL_SYMBOLS", "PUBLIC_FIGURES", "TRIBAL_SYMBOLS", "LOGOS_PRIVATE",
+];
+export const SCOPE_RULES = [
+  "OBJECTIVES_OUTSIDE_POWERS", "PREVIOUS_TERM_EXPLOITATION", "ELECTION_PROMISES", "DEVIATION_FROM_SCOPE",
+];
+export const REQUIRED_ELEMENTS = ["CANDIDATE_PHOTO", "CANDIDATE_NAME"];
+export const ETHICS_RULES = ["ARABIC_ONLY", "PUBLIC_ORDER", "NO_DEFAMATION"];
+export const DOCUMENT_TYPES = [
+  "election_poster", "training_ad", "press_interview", "proposal", "social_post", "news_article", "other",
+];
+
+const score = { type: "number", minimum: 0, maximum: 100 };
+const status = { enum: ["pass", "fail"] };
+const fraction = { type: "number", minimum: 0, maximum: 1 };
+const boundingBox = {
+  type: ["object", "null"],
+  required: ["x", "y", "width", "height"],
+  properties: { x: fraction, y: fraction, width: fraction, height: fraction },
+};
+
+const category = (item) => ({
+  type: "object",
+  required: ["status", "items"],
+  properties: {
+    status,
+    items: { type: "array", items: item },
+  },
+});
+
+export const VALIDATION_RESULT_SCHEMA = {
+  type: "object",
+  required: [
+    "_analysis_trace", "isCompliant", "overallScore", "summary", "rejectionReason",
+    "documentType", "imageQuality", "categories", "extractedText",
+  ],
+  properties: {
+    _analysis_trace: {
+      type: "object",
+      required: ["step1_content_extraction", "step2_document_type", "step3_violations_found", "step4_decision_logic"],
+      properties: {
+        step1_content_extraction: { type: "string" },
+        step2_document_type: { type: "string" },
+        step3_violations_found: { type: "array", items: { type: "string" } },
+        step4_decision_logic: { type: "string" },
+      },
+    },
+
+    isCompliant: { type: "boolean" },
+    overallScore: score,
+    summary: { type: "string", minLength: 1 },
+    rejectionReason: { type: ["string", "null"] },
+
+    documentType: {
+      type: "object",
+      required: ["isElectionPropaganda", "actualType", "confidence", "reasoning"],
+      properties: {
+        isElectionPropaganda: { type: "boolean" },
+        actualType: { enum: DOCUMENT_TYPES },
+        confidence: score,
+        reasoning: { type: "string" },
+      },
+    },
+
+    imageQuality: {
+      type: "object",
+      required: ["isAcceptable", "issues"],
+      properties: {
+        isAcceptable: { type: "boolean" },
+        issues: { type: "array", items: { type: "string" } },
+      },
+    },
+
+    categories: {
+      type: "object",
+      required: ["prohibitedContent", "requiredContent", "contentScope", "languageEthics"],
+      properties: {
+        prohibitedContent: category({
+          type: "object",
+          required: ["rule", "found", "confidence", "details", "location"],
+          properties: {
+            rule: { enum: PROHIBITED_RULES },
+            found: { type: "boolean" },
+            confidence: score,
+            details: { type: "string" },
+            location: { type: "string" },
+            boundingBox,
+          },
+        }),
+        requiredContent: category({
+          type: "object",
+          required: ["element", "present", "quality"],
+          properties: {
+            element: { enum: REQUIRED_ELEMENTS },
+            present: { type: "boolean" },
+            quality: { enum: ["good", "poor", "missing"] },
+          },
+        }),
+        contentScope: category({
+          type: "object",
+          required: ["rule", "violated", "confidence", "violatingObjectives", "explanation"],
+          properties: {
+            rule: { enum: SCOPE_RULES },
+            violated: { type: "boolean" },
+            confidence: score,
+            violatingObjectives: { type: "array", items: { type: "string" } },
+            violatingSpans: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["text", "boundingBox"],
+                properties: { text: { type: "string" }, boundingBox },
+              },
+            },
+            explanation: { type: "string" },
+          },
+        }),
+        languageEthics: category({
+          type: "object",
+          required: ["rule", "passed", "details"],
+          properties: {
+            rule: { enum: ETHICS_RULES },
+            passed: { type: "boolean" },
+            details: { type: "string" },
+          },
+        }),
+      },
+    },
+
+    extractedText: {
+      type: "object",
+      required: ["rawText", "candidateName", "candidateNumber", "phoneNumber", "objectives", "containsNonArabic"],
+      properties: {
+        rawText: { type: "string" },
+        candidateName: { type: ["string", "null"] },
+        candidateNumber: { type: ["string", "null"] },
+        phoneNumber: { type: ["string", "null"] },
+        objectives: { type: "array", items: { type: "string" } },
+        containsNonArabic: { type: "boolean" },
+      },
+    },
+  },
+};
+
+export const OBJECTIVE_POWERS = ["legislative", "oversight", "representation", "executive", "promise", "other"];
+
+const resultProperties = VALIDATION_RESULT_SCHEMA.properties;
+const categoryProperties = resultProperties.categories.properties;
+const located = properties => ({
+  type: "object",
+  required: ["description", "location", "boundingBox"],
+  properties: { description: { type: "string" }, location: { type: "string" }, boundingBox, ...properties },
+});
+const checkStage = (categories, properties = {}) => ({
+  type: "object",
+  required: ["reasoning", "categories", ...Object.keys(properties)],
+  properties: {
+    reasoning: { type: "string" },
+    categories: {
+      type: "object",
+      required: categories,
+      properties: Object.fromEntries(categories.map(name => [name, categoryProperties[name]])),
+    },
+    ...properties,
+  },
+});
+
+/**
+ * Responses of the staged pipeline (see STAGED_PROMPTS). Each stage answers a
+ * slice of ValidationResult, plus what the later stages need as input.
+ */
+export const STAGE_SCHEMAS = {
+  extraction: {
+    type: "object",
+    required: ["extractedText", "documentType", "imageQuality", "textReadability", "visualInventory"],
+    properties: {
+      extractedText: resultProperties.extractedText,
+      documentType: resultProperties.documentType,
+      imageQuality: resultProperties.imageQuality,
+      textReadability: {
+        type: "object",
+        required: ["confidence", "unreadableSegments"],
+        properties: {
+          confidence: score,
+          unreadableSegments: { type: "array", items: { type: "string" } },
+        },
+      },
+      visualInventory: {
+        type: "object",
+        required: ["peopleCount", "people", "logos", "flagsAndEmblems", "backgroundStructures"],
+        properties: {
+          peopleCount: { type: "integer", minimum: 0 },
+          people: {
+            type: "array",
+            items: located({ isCandidate: { type: "boolean" }, action: { type: "string" } }),
+          },
+          logos: { type: "array", items: located({ text: { type: "string" } }) },
+          flagsAndEmblems: { type: "array", items: located() },
+          backgroundStructures: {
+            type: "array",
+            items: located({ visibility: { enum: ["clear", "faint", "silhouette", "stylized"] } }),
+          },
+        },
+      },
+    },
+  },
+  visual: checkStage(["prohibitedContent", "requiredContent"]),
+  scope: checkStage(["contentScope"], {
+    objectiveReview: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["objective", "power", "allowed", "reason"],
+        properties: {
+          objective: { type: "string" },
+          power: { enum: OBJECTIVE_POWERS },
+          allowed: { type: "boolean" },
+          reason: { type: "string" },
+        },
+      },
+    },
+  }),
+  ethics: checkStage(["languageEthics"]),
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(VALIDATION_RESULT_SCHEMA);
+const validateStage = Object.fromEntries(Object.entries(STAGE_SCHEMAS).map(([stage, schema]) => [stage, ajv.compile(schema)]));
+
+function describeErrors(errors) {
+  return errors.map(error => {
+    const where = error.instancePath || "(root)";
+    const allowed = error.params?.allowedValues ? ` (${error.params.allowedValues.join(", ")})` : "";
+    return `${where} ${error.message}${allowed}`;
+  });
+}
+
+/**
+ * Check a parsed model response; returns readable error strings (empty when valid)
+ */
+export function validateResultSchema(result) {
+  return validate(result) ? [] : describeErrors(validate.errors);
+}
+
+/**
+ * Check the parsed response of one stage of the staged pipeline
+ */
+export function validateStageSchema(stage, result) {
+  const check = validateStage[stage];
+  if (!check) throw new Error(`Unknown analysis stage: ${stage}`);
+
+  return check(result) ? [] : describeErrors(check.errors);
+}
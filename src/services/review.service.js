@@ -0,0 +1,195 @@
+/**
+ * Officer review lifecycle for stored submissions, as allowed by the table below.
+ *
+ * pending       -> approved | rejected | needs-changes   (officer decision)
+ * needs-changes -> approved | rejected                   (officer decision)
+ *               -> appealed                              (candidate appeal)
+ * rejected      -> appealed                              (candidate appeal)
+ * appealed      -> approved | rejected | needs-changes   (officer decision)
+ * approved      -> (final)
+ *
+ * Any officer decision may override AI-flagged rules (`overriddenRules`).
+ */
+export const REVIEW_TRANSITIONS = {
+  "pending": ["approved", "rejected", "needs-changes"],
+  "needs-changes": ["approved", "rejected", "appealed"],
+  "rejected": ["appealed"],
+  "appealed": ["approved", "rejected", "needs-changes"],
+  "approved": [],
+};
+
+const DECISION_STATUSES = ["approved", "rejected", "needs-changes"];
+
+export class ReviewError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "ReviewError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Review state of a record (records stored before reviews existed are pending)
+ */
+export function getReview(record) {
+  return record.review || { status: "pending", history: [] };
+}
+
+export class ReviewService {
+
+  constructor(store, { audit = null } = {}) {
+    this.store = store;
+    this.audit = audit;
+    // Per-submission chains of review changes in progress
+    this.queues = new Map();
+  }
+
+  /**
+   * Record an officer decision, optionally overriding AI-flagged rules
+   */
+  async decide(id, { status, reason, officer, overriddenRules = [] }) {
+    return this.exclusive(id, async () => {
+      const record = await this.getRecord(id);
+
+      if (!DECISION_STATUSES.includes(status)) {
+        throw new ReviewError(`Invalid decision status: ${status}`);
+      }
+      if (!officer) throw new ReviewError("Officer is required");
+      if (!reason) throw new ReviewError("Reason is required");
+      if (!Array.isArray(overriddenRules) || overriddenRules.some(rule => typeof rule !== "string")) {
+        throw new ReviewError("overriddenRules must be a list of rule ids");
+      }
+
+      const unknownRules = overriddenRules.filter(rule => !record.rules.includes(rule));
+      if (unknownRules.length > 0) {
+        throw new ReviewError(`Rules were not flagged by the AI: ${unknownRules.join(", ")}`);
+      }
+
+      return this.transition(record, {
+        status,
+        reason,
+        actor: officer,
+        overriddenRules,
+      });
+    });
+  }
+
+  /**
+   * Candidate appeal against a rejection or change request
+   */
+  async appeal(id, { reason, submittedBy }) {
+    return this.exclusive(id, async () => {
+      const record = await this.getRecord(id);
+      if (!reason) throw new ReviewError("Reason is required");
+
+      return this.transition(record, {
+        status: "appealed",
+        reason,
+        actor: submittedBy || null,
+        overriddenRules: [],
+      });
+    });
+  }
+
+  /**
+   * Run review changes to one submission one at a time, so each checks its
+   * transition against the state the previous one left (not a state that is
+   * about to change while the audit entry is written)
+   */
+  exclusive(id, change) {
+    const run = (this.queues.get(id) || Promise.resolve()).then(change);
+    const queued = run.catch(() => {});
+    this.queues.set(id, queued);
+
+    queued.then(() => {
+      if (this.queues.get(id) === queued) this.queues.delete(id);
+    });
+    return run;
+  }
+
+  async transition(record, { status, reason, actor, overriddenRules }) {
+    const review = getReview(record);
+
+    if (!REVIEW_TRANSITIONS[review.status].includes(status)) {
+      throw new ReviewError(`Cannot move submission from ${review.status} to ${status}`, 409);
+    }
+
+    const entry = {
+      from: review.status,
+      status,
+      reason,
+      actor,
+      overriddenRules,
+      aiVerdict: record.isCompliant,
+      at: new Date().toISOString(),
+    };
+
+    // Logged before it takes effect: a decision that is in force is always in the log
+    await this.audit?.append("review", { submissionId: record.id, ...entry });
+
+    record.review = {
+      status,
+      history: [...review.history, entry],
+    };
+
+    await this.store.save(record);
+    return record;
+  }
+
+  async getRecord(id) {
+    const record = await this.store.get(id);
+    if (!record) throw new ReviewError("Submission not found", 404);
+    return record;
+  }
+
+  /**
+   * All officer overrides, optionally limited to one rule
+   */
+  async listOverrides({ rule } = {}) {
+    const { items } = await this.store.list({ limit: Infinity });
+    const overrides = [];
+
+    for (const record of items) {
+      for (const entry of getReview(record).history) {
+        for (const overriddenRule of entry.overriddenRules) {
+          if (rule && overriddenRule !== rule) continue;
+          overrides.push({
+            submissionId: record.id,
+            rule: overriddenRule,
+            status: entry.status,
+            reason: entry.reason,
+            officer: entry.actor,
+            at: entry.at,
+          });
+        }
+      }
+    }
+
+    return overrides;
+  }
+
+  /**
+   * Per-rule override rate among officer-reviewed submissions
+   */
+  async overrideStats() {
+    const { items } = await this.store.list({ limit: Infinity });
+    const stats = {};
+
+    for (const record of items) {
+      const decisions = getReview(record).history.filter(entry => DECISION_STATUSES.includes(entry.status));
+      if (decisions.length === 0) continue;
+
+      const overridden = new Set(decisions.flatMap(entry => entry.overriddenRules));
+
+      for (const rule of record.rules) {
+        stats[rule] = stats[rule] || { rule, reviewed: 0, overridden: 0, overrideRate: 0 };
+        stats[rule].reviewed++;
+        if (overridden.has(rule)) stats[rule].overridden++;
+      }
+    }
+
+    return Object.values(stats)
+      .map(stat => ({ ...stat, overrideRate: stat.overridden / stat.reviewed }))
+      .sort((a, b) => b.overrideRate - a.overrideRate);
+  }
+}
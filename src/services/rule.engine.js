@@ -0,0 +1,174 @@
+import { readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { normalizeArabic, normalizePattern, toOriginalSpan } from "./arabic.normalize.js";
+import { watchFile } from "./file.watch.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_RULES_FILE = path.join(__dirname, "../../rules/text-rules.json");
+
+const RULE_KINDS = ["violation", "falsePositive", "requiredContext"];
+const RULE_FIELDS = ["rawText", "objectives", "candidateName", "details"];
+
+/**
+ * Pull the text fields rules can target out of a validation result
+ */
+export function getRuleFields(result, extra = {}) {
+  return {
+    rawText: result.extractedText?.rawText || "",
+    objectives: result.extractedText?.objectives || [],
+    candidateName: result.extractedText?.candidateName || "",
+    ...extra,
+  };
+}
+
+/**
+ * Compile and sanity-check one rule definition
+ */
+function compileRule(definition) {
+  const { id, kind, pattern, fields } = definition;
+
+  if (!id) throw new Error("Rule is missing an id");
+  if (!RULE_KINDS.includes(kind)) throw new Error(`Rule ${id}: unknown kind "${kind}"`);
+  if (!pattern) throw new Error(`Rule ${id}: missing pattern`);
+  if (!Array.isArray(fields) || fields.some(field => !RULE_FIELDS.includes(field))) {
+    throw new Error(`Rule ${id}: fields must be a list of ${RULE_FIELDS.join(", ")}`);
+  }
+  if (kind === "violation" && (!definition.rule || !definition.message?.en || !definition.message?.ar)) {
+    throw new Error(`Rule ${id}: violation rules need a target rule and an ar/en message`);
+  }
+
+  // Global flags would make RegExp.test stateful across calls
+  const flags = (definition.flags || "").replace("g", "");
+
+  // Rules match normalized text unless they opt out with "normalize": false
+  const source = definition.normalize === false ? pattern : normalizePattern(pattern);
+
+  return { ...definition, regex: new RegExp(source, flags) };
+}
+
+/**
+ * Data-driven deterministic rules, loaded from a JSON file and hot-reloaded on change.
+ *
+ * Rule kinds:
+ * - violation: a match forces a contentScope/prohibitedContent violation
+ * - falsePositive: a match casts doubt on an AI-flagged rule (`appliesTo`)
+ * - requiredContext: the AI-flagged rule (`appliesTo`) is suspicious WITHOUT a match
+ */
+export class RuleEngine {
+
+  constructor(file = DEFAULT_RULES_FILE) {
+    this.file = file;
+    this.version = null;
+    this.loadedAt = null;
+    this.rules = [];
+    this.watcher = null;
+  }
+
+  /**
+   * (Re)load the rules file. Throws and keeps the previous rules if the file is invalid.
+   */
+  load() {
+    const data = JSON.parse(readFileSync(this.file, "utf8"));
+    const rules = (data.rules || []).map(compileRule);
+
+    const ids = new Set();
+    for (const rule of rules) {
+      if (ids.has(rule.id)) throw new Error(`Duplicate rule id: ${rule.id}`);
+      ids.add(rule.id);
+    }
+
+    this.version = data.version || null;
+    this.rules = rules.filter(rule => rule.enabled !== false);
+    this.loadedAt = new Date().toISOString();
+    return this;
+  }
+
+  /**
+   * Reload whenever the file changes on disk
+   */
+  watch(logger = console) {
+    if (this.watcher) return;
+
+    this.watcher = watchFile(this.file, () => {
+      try {
+        this.load();
+        logger.info(`Reloaded ${this.rules.length} rules (version ${this.version})`);
+      } catch (error) {
+        logger.error(`Rules reload failed, keeping previous rules: ${error.message}`);
+      }
+    });
+  }
+
+  close() {
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  getRules({ kind, appliesTo } = {}) {
+    return this.rules.filter(rule =>
+      (!kind || rule.kind === kind) && (!appliesTo || rule.appliesTo === appliesTo)
+    );
+  }
+
+  /**
+   * Run one rule against the given fields and return its first match, if any.
+   * `match` is always quoted from the original (un-normalized) text.
+   */
+  matchRule(rule, fields) {
+    for (const field of rule.fields) {
+      const values = [].concat(fields[field] ?? []);
+
+      for (const value of values) {
+        if (rule.normalize === false) {
+          const match = String(value).match(rule.regex);
+          if (match) {
+            return { ruleId: rule.id, field, match: match[0], index: match.index, source: value };
+          }
+          continue;
+        }
+
+        const normalized = normalizeArabic(value);
+        const match = normalized.text.match(rule.regex);
+        if (match) {
+          const span = toOriginalSpan(normalized, match.index, match.index + match[0].length);
+          return { ruleId: rule.id, field, match: span.text, index: span.start, source: value };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Run every matching rule of a kind and return the hits
+   */
+  evaluate(fields, filter = {}) {
+    const hits = [];
+
+    for (const rule of this.getRules(filter)) {
+      const match = this.matchRule(rule, fields);
+      if (match) hits.push({ rule, ...match });
+    }
+
+    return hits;
+  }
+
+  /**
+   * Public description of the loaded rules (no compiled regexes)
+   */
+  describe() {
+    return {
+      file: this.file,
+      version: this.version,
+      loadedAt: this.loadedAt,
+      rules: this.rules.map(({ regex, ...rule }) => rule),
+    };
+  }
+}
+
+/**
+ * Shared engine used by the validation service and the admin API
+ */
+export const ruleEngine = new RuleEngine(process.env.RULES_FILE || DEFAULT_RULES_FILE).load();
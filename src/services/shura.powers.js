@@ -0,0 +1,188 @@
+import { readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { normalizeArabic, normalizePattern, toOriginalSpan } from "./arabic.normalize.js";
+import { watchFile } from "./file.watch.js";
+import { OBJECTIVE_MESSAGES, bilingual } from "./messages.js";
+import { SCOPE_RULES } from "./resultSchema.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_POWERS_FILE = path.join(__dirname, "../../rules/shura-powers.json");
+
+/**
+ * Validate one power class of the lexicon
+ */
+function checkPower(id, power) {
+  if (typeof power.allowed !== "boolean") throw new Error(`Power ${id}: "allowed" must be true or false`);
+  if (!power.en || !power.ar) throw new Error(`Power ${id}: needs an ar/en label`);
+  if (!power.rationale?.en || !power.rationale?.ar) throw new Error(`Power ${id}: needs an ar/en rationale`);
+  if (!power.allowed && !SCOPE_RULES.includes(power.rule)) {
+    throw new Error(`Power ${id}: forbidden powers need a content scope rule (${SCOPE_RULES.join(", ")})`);
+  }
+}
+
+/**
+ * Compile and sanity-check one lexicon entry
+ */
+function compileEntry(entry, powers) {
+  if (!entry.id) throw new Error("Lexicon entry is missing an id");
+  if (!powers[entry.power]) throw new Error(`Lexicon entry ${entry.id}: unknown power "${entry.power}"`);
+  if (!entry.pattern) throw new Error(`Lexicon entry ${entry.id}: missing pattern`);
+
+  return { ...entry, regex: new RegExp(normalizePattern(entry.pattern), "g") };
+}
+
+/**
+ * The Shura Council's powers as a maintained Arabic verb-and-phrase lexicon,
+ * loaded from a JSON file and hot-reloaded on change.
+ *
+ * Each objective is classified on its own: a match of a forbidden power
+ * (executive work, election promises) decides it, even next to allowed verbs
+ * ("سأراقب وسأبني"); otherwise an allowed power (legislative, oversight,
+ * representation) does. Objectives with no match are left to the model.
+ */
+export class ShuraPowersLexicon {
+
+  constructor(file = DEFAULT_POWERS_FILE) {
+    this.file = file;
+    this.version = null;
+    this.loadedAt = null;
+    this.powers = {};
+    this.entries = [];
+    this.watcher = null;
+  }
+
+  /**
+   * (Re)load the lexicon. Throws and keeps the previous lexicon if the file is invalid.
+   */
+  load() {
+    const data = JSON.parse(readFileSync(this.file, "utf8"));
+    const powers = data.powers || {};
+    Object.entries(powers).forEach(([id, power]) => checkPower(id, power));
+    const entries = (data.entries || []).map(entry => compileEntry(entry, powers));
+
+    const ids = new Set();
+    for (const entry of entries) {
+      if (ids.has(entry.id)) throw new Error(`Duplicate lexicon entry id: ${entry.id}`);
+      ids.add(entry.id);
+    }
+
+    this.version = data.version || null;
+    this.powers = powers;
+    this.entries = entries.filter(entry => entry.enabled !== false);
+    this.loadedAt = new Date().toISOString();
+    return this;
+  }
+
+  /**
+   * Reload whenever the file changes on disk
+   */
+  watch(logger = console) {
+    if (this.watcher) return;
+
+    this.watcher = watchFile(this.file, () => {
+      try {
+        this.load();
+        logger.info(`Reloaded ${this.entries.length} Shura powers lexicon entries (version ${this.version})`);
+      } catch (error) {
+        logger.error(`Shura powers lexicon reload failed, keeping previous lexicon: ${error.message}`);
+      }
+    });
+  }
+
+  close() {
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  /**
+   * Every lexicon phrase in an objective, in reading order, quoted from the original text
+   */
+  findPhrases(objective) {
+    const normalized = normalizeArabic(objective);
+    const matches = [];
+
+    for (const entry of this.entries) {
+      for (const match of normalized.text.matchAll(entry.regex)) {
+        if (match[0].length === 0) continue;
+        const span = toOriginalSpan(normalized, match.index, match.index + match[0].length);
+        matches.push({ entryId: entry.id, power: entry.power, text: span.text.trim(), index: span.start });
+      }
+    }
+
+    return matches.sort((a, b) => a.index - b.index).map(({ index, ...match }) => match);
+  }
+
+  /**
+   * Classify one objective. Returns `{ power, allowed, rule, entryId, phrase, matches, rationale }`,
+   * or null when no lexicon phrase occurs in it.
+   */
+  classify(objective) {
+    const matches = this.findPhrases(objective);
+    const decisive = matches.find(match => !this.powers[match.power].allowed) || matches[0];
+    if (!decisive) return null;
+
+    const power = this.powers[decisive.power];
+    return {
+      power: decisive.power,
+      allowed: power.allowed,
+      rule: power.allowed ? null : power.rule,
+      entryId: decisive.entryId,
+      phrase: decisive.text,
+      matches,
+      rationale: bilingual(power.rationale, { phrase: decisive.text }),
+    };
+  }
+
+  /**
+   * Public description of the lexicon (no compiled regexes)
+   */
+  describe() {
+    return {
+      file: this.file,
+      version: this.version,
+      loadedAt: this.loadedAt,
+      powers: this.powers,
+      entries: this.entries.map(({ regex, ...entry }) => entry),
+    };
+  }
+}
+
+/**
+ * Verdict for an objective the lexicon could not place: the staged scope
+ * check's per-objective review, else whether it was quoted as a violation
+ */
+export function modelVerdict(objective, result) {
+  const review = (result.objectiveReview || []).find(review => review.objective === objective);
+  if (review && typeof review.allowed === "boolean") {
+    return {
+      power: review.power ?? null,
+      allowed: review.allowed,
+      rule: review.allowed ? null : review.power === "promise" ? "ELECTION_PROMISES" : "OBJECTIVES_OUTSIDE_POWERS",
+      rationale: bilingual(OBJECTIVE_MESSAGES.MODEL_REVIEW, { reason: review.reason || "" }),
+    };
+  }
+
+  const flagged = (result.categories?.contentScope?.items || []).find(item =>
+    item.violated && quotes(item, objective)
+  );
+  return {
+    power: flagged ? { OBJECTIVES_OUTSIDE_POWERS: "executive", ELECTION_PROMISES: "promise" }[flagged.rule] ?? null : null,
+    allowed: !flagged,
+    rule: flagged?.rule ?? null,
+    rationale: bilingual(flagged ? OBJECTIVE_MESSAGES.FLAGGED : OBJECTIVE_MESSAGES.MODEL_ALLOWED, { rule: flagged?.rule }),
+  };
+}
+
+/**
+ * Whether a content scope item quotes (part of) the objective, or the objective in full
+ */
+export function quotes(item, objective) {
+  return (item.violatingObjectives || []).some(quote => quote && (objective.includes(quote) || quote.includes(objective)));
+}
+
+/**
+ * Shared lexicon used by the validation service and the admin API
+ */
+export const shuraPowers = new ShuraPowersLexicon(process.env.POWERS_FILE || DEFAULT_POWERS_FILE).load();
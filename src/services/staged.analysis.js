@@ -0,0 +1,119 @@
+export const ANALYSIS_PIPELINES = ["single", "staged"];
+
+// Stage two: focused checks that each answer some of the result categories
+export const CHECK_STAGES = ["visual", "scope", "ethics"];
+
+// Below this the transcription is too shaky for the text-based checks to be trusted
+const READABILITY_THRESHOLD = 70;
+
+const objects = value => (Array.isArray(value) ? value.filter(item => item && typeof item === "object") : []);
+
+/**
+ * User text of a stage two request: the stage one output, plus any per-poster instructions
+ */
+export function stageInput(extraction, instructions = null) {
+  return [
+    "STAGE ONE OUTPUT (transcription and visual inventory of this poster):",
+    "```json",
+    JSON.stringify(extraction, null, 2),
+    "```",
+    instructions,
+  ].filter(Boolean).join("\n");
+}
+
+/**
+ * One line per inventoried element, in the style of the single-pass trace
+ */
+function describeInventory(inventory, rawText) {
+  const list = (label, items) => objects(items).length > 0
+    ? `${label}: ${objects(items).map(item => `${item.description} (${item.location})`).join("; ")}`
+    : null;
+
+  return [
+    `Found: ${inventory.peopleCount ?? "unknown number of"} person(s)`,
+    list("people", inventory.people),
+    list("logos", inventory.logos),
+    list("flags/emblems", inventory.flagsAndEmblems),
+    list("background", inventory.backgroundStructures),
+    `text '${rawText.slice(0, 200)}'`,
+  ].filter(Boolean).join(", ");
+}
+
+/**
+ * Assemble the stage outputs into the single-pass ValidationResult shape.
+ * The verdict follows from the per-rule decisions; the staged checks give no
+ * graded score, so a compliant poster scores 100. Stage outputs may still be
+ * incomplete after schema repair; coerceResult fills the gaps afterwards.
+ */
+export function mergeStages(extraction, { visual, scope, ethics }) {
+  const documentType = { isElectionPropaganda: true, actualType: "election_poster", reasoning: "", ...extraction.documentType };
+  const imageQuality = { isAcceptable: true, issues: [], ...extraction.imageQuality };
+  const textReadability = extraction.textReadability;
+  const extractedText = { rawText: "", ...extraction.extractedText };
+  const categories = {
+    prohibitedContent: visual.categories?.prohibitedContent,
+    requiredContent: visual.categories?.requiredContent,
+    contentScope: scope.categories?.contentScope,
+    languageEthics: ethics.categories?.languageEthics,
+  };
+  const items = category => objects(categories[category]?.items);
+
+  const violations = [
+    ...items("prohibitedContent").filter(item => item.found === true)
+      .map(item => `${item.rule} at ${item.location} (${item.details})`),
+    ...items("requiredContent").filter(item => item.present === false)
+      .map(item => `${item.element} missing`),
+    ...items("contentScope").filter(item => item.violated === true)
+      .map(item => `${item.rule} (${[].concat(item.violatingObjectives ?? []).join(" | ")})`),
+    ...items("languageEthics").filter(item => item.passed === false)
+      .map(item => `${item.rule} (${item.details})`),
+  ];
+  const isCompliant = documentType.isElectionPropaganda !== false && imageQuality.isAcceptable !== false && violations.length === 0;
+
+  let decision;
+  if (documentType.isElectionPropaganda === false) {
+    decision = `Non-compliant because this is not election propaganda (${documentType.actualType})`;
+  } else if (violations.length > 0) {
+    decision = `Non-compliant due to ${violations.length} violation(s)`;
+  } else if (imageQuality.isAcceptable === false) {
+    decision = `Non-compliant because the image quality is not acceptable (${[].concat(imageQuality.issues).join(", ")})`;
+  } else {
+    decision = "Compliant - no violations";
+  }
+
+  const result = {
+    _analysis_trace: {
+      step1_content_extraction: describeInventory(extraction.visualInventory || {}, String(extractedText.rawText)),
+      step2_document_type: documentType.isElectionPropaganda !== false
+        ? `This IS election propaganda because ${documentType.reasoning}`
+        : `NOT election propaganda - it's ${documentType.actualType}: ${documentType.reasoning}`,
+      step3_violations_found: violations,
+      step4_decision_logic: decision,
+      stages: { visual: visual.reasoning, scope: scope.reasoning, ethics: ethics.reasoning },
+    },
+    isCompliant,
+    overallScore: isCompliant ? 100 : 0,
+    summary: `${decision}.`,
+    rejectionReason: null,
+    documentType,
+    imageQuality,
+    categories,
+    extractedText,
+    visualInventory: extraction.visualInventory,
+    textReadability,
+    objectiveReview: objects(scope.objectiveReview),
+  };
+
+  // The deterministic text checks only see what stage one transcribed
+  const unreadable = Array.isArray(textReadability?.unreadableSegments) ? textReadability.unreadableSegments : [];
+  if (textReadability?.confidence < READABILITY_THRESHOLD || unreadable.length > 0) {
+    result.warnings = [{
+      type: "UNREADABLE_TEXT",
+      rule: "IMAGE_QUALITY",
+      message: `Text was not fully readable${unreadable.length > 0 ? ` (${unreadable.join("; ")})` : ""}. Text-based checks may have missed something; verify the text.`,
+      confidence: textReadability.confidence ?? 50,
+    }];
+  }
+
+  return result;
+}
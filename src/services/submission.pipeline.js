@@ -0,0 +1,106 @@
+import { validateDocument } from "./document.service.js";
+import { hashFiles } from "./submission.store.js";
+import { perceptualHashOf } from "./duplicate.service.js";
+import { localizeResult } from "./messages.js";
+import { takeAudit } from "./audit.log.js";
+import { takeShadow } from "./prompt.shadow.js";
+
+/**
+ * Everything that happens to an upload: duplicate checks, model validation,
+ * registry cross-check, storage, the audit log entry and any shadow prompt
+ * comparison. Shared by the
+ * synchronous endpoint and the job queue so both produce the same response body.
+ */
+export class SubmissionPipeline {
+
+  constructor({ submissions, duplicates, candidates, audit = null, shadows = null, validate = validateDocument }) {
+    this.submissions = submissions;
+    this.duplicates = duplicates;
+    this.candidates = candidates;
+    this.audit = audit;
+    this.shadows = shadows;
+    this.validate = validate;
+  }
+
+  /**
+   * Log how a stored verdict came about: what was uploaded, what the model
+   * answered, what post-processing changed, and the final verdict
+   */
+  async logValidation(submission, trail) {
+    if (!this.audit) return;
+
+    const { result } = submission;
+    await this.audit.append("validation", {
+      submissionId: submission.id,
+      submittedBy: submission.submittedBy,
+      imageHash: submission.imageHash,
+      files: submission.files.map(({ hash, filename, mimeType, size }) => ({ hash, filename, mimeType, size })),
+      duplicateOf: submission.duplicateOf,
+      provider: result.metadata?.provider ?? null,
+      model: result.metadata?.modelUsed ?? null,
+      promptVersion: result.metadata?.promptVersion ?? null,
+      verdict: { status: result.status, isCompliant: submission.isCompliant, rules: submission.rules, escalated: submission.escalated },
+      trail,
+    });
+  }
+
+  /**
+   * Validate and store one submission; returns the localized response body.
+   *
+   * `account` is the candidate account checked against the registry;
+   * `submittedBy` is the user who uploaded (an officer may upload for a candidate).
+   *
+   * `progress(stage, details)` is called as the submission moves through the
+   * pipeline. With `failOnError`, a technical failure (e.g. the model call
+   * failing) throws instead of being stored, so the caller can retry.
+   */
+  async run({ files, account = null, submittedBy = account, language }, { progress = () => {}, failOnError = false } = {}) {
+    progress("duplicate_check");
+
+    // Byte-identical resubmission: reuse the earlier verdict instead of paying for another model call
+    const original = await this.duplicates.findExact(hashFiles(files));
+    if (original) {
+      // The verdict is reused, but ownership depends on who is uploading this time
+      const result = await this.candidates.applyTo(original.result, { account });
+      const submission = await this.submissions.create({ files, result, duplicateOf: original.id, submittedBy });
+      await this.logValidation(submission, null);
+      return {
+        ...localizeResult(result, language),
+        submissionId: submission.id,
+        duplicateOf: { submissionId: original.id, createdAt: original.createdAt, reviewStatus: original.review?.status },
+      };
+    }
+
+    const similar = files.length === 1 ? await this.duplicates.findSimilar(await perceptualHashOf(files[0].buffer)) : null;
+
+    // Vision LLM handles both OCR and compliance validation (per page for PDFs)
+    progress("analyzing");
+    const result = await this.validate(files, {
+      onPage: (page, pages) => progress("analyzing", { page, pages }),
+    });
+    if (result.status === "error" && failOnError) {
+      throw new Error(result.error);
+    }
+    const trail = takeAudit(result);
+    const comparisons = takeShadow(result);
+
+    // Near-duplicate: link to the earlier poster and show what changed since then
+    if (similar) {
+      result.nearDuplicate = await this.duplicates.describeChanges(similar, files[0].buffer, result);
+    }
+
+    // Cross-check the candidate against the registry (nothing was read if the check failed)
+    progress("registry_check");
+    const checked = result.status === "error" ? result : await this.candidates.applyTo(result, { account });
+
+    // Keep a record of every check so reviewers can audit it later
+    progress("saving");
+    const submission = await this.submissions.create({ files, result: checked, submittedBy });
+    await this.logValidation(submission, trail);
+    for (const comparison of this.shadows ? comparisons : []) {
+      await this.shadows.record({ submissionId: submission.id, ...comparison });
+    }
+
+    return { ...localizeResult(checked, language), submissionId: submission.id };
+  }
+}
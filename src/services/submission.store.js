@@ -0,0 +1,249 @@
+import { createHash, randomUUID } from "crypto";
+import { mkdir, readFile, readdir, rename, writeFile } from "fs/promises";
+import path from "path";
+import { getReview } from "./review.service.js";
+import { perceptualHashOf } from "./duplicate.service.js";
+import { wilayaKnowledge } from "./wilaya.knowledge.js";
+import { isEscalated } from "./consensus.service.js";
+import { detectMimeType } from "./image.preprocess.js";
+
+const IMAGE_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "image/tiff": "tiff",
+  "application/pdf": "pdf",
+};
+
+/**
+ * Types a stored file may be served as; anything else is never sent back to a browser
+ */
+export const SERVABLE_TYPES = Object.keys(IMAGE_EXTENSIONS);
+
+/**
+ * Collect every rule the result marks as violated, across all categories
+ */
+export function getViolatedRules(result) {
+  const categories = result?.categories || {};
+  const rules = new Set();
+
+  categories.prohibitedContent?.items?.forEach(item => {
+    if (item.found) rules.add(item.rule);
+  });
+
+  categories.contentScope?.items?.forEach(item => {
+    if (item.violated) rules.add(item.rule);
+  });
+
+  categories.languageEthics?.items?.forEach(item => {
+    if (item.passed === false) rules.add(item.rule);
+  });
+
+  categories.requiredContent?.items?.forEach(item => {
+    if (item.present === false) rules.add(item.element);
+  });
+
+  return [...rules];
+}
+
+/**
+ * Content hash of a submission: the file's sha256, or the hash of all file hashes
+ */
+export function hashFiles(files) {
+  const hashes = files.map(({ buffer }) => createHash("sha256").update(buffer).digest("hex"));
+  return hashes.length === 1 ? hashes[0] : createHash("sha256").update(hashes.join(",")).digest("hex");
+}
+
+/**
+ * compliant | non_compliant | error (a failed check). Records stored before
+ * outcomes existed marked failed checks with `result.error`.
+ */
+export function getOutcome(record) {
+  if (record.outcome) return record.outcome;
+  if (record.result?.error) return "error";
+  return record.isCompliant ? "compliant" : "non_compliant";
+}
+
+/**
+ * Best-effort wilaya detection from the poster text ("ولاية صحار" -> "صحار").
+ * Known wilayat come back under their canonical name; unknown ones as written.
+ */
+export function detectWilaya(result) {
+  const text = result?.extractedText?.rawText || "";
+  const known = wilayaKnowledge.detect(text);
+  if (known) return known.name;
+
+  const match = text.match(/ولاية\s+([؀-ۿ]+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * File-based submission store.
+ *
+ * Every submission is one JSON file under `<dataDir>/submissions`, and the
+ * uploaded image is kept once per content hash under `<dataDir>/images`.
+ * Records are cached in memory after the first load.
+ */
+export class SubmissionStore {
+
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.submissionsDir = path.join(dataDir, "submissions");
+    this.imagesDir = path.join(dataDir, "images");
+    this.records = null;
+  }
+
+  /**
+   * Create directories and load existing records into memory
+   */
+  async init() {
+    if (this.records) return;
+
+    await mkdir(this.submissionsDir, { recursive: true });
+    await mkdir(this.imagesDir, { recursive: true });
+
+    this.records = new Map();
+    const files = await readdir(this.submissionsDir);
+
+    for (const file of files.filter(f => f.endsWith(".json"))) {
+      const record = JSON.parse(await readFile(path.join(this.submissionsDir, file), "utf8"));
+      this.records.set(record.id, record);
+    }
+  }
+
+  /**
+   * Persist a validated upload (one or more files) together with its full enriched result.
+   * `duplicateOf` marks a byte-identical resubmission whose verdict was reused;
+   * `submittedBy` is the uploading user's username.
+   */
+  async create({ files, result, duplicateOf = null, submittedBy = null }) {
+    await this.init();
+
+    const stored = [];
+    for (const { buffer, filename } of files) {
+      const hash = createHash("sha256").update(buffer).digest("hex");
+      // The type the bytes say, never the one the client declared
+      const mimeType = detectMimeType(buffer);
+      const file = `${hash}.${IMAGE_EXTENSIONS[mimeType] || "bin"}`;
+      await writeFile(path.join(this.imagesDir, file), buffer);
+
+      stored.push({
+        file,
+        hash,
+        filename: filename || null,
+        mimeType: mimeType || null,
+        size: buffer.length,
+      });
+    }
+
+    const record = {
+      id: randomUUID(),
+      createdAt: new Date().toISOString(),
+      submittedBy,
+      imageHash: hashFiles(files),
+      // Only single-image submissions take part in near-duplicate matching
+      perceptualHash: files.length === 1 ? await perceptualHashOf(files[0].buffer) : null,
+      duplicateOf,
+      nearDuplicateOf: result.nearDuplicate?.submissionId || null,
+      image: stored[0],
+      files: stored,
+      outcome: result.status,
+      isCompliant: result.status === "error" ? null : result.isCompliant === true,
+      rules: getViolatedRules(result),
+      wilaya: detectWilaya(result),
+      // Models disagreed in consensus mode: an officer has to decide
+      escalated: isEscalated(result),
+      review: { status: "pending", history: [] },
+      result,
+    };
+
+    await this.save(record);
+    return record;
+  }
+
+  /**
+   * Write a record atomically and refresh the cache
+   */
+  async save(record) {
+    await this.init();
+
+    const target = path.join(this.submissionsDir, `${record.id}.json`);
+    const tmp = `${target}.tmp`;
+    await writeFile(tmp, JSON.stringify(record, null, 2));
+    await rename(tmp, target);
+
+    this.records.set(record.id, record);
+    return record;
+  }
+
+  async get(id) {
+    await this.init();
+    return this.records.get(id) || null;
+  }
+
+  /**
+   * Read one stored file of a submission (the first by default)
+   */
+  async readImage(record, index = 0) {
+    const file = (record.files || [record.image])[index];
+    if (!file) return null;
+
+    return { ...file, buffer: await readFile(path.join(this.imagesDir, file.file)) };
+  }
+
+  /**
+   * List records, newest first, filtered by uploader, verdict, outcome, escalation, rule, wilaya, review status and date range
+   */
+  async list({ submittedBy, isCompliant, outcome, escalated, rule, wilaya, status, from, to, limit = 50, offset = 0 } = {}) {
+    await this.init();
+
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const matches = [...this.records.values()]
+      .filter(record => {
+        if (submittedBy !== undefined && record.submittedBy !== submittedBy) return false;
+        if (isCompliant !== undefined && record.isCompliant !== isCompliant) return false;
+        if (outcome && getOutcome(record) !== outcome) return false;
+        if (escalated !== undefined && (record.escalated === true) !== escalated) return false;
+        if (rule && !record.rules.includes(rule)) return false;
+        if (wilaya && record.wilaya !== wilaya) return false;
+        if (status && getReview(record).status !== status) return false;
+
+        const created = new Date(record.createdAt).getTime();
+        if (fromTime !== null && created < fromTime) return false;
+        if (toTime !== null && created > toTime) return false;
+
+        return true;
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return {
+      total: matches.length,
+      items: matches.slice(offset, offset + limit),
+    };
+  }
+}
+
+/**
+ * Compact view of a record for list endpoints (no full result payload)
+ */
+export function summarizeSubmission(record) {
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    submittedBy: record.submittedBy || null,
+    imageHash: record.imageHash,
+    filename: record.image.filename,
+    fileCount: (record.files || [record.image]).length,
+    outcome: getOutcome(record),
+    isCompliant: record.isCompliant,
+    rules: record.rules,
+    escalated: record.escalated === true,
+    wilaya: record.wilaya,
+    reviewStatus: getReview(record).status,
+    candidateName: record.result?.extractedText?.candidateName || null,
+    rejectionReason: record.result?.rejectionReason || null,
+  };
+}
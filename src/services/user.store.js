@@ -0,0 +1,166 @@
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import { randomBytes, randomUUID, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+import path from "path";
+
+const scryptAsync = promisify(scrypt);
+
+export const ROLES = ["candidate", "officer", "admin"];
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{2,63}$/;
+const MIN_PASSWORD_LENGTH = 10;
+const KEY_LENGTH = 64;
+
+export class UserError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "UserError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * "scrypt$<salt>$<key>", both hex
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const key = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString("hex")}$${key.toString("hex")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, key] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !key) return false;
+
+  const expected = Buffer.from(key, "hex");
+  const actual = await scryptAsync(password, Buffer.from(salt, "hex"), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+/**
+ * Account without its password hash
+ */
+export function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+function checkPassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new UserError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw new UserError(`Invalid role: ${role} (expected ${ROLES.join(", ")})`);
+}
+
+/**
+ * Local accounts: candidates who submit posters, officers who review them and
+ * administrators who manage rules and prompts. Stored as `<dataDir>/users.json`.
+ *
+ * A candidate's username is their upload account, the one listed in the
+ * candidate registry's `accounts` column.
+ */
+export class UserStore {
+
+  constructor(dataDir) {
+    this.file = path.join(dataDir, "users.json");
+    this.users = null;
+  }
+
+  async load() {
+    if (this.users) return;
+
+    try {
+      this.users = JSON.parse(await readFile(this.file, "utf8")).users;
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      this.users = [];
+    }
+  }
+
+  async save() {
+    await mkdir(path.dirname(this.file), { recursive: true });
+
+    const tmp = `${this.file}.tmp`;
+    await writeFile(tmp, JSON.stringify({ users: this.users }, null, 2));
+    await rename(tmp, this.file);
+  }
+
+  async create({ username, password, role, name = null }) {
+    await this.load();
+
+    const login = String(username || "").trim().toLowerCase();
+    if (!USERNAME_PATTERN.test(login)) {
+      throw new UserError("Username must be 3-64 characters: lowercase letters, digits, \".\", \"_\" or \"-\"");
+    }
+    if (this.users.some(user => user.username === login)) {
+      throw new UserError(`Username already taken: ${login}`, 409);
+    }
+    checkRole(role);
+    checkPassword(password);
+
+    const user = {
+      id: randomUUID(),
+      username: login,
+      name,
+      role,
+      disabled: false,
+      createdAt: new Date().toISOString(),
+      passwordHash: await hashPassword(password),
+    };
+
+    this.users.push(user);
+    await this.save();
+    return publicUser(user);
+  }
+
+  /**
+   * Change role, name, password or disabled flag. Every field is checked
+   * before any is applied, so a rejected update leaves the account as it was.
+   */
+  async update(id, { role, name, password, disabled }) {
+    await this.load();
+
+    const user = this.users.find(user => user.id === id);
+    if (!user) throw new UserError("User not found", 404);
+
+    if (role !== undefined) checkRole(role);
+    if (password !== undefined) checkPassword(password);
+
+    const changes = { updatedAt: new Date().toISOString() };
+    if (role !== undefined) changes.role = role;
+    if (name !== undefined) changes.name = name;
+    if (disabled !== undefined) changes.disabled = disabled === true;
+    if (password !== undefined) changes.passwordHash = await hashPassword(password);
+
+    Object.assign(user, changes);
+
+    await this.save();
+    return publicUser(user);
+  }
+
+  /**
+   * The account for a username and password, or null. Disabled accounts never sign in.
+   */
+  async verify(username, password) {
+    await this.load();
+
+    const user = this.users.find(user => user.username === String(username || "").trim().toLowerCase());
+    if (!user || user.disabled || typeof password !== "string") return null;
+
+    return (await verifyPassword(password, user.passwordHash)) ? publicUser(user) : null;
+  }
+
+  async get(id) {
+    await this.load();
+    const user = this.users.find(user => user.id === id);
+    return user ? publicUser(user) : null;
+  }
+
+  async list() {
+    await this.load();
+    return this.users.map(publicUser);
+  }
+}
@@ -0,0 +1,167 @@
+import { readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { normalizeArabic } from "./arabic.normalize.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_WILAYAT_FILE = path.join(__dirname, "../../rules/wilayat.json");
+
+/**
+ * Lookup key for a place name: normalized Arabic without the "ال" prefix
+ */
+function placeKey(name) {
+  const text = normalizeArabic(name).text.trim().toLowerCase();
+  return text.length > 3 && text.startsWith("ال") ? text.slice(2) : text;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Validate one wilaya entry and precompute what detection needs
+ */
+function compileWilaya(entry, landmarkTypes) {
+  if (!entry.id || !entry.name) throw new Error("Wilaya is missing an id or name");
+
+  const landmarks = (entry.landmarks || []).map(landmark => {
+    if (!landmark.id || !landmark.name) throw new Error(`Wilaya ${entry.id}: landmark is missing an id or name`);
+    if (!landmarkTypes[landmark.type]) throw new Error(`Landmark ${landmark.id}: unknown type "${landmark.type}"`);
+    return landmark;
+  });
+
+  const names = [entry.name, ...(entry.aliases || [])];
+  // Bare mentions ("صحار") count unless the name is also a common word ("نخل", "صور")
+  const mention = entry.ambiguous
+    ? null
+    : new RegExp(`(?:^|[^\\p{L}])(?:ال)?(?:${names.map(name => escapeRegExp(placeKey(name))).join("|")})(?![\\p{L}])`, "u");
+
+  return { ...entry, landmarks, keys: names.map(placeKey), mention };
+}
+
+/**
+ * Omani wilayat and their protected landmarks (forts, castles, gates), loaded
+ * from a JSON file. Used to work out which wilaya a poster is for and which
+ * landmarks the model should look for in its background.
+ */
+export class WilayaKnowledgeBase {
+
+  constructor(file = DEFAULT_WILAYAT_FILE) {
+    this.file = file;
+    this.version = null;
+    this.landmarkTypes = {};
+    this.wilayat = [];
+  }
+
+  /**
+   * (Re)load the knowledge base. Throws and keeps the previous data if the file is invalid.
+   */
+  load() {
+    const data = JSON.parse(readFileSync(this.file, "utf8"));
+    const landmarkTypes = data.landmarkTypes || {};
+    const wilayat = (data.wilayat || []).map(entry => compileWilaya(entry, landmarkTypes));
+
+    const ids = new Set();
+    for (const id of wilayat.flatMap(wilaya => [wilaya.id, ...wilaya.landmarks.map(landmark => landmark.id)])) {
+      if (ids.has(id)) throw new Error(`Duplicate wilaya or landmark id: ${id}`);
+      ids.add(id);
+    }
+
+    this.version = data.version || null;
+    this.landmarkTypes = landmarkTypes;
+    this.wilayat = wilayat;
+    return this;
+  }
+
+  get(id) {
+    return this.wilayat.find(wilaya => wilaya.id === id) || null;
+  }
+
+  /**
+   * Wilaya for a name as written on a poster or in the registry ("السويق", "سويق")
+   */
+  findByName(name) {
+    const key = placeKey(name || "");
+    return key ? this.wilayat.find(wilaya => wilaya.keys.includes(key)) || null : null;
+  }
+
+  /**
+   * Wilaya the poster text is about. An explicit "ولاية X" wins; otherwise the
+   * first unambiguous place name mentioned anywhere in the text.
+   */
+  detect(text) {
+    const normalized = normalizeArabic(text || "").text;
+
+    for (const match of normalized.matchAll(/ولايه\s+([\p{L}]+)/gu)) {
+      const wilaya = this.findByName(match[1]);
+      if (wilaya) return wilaya;
+    }
+
+    let first = null;
+    for (const wilaya of this.wilayat) {
+      const match = wilaya.mention?.exec(normalized);
+      if (match && (!first || match.index < first.index)) first = { wilaya, index: match.index };
+    }
+
+    return first?.wilaya || null;
+  }
+
+  /**
+   * Per-request model instructions listing the wilaya's protected landmarks
+   */
+  instructionsFor(wilaya) {
+    const lines = wilaya.landmarks.map(landmark => {
+      const type = this.landmarkTypes[landmark.type];
+      return `- ${landmark.id}: ${landmark.name} (${landmark.nameEn}), ${type.en} — ${type.cues}`;
+    });
+
+    return [
+      `LANDMARK CONTEXT: The poster is for ولاية ${wilaya.name} (${wilaya.nameEn}). Its protected historical landmarks (HISTORICAL_SYMBOLS) are:`,
+      ...lines,
+      "Any watermark, silhouette or stylized shape resembling one of these landmarks is a HISTORICAL_SYMBOLS violation.",
+    ].join("\n");
+  }
+
+  /**
+   * Which of the wilaya's landmarks the model most likely saw: the id it
+   * named, a landmark named in its details, or the only landmark of the
+   * type it described. Null when it cannot be narrowed to one.
+   */
+  identifyLandmark(wilaya, { landmarkId = null, details = "" } = {}) {
+    const byId = wilaya.landmarks.find(landmark => landmark.id === landmarkId);
+    if (byId) return byId;
+
+    const text = normalizeArabic(details).text.toLowerCase();
+    const named = wilaya.landmarks.find(landmark =>
+      text.includes(normalizeArabic(landmark.name).text) || text.includes(landmark.nameEn.toLowerCase())
+    );
+    if (named) return named;
+
+    const types = Object.keys(this.landmarkTypes).filter(type =>
+      this.landmarkTypes[type].keywords.some(keyword => text.includes(normalizeArabic(keyword).text.toLowerCase()))
+    );
+    const candidates = types.length
+      ? wilaya.landmarks.filter(landmark => types.includes(landmark.type))
+      : wilaya.landmarks;
+
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+
+  /**
+   * Public description of the knowledge base
+   */
+  describe() {
+    return {
+      file: this.file,
+      version: this.version,
+      landmarkTypes: this.landmarkTypes,
+      wilayat: this.wilayat.map(({ keys, mention, ...wilaya }) => wilaya),
+    };
+  }
+}
+
+/**
+ * Shared knowledge base used by the validation service and the submission store
+ */
+export const wilayaKnowledge = new WilayaKnowledgeBase(process.env.WILAYAT_FILE || DEFAULT_WILAYAT_FILE).load();
@@ -0,0 +1,57 @@
+import { after, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import { collectAnnotations, normalizeBoundingBox, renderAnnotatedImage } from "../src/services/annotation.service.js";
+import { ValidationService } from "../src/services/ai.service.js";
+
+describe("violation localization", () => {
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+  });
+  after(() => mock.restoreAll());
+
+  it("clamps boxes to the image and drops empty ones", () => {
+    assert.deepEqual(normalizeBoundingBox({ x: 0.9, y: -0.1, width: 0.3, height: 0.2 }), { x: 0.9, y: 0, width: 0.1, height: 0.1 });
+    assert.equal(normalizeBoundingBox({ x: 0.5, y: 0.5, width: 0, height: 0.2 }), null);
+    assert.equal(normalizeBoundingBox({ x: "left" }), null);
+    assert.equal(normalizeBoundingBox(null), null);
+  });
+
+  it("gives every violating objective a span and keeps the model's boxes", () => {
+    const service = new ValidationService({ provider: null, preprocess: null });
+    const result = service.coerceResult({
+      categories: {
+        prohibitedContent: { items: [{ rule: "ELECTION_LOGO", found: true, boundingBox: { x: 0, y: 0, width: 0.2, height: 0.1 } }] },
+        contentScope: {
+          items: [{
+            rule: "OBJECTIVES_OUTSIDE_POWERS",
+            violated: true,
+            violatingObjectives: ["سأبني مدارس", "أصلح الطرق"],
+            violatingSpans: [{ text: "سأبني مدارس", boundingBox: { x: 0.1, y: 0.6, width: 0.5, height: 0.05 } }],
+          }],
+        },
+      },
+    });
+
+    assert.deepEqual(result.categories.contentScope.items[0].violatingSpans, [
+      { text: "سأبني مدارس", boundingBox: { x: 0.1, y: 0.6, width: 0.5, height: 0.05 } },
+      { text: "أصلح الطرق", boundingBox: null },
+    ]);
+    assert.deepEqual(collectAnnotations(result).map(a => a.label), ["ELECTION_LOGO", "OBJECTIVES_OUTSIDE_POWERS"]);
+  });
+
+  it("draws the boxes over the original image", async () => {
+    const poster = await sharp({ create: { width: 400, height: 300, channels: 3, background: "#ffffff" } }).jpeg().toBuffer();
+    const png = await renderAnnotatedImage(poster, [
+      { category: "prohibitedContent", label: "ELECTION_LOGO", box: { x: 0.5, y: 0.5, width: 0.25, height: 0.25 } },
+    ]);
+
+    const { data, info } = await sharp(png).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    assert.deepEqual([info.width, info.height], [400, 300]);
+
+    const pixel = (x, y) => [...data.subarray((y * info.width + x) * 3, (y * info.width + x) * 3 + 3)];
+    assert.deepEqual(pixel(250, 150), [220, 38, 38]); // box edge
+    assert.deepEqual(pixel(10, 10), [255, 255, 255]);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeArabic, normalizePattern, toOriginalSpan } from "../src/services/arabic.normalize.js";
+
+describe("Arabic normalization", () => {
+  it("folds spelling variants that do not change meaning", () => {
+    const cases = [
+      ["diacritics", "مُحَمَّدٌ", "محمد"],
+      ["shadda and dagger alef", "الرَّحْمٰن", "الرحمن"],
+      ["tatweel", "الشـــورى", "الشوري"],
+      ["alef with hamza above", "أحمد", "احمد"],
+      ["alef with hamza below", "إسلام", "اسلام"],
+      ["alef madda", "آمال", "امال"],
+      ["alef wasla", "ٱلمجلس", "المجلس"],
+      ["taa marbuta", "مدرسة", "مدرسه"],
+      ["alef maqsura", "مستشفى", "مستشفي"],
+      ["waw with hamza", "مسؤول", "مسوول"],
+      ["yaa with hamza", "رئيس", "رييس"],
+      ["Arabic-Indic digits", "٢٠٢٥", "2025"],
+      ["Extended Arabic-Indic digits", "۱۴۴۷", "1447"],
+      ["Latin text", "Shura 2025", "Shura 2025"],
+      ["empty", "", ""],
+      ["missing", null, ""],
+    ];
+
+    for (const [name, input, expected] of cases) {
+      const normalized = normalizeArabic(input);
+      assert.equal(normalized.text, expected, name);
+      assert.equal(normalized.map.length, expected.length, name);
+    }
+  });
+
+  it("maps normalized spans back to the original text", () => {
+    const quoted = normalizeArabic("قال المرشح: «سأوفر وَظَائِفَ للشبابِ»");
+    const at = word => quoted.text.indexOf(word);
+
+    const cases = [
+      // Trailing diacritics stay with the quoted word
+      ["word with diacritics", at("وظايف"), at("وظايف") + 5, { start: 19, end: 28, text: "وَظَائِفَ" }],
+      ["hamza word", at("ساوفر"), at("ساوفر") + 5, { start: 13, end: 18, text: "سأوفر" }],
+      ["whole quotation", at("«"), at("»") + 1, { start: 12, end: 37, text: "«سأوفر وَظَائِفَ للشبابِ»" }],
+      ["empty span", 3, 3, { start: 3, end: 3, text: "" }],
+    ];
+
+    for (const [name, start, end, expected] of cases) {
+      assert.deepEqual(toOriginalSpan(quoted, start, end), expected, name);
+    }
+
+    const stretched = normalizeArabic("مجلس الشـــورى");
+    assert.deepEqual(toOriginalSpan(stretched, 5, 11), { start: 5, end: 14, text: "الشـــورى" });
+    assert.deepEqual(toOriginalSpan(stretched, 5, 8), { start: 5, end: 11, text: "الشـــ" }, "trailing tatweel is kept");
+  });
+
+  it("normalizes patterns without touching escapes", () => {
+    const cases = [
+      ["أ\\s*مسؤول", "ا\\s*مسوول"],
+      ["لـ?جنة", "لجنه"],
+      ["وظائف|مدارس", "وظايف|مدارس"],
+      ["\\d+ ريال", "\\d+ ريال"],
+    ];
+
+    for (const [pattern, expected] of cases) {
+      assert.equal(normalizePattern(pattern), expected, pattern);
+    }
+  });
+});
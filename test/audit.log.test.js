@@ -0,0 +1,125 @@
+import { after, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import { readFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import { AuditLog, canonicalJson, takeAudit } from "../src/services/audit.log.js";
+import { ValidationService } from "../src/services/ai.service.js";
+import { ReviewService } from "../src/services/review.service.js";
+import { SubmissionStore } from "../src/services/submission.store.js";
+
+const compliant = JSON.parse(
+  readFileSync(new URL("../fixtures/golden/compliant-legislative-objectives.json", import.meta.url), "utf8")
+).response;
+
+describe("audit log", () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "audit-"));
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+  });
+  after(async () => {
+    mock.restoreAll();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("hashes entries independently of key order", () => {
+    assert.equal(canonicalJson({ b: 1, a: { d: [2, { f: 3, e: null }], c: undefined } }), '{"a":{"d":[2,{"e":null,"f":3}]},"b":1}');
+  });
+
+  it("chains entries and detects edits, deletions and truncation", async () => {
+    const log = new AuditLog(path.join(dir, "chain"));
+    await Promise.all([1, 2, 3].map(n => log.append("review", { submissionId: `s-${n}`, status: "approved" })));
+
+    const report = await log.verify();
+    assert.deepEqual([report.valid, report.entries], [true, 3]);
+    const [first, second] = await log.list();
+    assert.equal(second.prevHash, first.hash);
+
+    // A fresh instance continues the chain from the file
+    await new AuditLog(path.join(dir, "chain")).append("review", { submissionId: "s-4", status: "rejected" });
+    const { head, entries } = await log.verify();
+    assert.equal(entries, 4);
+
+    const original = await readFile(log.file, "utf8");
+    const lines = original.trim().split("\n");
+
+    await writeFile(log.file, original.replace('"status":"approved"', '"status":"rejected"'));
+    assert.deepEqual((await log.verify()).error, { seq: 1, line: 1, reason: "content does not match its hash" });
+
+    await writeFile(log.file, [lines[0], ...lines.slice(2)].join("\n"));
+    assert.match((await log.verify()).error.reason, /expected sequence number 2/);
+
+    await writeFile(log.file, `${lines.slice(0, 3).join("\n")}\n`);
+    assert.equal((await log.verify()).valid, true);
+    assert.match((await log.verify({ head })).error.reason, /not in the log/);
+  });
+
+  it("keeps the raw model answer and every deterministic change to the verdict", async () => {
+    const response = structuredClone(compliant);
+    response.extractedText.objectives = ["سأوفر وظائف للشباب"];
+    const content = JSON.stringify(response);
+
+    const result = await new ValidationService({
+      provider: { name: "replay", model: "replay", analyze: async () => ({ content, modelVersion: "replay-1" }) },
+      preprocess: null,
+      landmarkCheck: false,
+      consensus: null,
+    }).validatePoster(Buffer.from("x"));
+
+    const trail = takeAudit({ pages: [{ pageNumber: 1, result }] }).pages[0];
+    assert.equal(result._audit, undefined);
+    assert.equal(trail.responses[0].content, content);
+    assert.equal(trail.responses[0].modelVersion, "replay-1");
+    assert.match(trail.responses[0].promptSha256, /^[0-9a-f]{64}$/);
+
+    const mutation = trail.mutations.find(mutation => mutation.step === "flagDeterministicViolation");
+    assert.equal(mutation.ruleId, "POWERS.PROVIDE");
+    assert.deepEqual([mutation.before.isCompliant, mutation.after.isCompliant], [true, false]);
+  });
+
+  it("logs officer decisions before they take effect", async () => {
+    const data = path.join(dir, "reviews");
+    const store = new SubmissionStore(data);
+    await store.save({ id: "s-1", createdAt: new Date().toISOString(), rules: ["ELECTION_PROMISES"], isCompliant: false, review: { status: "pending", history: [] } });
+
+    const audit = new AuditLog(data);
+    await new ReviewService(store, { audit }).decide("s-1", {
+      status: "approved",
+      reason: "Pledge is a quote from the law",
+      officer: "officer1",
+      overriddenRules: ["ELECTION_PROMISES"],
+    });
+
+    const [entry] = await audit.list({ submissionId: "s-1" });
+    assert.equal(entry.type, "review");
+    assert.deepEqual([entry.data.actor, entry.data.from, entry.data.status, entry.data.overriddenRules], ["officer1", "pending", "approved", ["ELECTION_PROMISES"]]);
+  });
+
+  it("applies one of two simultaneous decisions and refuses the other", async () => {
+    const data = path.join(dir, "race");
+    const store = new SubmissionStore(data);
+    await store.save({ id: "s-1", createdAt: new Date().toISOString(), rules: ["ELECTION_PROMISES"], isCompliant: false, review: { status: "pending", history: [] } });
+
+    const audit = new AuditLog(data);
+    const reviews = new ReviewService(store, { audit });
+    const decide = (status, officer) => reviews.decide("s-1", { status, reason: "Checked", officer });
+
+    const [approved, rejected] = await Promise.allSettled([decide("approved", "officer1"), decide("rejected", "officer2")]);
+    assert.equal(approved.status, "fulfilled");
+    assert.equal(rejected.reason.statusCode, 409);
+
+    const entries = await audit.list({ submissionId: "s-1" });
+    assert.deepEqual(entries.map(entry => entry.data.actor), ["officer1"]);
+    assert.equal((await store.get("s-1")).review.history.length, 1);
+
+    await assert.rejects(decide("needs-changes", "officer1"), { statusCode: 409 });
+    await assert.rejects(
+      reviews.decide("s-1", { status: "approved", reason: "Checked", officer: "officer1", overriddenRules: "ELECTION_PROMISES" }),
+      { statusCode: 400, message: /list of rule ids/ }
+    );
+  });
+});
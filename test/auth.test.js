@@ -0,0 +1,166 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import Fastify from "fastify";
+import { UserStore } from "../src/services/user.store.js";
+import { AuthService, sessionToken } from "../src/services/auth.service.js";
+import { SubmissionStore } from "../src/services/submission.store.js";
+import { ReviewService } from "../src/services/review.service.js";
+import authRoutes from "../src/routes/auth.routes.js";
+import submissionsRoutes from "../src/routes/submissions.routes.js";
+import reviewsRoutes from "../src/routes/reviews.routes.js";
+import rulesRoutes from "../src/routes/rules.routes.js";
+
+const PASSWORD = "correct horse battery";
+
+function record(id, submittedBy) {
+  return {
+    id,
+    createdAt: new Date().toISOString(),
+    submittedBy,
+    image: { filename: `${id}.png` },
+    outcome: "non_compliant",
+    isCompliant: false,
+    rules: ["ELECTION_PROMISES"],
+    review: { status: "rejected", history: [] },
+    result: { isCompliant: false },
+  };
+}
+
+describe("authentication and roles", () => {
+  let dir;
+  let app;
+  let users;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "auth-"));
+    users = new UserStore(dir);
+    for (const [username, role] of [["salim", "candidate"], ["aisha", "candidate"], ["officer1", "officer"], ["root", "admin"]]) {
+      await users.create({ username, password: PASSWORD, role });
+    }
+
+    const submissions = new SubmissionStore(dir);
+    await submissions.save(record("s-salim", "salim"));
+    await submissions.save(record("s-aisha", "aisha"));
+
+    const auth = new AuthService(users);
+    app = Fastify();
+    app.decorate("users", users);
+    app.decorate("auth", auth);
+    app.decorate("submissions", submissions);
+    app.decorate("reviews", new ReviewService(submissions));
+    app.decorate("rules", { describe: () => ({ rules: [] }) });
+    app.decorateRequest("user", null);
+    app.addHook("onRequest", async (request) => {
+      request.user = await auth.authenticate(sessionToken(request));
+    });
+    app.register(authRoutes);
+    app.register(submissionsRoutes);
+    app.register(reviewsRoutes);
+    app.register(rulesRoutes);
+    await app.ready();
+  });
+  after(async () => {
+    await app.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const login = async (username) => {
+    const response = await app.inject({ method: "POST", url: "/api/auth/login", payload: { username, password: PASSWORD } });
+    return { authorization: `Bearer ${response.json().token}` };
+  };
+
+  it("stores scrypt hashes and never returns them", async () => {
+    const stored = (await users.list())[0];
+    assert.equal(stored.passwordHash, undefined);
+    assert.match(users.users[0].passwordHash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+
+    assert.equal((await users.verify("SALIM", PASSWORD)).username, "salim");
+    assert.equal(await users.verify("salim", "wrong password"), null);
+    await assert.rejects(users.create({ username: "salim", password: PASSWORD, role: "candidate" }), { statusCode: 409 });
+    await assert.rejects(users.create({ username: "x1y", password: "short", role: "candidate" }), /at least 10/);
+    await assert.rejects(users.create({ username: "x1y", password: PASSWORD, role: "superuser" }), /Invalid role/);
+  });
+
+  it("signs in with a cookie or a bearer token and rejects anonymous requests", async () => {
+    assert.equal((await app.inject({ url: "/api/submissions" })).statusCode, 401);
+
+    const response = await app.inject({ method: "POST", url: "/api/auth/login", payload: { username: "salim", password: PASSWORD } });
+    assert.match(response.headers["set-cookie"], /^session=[\w-]+; Path=\/; HttpOnly; SameSite=Strict/);
+
+    const cookie = response.headers["set-cookie"].split(";")[0];
+    const me = await app.inject({ url: "/api/auth/me", headers: { cookie } });
+    assert.equal(me.json().user.role, "candidate");
+    assert.deepEqual(me.json().permissions, ["submit", "appeal"]);
+
+    await app.inject({ method: "POST", url: "/api/auth/logout", headers: { cookie } });
+    assert.equal((await app.inject({ url: "/api/auth/me", headers: { cookie } })).statusCode, 401);
+  });
+
+  it("shows candidates only their own submissions", async () => {
+    const headers = await login("salim");
+
+    const list = await app.inject({ url: "/api/submissions", headers });
+    assert.deepEqual(list.json().items.map(item => item.id), ["s-salim"]);
+    assert.equal((await app.inject({ url: "/api/submissions/s-aisha", headers })).statusCode, 404);
+
+    const officer = await app.inject({ url: "/api/submissions", headers: await login("officer1") });
+    assert.equal(officer.json().total, 2);
+  });
+
+  it("records reviews and appeals under the signed-in user, by role", async () => {
+    const candidate = await login("aisha");
+    const review = { status: "approved", reason: "Fine", officer: "someone-else" };
+
+    const denied = await app.inject({ method: "POST", url: "/api/submissions/s-aisha/review", headers: candidate, payload: review });
+    assert.equal(denied.statusCode, 403);
+
+    const foreign = await app.inject({ method: "POST", url: "/api/submissions/s-salim/appeal", headers: candidate, payload: { reason: "No" } });
+    assert.equal(foreign.statusCode, 404);
+
+    const appeal = await app.inject({ method: "POST", url: "/api/submissions/s-aisha/appeal", headers: candidate, payload: { reason: "Objective is legislative" } });
+    assert.equal(appeal.json().history[0].actor, "aisha");
+
+    const decided = await app.inject({ method: "POST", url: "/api/submissions/s-aisha/review", headers: await login("officer1"), payload: review });
+    assert.equal(decided.json().history[1].actor, "officer1");
+  });
+
+  it("keeps rule and account management to administrators", async () => {
+    assert.equal((await app.inject({ url: "/api/admin/rules", headers: await login("officer1") })).statusCode, 403);
+
+    const admin = await login("root");
+    assert.equal((await app.inject({ url: "/api/admin/rules", headers: admin })).statusCode, 200);
+
+    const { id } = users.users.find(user => user.username === "salim");
+    const salim = await login("salim");
+    await app.inject({ method: "PATCH", url: `/api/admin/users/${id}`, headers: admin, payload: { disabled: true } });
+    assert.equal((await app.inject({ url: "/api/auth/me", headers: salim })).statusCode, 401);
+  });
+
+  it("leaves an account unchanged when any field of an update is rejected", async () => {
+    const { id } = users.users.find(user => user.username === "aisha");
+    const before = structuredClone(await users.get(id));
+
+    const response = await app.inject({
+      method: "PATCH",
+      url: `/api/admin/users/${id}`,
+      headers: await login("root"),
+      payload: { role: "admin", name: "Aisha", disabled: true, password: "short" },
+    });
+
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(await users.get(id), before);
+    assert.deepEqual(await new UserStore(dir).get(id), before, "nothing was saved either");
+    assert.equal((await app.inject({ url: "/api/auth/me", headers: await login("aisha") })).json().user.role, "candidate");
+  });
+
+  it("locks an account after repeated failed sign-ins", async () => {
+    const auth = new AuthService(users);
+    for (let i = 0; i < 5; i++) {
+      await assert.rejects(auth.login("root", "wrong password"), { statusCode: 401 });
+    }
+    await assert.rejects(auth.login("root", PASSWORD), { statusCode: 429 });
+  });
+});
@@ -0,0 +1,119 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import { zipSync } from "fflate";
+import { BatchService, extractBatchFiles, toCsvReport } from "../src/services/batch.service.js";
+
+describe("batch validation", () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "batches-"));
+  });
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("unpacks ZIP archives next to loose files, skipping folders and metadata", () => {
+    const zip = Buffer.from(zipSync({
+      "office/b.png": Buffer.from("b"),
+      "office/a.pdf": Buffer.from("a"),
+      "office/.DS_Store": Buffer.from("x"),
+      "__MACOSX/office/._a.pdf": Buffer.from("x"),
+    }));
+
+    const files = extractBatchFiles([
+      { buffer: zip, filename: "office.zip", mimeType: "application/zip" },
+      { buffer: Buffer.from("c"), filename: "c.jpg", mimeType: "image/jpeg" },
+    ]);
+
+    assert.deepEqual(files.map(file => [file.filename, file.mimeType]), [
+      ["office/a.pdf", "application/pdf"],
+      ["office/b.png", "image/png"],
+      ["c.jpg", "image/jpeg"],
+    ]);
+    assert.equal(files[0].buffer.toString(), "a");
+  });
+
+  it("rejects unreadable archives and empty batches", () => {
+    assert.throws(() => extractBatchFiles([{ buffer: Buffer.from("PK\x03\x04broken"), filename: "x.zip" }]), { name: "BatchError", statusCode: 400 });
+    assert.throws(() => extractBatchFiles([{ buffer: Buffer.from(zipSync({})), filename: "empty.zip" }]), /no files/);
+  });
+
+  it("stops zip bombs on the bytes inflated, whatever the headers claim", () => {
+    const zip = Buffer.from(zipSync({ "bomb.png": new Uint8Array(2 * 1024 * 1024) }));
+
+    // Claim 10 bytes unpacked in both the local header and the central directory
+    zip.writeUInt32LE(10, 22);
+    zip.writeUInt32LE(10, zip.indexOf(Buffer.from("PK\x01\x02", "latin1")) + 24);
+
+    const upload = { buffer: zip, filename: "bomb.zip" };
+    assert.throws(() => extractBatchFiles([upload], { maxUnzippedBytes: 1024 * 1024 }), { name: "BatchError", statusCode: 413 });
+    assert.equal(extractBatchFiles([upload], { maxUnzippedBytes: 4 * 1024 * 1024 })[0].buffer.length, 2 * 1024 * 1024);
+  });
+
+  it("limits the unpacked size of the whole batch, not each archive", () => {
+    const archive = name => ({ buffer: Buffer.from(zipSync({ [`${name}.png`]: Buffer.alloc(600 * 1024) })), filename: `${name}.zip` });
+    const loose = { buffer: Buffer.alloc(600 * 1024), filename: "loose.png", mimeType: "image/png" };
+
+    assert.equal(extractBatchFiles([archive("a")], { maxUnzippedBytes: 1024 * 1024 }).length, 1);
+    assert.throws(
+      () => extractBatchFiles([archive("a"), archive("b")], { maxUnzippedBytes: 1024 * 1024 }),
+      { name: "BatchError", statusCode: 413, message: /limit reached in b\.zip/ }
+    );
+    assert.throws(() => extractBatchFiles([loose, archive("a")], { maxUnzippedBytes: 1024 * 1024 }), { statusCode: 413 });
+  });
+
+  it("keeps spreadsheet formulas in the report inert", () => {
+    const csv = toCsvReport({
+      items: [
+        { filename: "=HYPERLINK(\"http://evil\")", candidateName: "+966", verdict: "error", overallScore: 0, error: "@SUM(A1)" },
+        { filename: "-1.png", candidateName: "\tname", verdict: "compliant", overallScore: 90 },
+      ],
+    });
+    const [, first, second] = csv.replace(/^\uFEFF/, "").trim().split("\r\n");
+
+    assert.equal(first, `"'=HYPERLINK(""http://evil"")",,'+966,error,0,,,,,'@SUM(A1)`);
+    assert.equal(second, "'-1.png,,'\tname,compliant,90,,,,,");
+  });
+
+  it("validates files concurrently and reports every verdict", async () => {
+    let active = 0;
+    let peak = 0;
+    const pipeline = {
+      run: async ({ files: [file] }) => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        if (file.filename === "bad.txt") throw new Error("bad.txt: unsupported file type");
+
+        const violating = file.filename === "logo.png";
+        return {
+          submissionId: `sub-${file.filename}`,
+          isCompliant: !violating,
+          overallScore: violating ? 0 : 90,
+          validationConfidence: 85,
+          extractedText: { candidateName: "فيصل, البوسعيدي" },
+          categories: { prohibitedContent: { items: [{ rule: "ELECTION_LOGO", found: violating }] } },
+          rejectionReasons: violating ? [{ severity: "critical", message: 'Remove the "logo"' }] : [],
+        };
+      },
+    };
+    const service = new BatchService({ pipeline, dataDir: dir, concurrency: 2 });
+    const files = ["ok.png", "logo.png", "bad.txt", "ok2.png"].map(filename => ({ filename, buffer: Buffer.from(filename) }));
+
+    const batch = await service.create(files, { language: "en" });
+    const outcome = await service.run({ batchId: batch.id, files });
+    const stored = await service.get(batch.id);
+
+    assert.equal(peak, 2);
+    assert.deepEqual(outcome.counts, { total: 4, done: 4, compliant: 2, nonCompliant: 1, errors: 1 });
+    assert.equal(stored.status, "completed");
+
+    const lines = toCsvReport(stored).replace(/^\uFEFF/, "").trim().split("\r\n");
+    assert.equal(lines[0], "filename,submission_id,candidate_name,verdict,overall_score,confidence,rule_hits,rejection_reasons,duplicate_of,error");
+    assert.equal(lines[2], 'logo.png,sub-logo.png,"فيصل, البوسعيدي",non_compliant,0,85,ELECTION_LOGO,"critical: Remove the ""logo""",,');
+    assert.equal(lines[3], "bad.txt,,,error,,,,,,bad.txt: unsupported file type");
+  });
+});
@@ -0,0 +1,81 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import { CandidateImportError, CandidateRegistry, nameSimilarity } from "../src/services/candidate.registry.js";
+
+const CSV = [
+  "id,name,wilaya,accounts",
+  'C-001,فيصل بن علي بن سعيد البوسعيدي,صحار,acc-1;acc-2',
+  'C-002,"مريم بنت خالد الهنائية",نزوى,',
+  "C-003,أحمد بن سالم الحارثي,,",
+].join("\r\n");
+
+const poster = (candidateName, rawText = "") => ({ extractedText: { candidateName, rawText } });
+
+describe("candidate registry", () => {
+  let dir;
+  let registry;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "candidates-"));
+    registry = new CandidateRegistry(dir);
+  });
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("imports valid rows and reports the rest", async () => {
+    const { imported, total, errors } = await registry.importCsv(CSV);
+
+    assert.equal(imported, 2);
+    assert.equal(total, 2);
+    assert.deepEqual(errors, [{ line: 4, error: "id, name and wilaya are required" }]);
+    assert.deepEqual((await registry.list())[0].accounts, ["acc-1", "acc-2"]);
+
+    // Survives a restart
+    const reloaded = new CandidateRegistry(dir);
+    assert.equal((await reloaded.list()).length, 2);
+  });
+
+  it("rejects a CSV without the required columns", async () => {
+    await assert.rejects(registry.importCsv("name,wilaya\nx,y"), CandidateImportError);
+  });
+
+  it("matches spelling variants and shortened names", () => {
+    assert.ok(nameSimilarity("فيصل البوسعيدى", "فيصل بن علي بن سعيد البوسعيدي") >= 0.85);
+    assert.ok(nameSimilarity("فَيصل بن علي البوسعيدي", "فيصل بن علي بن سعيد البوسعيدي") >= 0.85);
+    assert.ok(nameSimilarity("سالم البوسعيدي", "فيصل بن علي بن سعيد البوسعيدي") < 0.85);
+  });
+
+  it("accepts a registered candidate in their own wilaya", async () => {
+    const { check, warnings } = await registry.crossCheck(poster("فيصل البوسعيدي", "مرشح ولاية صحار"), { account: "acc-1" });
+
+    assert.equal(check.status, "matched");
+    assert.equal(check.candidate.id, "C-001");
+    assert.equal(check.wilayaMatches, true);
+    assert.equal(check.ownedByAccount, true);
+    assert.deepEqual(warnings, []);
+  });
+
+  it("flags unregistered names, wrong wilaya and foreign accounts", async () => {
+    const unregistered = await registry.crossCheck(poster("سالم بن حمد الكندي"));
+    assert.equal(unregistered.check.status, "unregistered");
+    assert.deepEqual(unregistered.warnings.map(w => w.type), ["UNREGISTERED_CANDIDATE"]);
+
+    const mismatched = await registry.crossCheck(poster("مريم الهنائية", "مرشحة ولاية صحار"), { account: "acc-9" });
+    assert.equal(mismatched.check.candidate.id, "C-002");
+    assert.deepEqual(mismatched.warnings.map(w => w.type), ["WILAYA_MISMATCH"]);
+
+    const foreign = await registry.crossCheck(poster("فيصل البوسعيدي"), { account: "acc-9" });
+    assert.deepEqual(foreign.warnings.map(w => w.type), ["NOT_CANDIDATE_OWNER"]);
+  });
+
+  it("replaces registry warnings when re-checking a reused verdict", async () => {
+    const first = await registry.applyTo(poster("فيصل البوسعيدي"), { account: "acc-9" });
+    const second = await registry.applyTo(first, { account: "acc-1" });
+
+    assert.equal(first.warnings.length, 1);
+    assert.equal(second.warnings, undefined);
+    assert.equal(second.candidateCheck.ownedByAccount, true);
+  });
+});
@@ -0,0 +1,135 @@
+import { after, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { ConsensusService, isEscalated, mergeVotes } from "../src/services/consensus.service.js";
+import { ValidationService } from "../src/services/ai.service.js";
+
+const compliant = JSON.parse(
+  readFileSync(new URL("../fixtures/golden/compliant-legislative-objectives.json", import.meta.url), "utf8")
+).response;
+
+/**
+ * The compliant response with the given prohibited-content rules found
+ */
+function violating(...rules) {
+  const response = structuredClone(compliant);
+  response.isCompliant = false;
+  response.categories.prohibitedContent.status = "fail";
+  for (const item of response.categories.prohibitedContent.items) {
+    if (rules.includes(item.rule)) Object.assign(item, { found: true, details: "Visible", location: "top" });
+  }
+  return response;
+}
+
+/**
+ * Provider stand-in that answers the given responses in order (errors are thrown)
+ */
+function sequence(...responses) {
+  const calls = [];
+  return {
+    name: "sequence",
+    model: "sequence",
+    calls,
+    analyze: async (request) => {
+      calls.push(request);
+      const response = responses[Math.min(calls.length - 1, responses.length - 1)];
+      if (response instanceof Error) throw response;
+      return { content: JSON.stringify(response), modelVersion: "sequence" };
+    },
+  };
+}
+
+const validate = (provider, consensus) =>
+  new ValidationService({ provider, preprocess: null, landmarkCheck: false, consensus }).validatePoster(Buffer.from("x"));
+
+describe("consensus mode", () => {
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+  });
+  after(() => mock.restoreAll());
+
+  it("counts per-rule votes across samples", () => {
+    const votes = mergeVotes([violating("ELECTION_LOGO"), violating("ELECTION_LOGO", "NATIONAL_FLAG"), compliant]);
+
+    assert.deepEqual(votes.compliance, { violations: 2, samples: 3, agreement: 0.67, decision: true });
+    assert.deepEqual(votes.rules.ELECTION_LOGO, { violations: 2, samples: 3, agreement: 0.67, decision: true });
+    assert.deepEqual(votes.rules.NATIONAL_FLAG, { violations: 1, samples: 3, agreement: 0.67, decision: false });
+    assert.equal(votes.rules.STATE_EMBLEM.agreement, 1);
+  });
+
+  it("runs only for borderline results in auto mode", () => {
+    const consensus = new ConsensusService({ mode: "auto", confidenceThreshold: 70 });
+
+    assert.equal(consensus.trigger({ validationConfidence: 90, warnings: [] }), null);
+    assert.equal(consensus.trigger({ validationConfidence: 55, warnings: [] }), "low_confidence");
+    assert.equal(consensus.trigger({ validationConfidence: 90, warnings: [{ type: "MISSING_CONTEXT" }] }), "warning:MISSING_CONTEXT");
+    assert.equal(consensus.trigger({ status: "error" }), null);
+    assert.equal(new ConsensusService({ mode: "off" }).trigger({ validationConfidence: 0 }), null);
+  });
+
+  it("resamples the model at a higher temperature and keeps a unanimous verdict", async () => {
+    const provider = sequence(compliant);
+    const result = await validate(provider, new ConsensusService({ mode: "always", samples: 3, temperature: 0.8 }));
+
+    assert.deepEqual(provider.calls.map(call => call.temperature), [undefined, 0.8, 0.8]);
+    assert.equal(result.isCompliant, true);
+    assert.equal(result.consensus.samples.length, 3);
+    assert.equal(result.consensus.escalated, false);
+    assert.equal(isEscalated(result), false);
+  });
+
+  it("escalates split votes to human review", async () => {
+    const provider = sequence(violating("ELECTION_LOGO"), compliant, violating("ELECTION_LOGO"));
+    const result = await validate(provider, new ConsensusService({ mode: "always", samples: 3 }));
+
+    assert.equal(result.isCompliant, false);
+    assert.deepEqual(result.consensus.disagreements, ["ELECTION_LOGO"]);
+    assert.equal(result.consensus.escalated, true);
+    assert.ok(result.warnings.some(warning => warning.type === "MODEL_DISAGREEMENT" && warning.rule === "ELECTION_LOGO"));
+    assert.equal(isEscalated({ pages: [{ result }] }), true);
+  });
+
+  it("keeps the majority verdict even when a minority sample agrees on more rules", async () => {
+    // Two samples reject for different reasons, so every rule vote is "not violated" and
+    // the compliant sample matches all of them, but the majority still rejects
+    const provider = sequence(violating("ELECTION_LOGO", "NATIONAL_FLAG"), violating("STATE_EMBLEM", "CANDIDATE_NUMBER"), compliant);
+    const result = await validate(provider, new ConsensusService({ mode: "always", samples: 3 }));
+
+    assert.equal(result.consensus.compliance.decision, true);
+    assert.equal(result.consensus.chosenSample, 0);
+    assert.equal(result.isCompliant, false);
+    assert.equal(result.consensus.escalated, true);
+  });
+
+  it("keeps the chosen sample's own audit trail and every voter's under samples", async () => {
+    const provider = sequence(violating("ELECTION_LOGO"), compliant, compliant);
+    const result = await validate(provider, new ConsensusService({ mode: "always", samples: 3 }));
+
+    assert.equal(result.consensus.chosenSample, 1);
+    assert.equal(result._audit.responses.length, 1);
+    assert.equal(JSON.parse(result._audit.responses[0].content).isCompliant, true, "the chosen answer, not the first one");
+    assert.equal(result._audit.samples.length, 3);
+    assert.equal(result._audit.samples.filter(sample => JSON.parse(sample.responses[0].content).isCompliant === false).length, 1);
+  });
+
+  it("treats an even split as compliant and escalates it", async () => {
+    const provider = sequence(violating("ELECTION_LOGO"), compliant);
+    const result = await validate(provider, new ConsensusService({ mode: "always", samples: 2 }));
+
+    assert.equal(result.consensus.compliance.decision, false);
+    assert.equal(result.isCompliant, true);
+    assert.equal(result.consensus.escalated, true);
+  });
+
+  it("leaves technically failed samples out of the vote", async () => {
+    const failing = sequence(Object.assign(new Error("bad request"), { status: 400 }));
+    const result = await validate(sequence(compliant), new ConsensusService({ mode: "always", providers: [failing] }));
+
+    assert.equal(result.status, "compliant");
+    assert.equal(result.consensus.samples.length, 1);
+    assert.equal(result.consensus.failedSamples, 1);
+    assert.equal(result.consensus.escalated, false);
+  });
+});
@@ -0,0 +1,94 @@
+import { after, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import sharp from "sharp";
+import { aggregatePageResults, expandUploads, validateDocument } from "../src/services/document.service.js";
+
+const golden = name => JSON.parse(
+  readFileSync(new URL(`../fixtures/golden/${name}.json`, import.meta.url), "utf8")
+).response;
+
+const twoPagePdf = readFileSync(new URL("../fixtures/documents/two-pages.pdf", import.meta.url));
+
+/**
+ * Provider stand-in that returns one recorded response per call, in order
+ */
+function perPage(...responses) {
+  let call = 0;
+  return {
+    name: "pages",
+    model: "pages",
+    analyze: async ({ image }) => {
+      assert.equal(image.mimeType, "image/png");
+      return { content: JSON.stringify(responses[call++]), modelVersion: "pages" };
+    },
+  };
+}
+
+describe("multi-page submissions", () => {
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+  });
+  after(() => mock.restoreAll());
+
+  it("rasterizes each PDF page to PNG", async () => {
+    const jpeg = await sharp({ create: { width: 10, height: 10, channels: 3, background: "#fff" } }).jpeg().toBuffer();
+    const pages = await expandUploads([
+      { buffer: twoPagePdf, filename: "brochure.pdf", mimeType: "application/pdf" },
+      { buffer: jpeg, filename: "poster.jpg", mimeType: "image/jpeg" },
+    ]);
+
+    assert.deepEqual(
+      pages.map(p => [p.pageNumber, p.source, p.sourcePage, p.mimeType]),
+      [[1, "brochure.pdf", 1, "image/png"], [2, "brochure.pdf", 2, "image/png"], [3, "poster.jpg", 1, "image/jpeg"]]
+    );
+    assert.equal(pages[0].buffer.subarray(1, 4).toString(), "PNG");
+  });
+
+  it("rejects files that are neither images nor PDFs", async () => {
+    await assert.rejects(
+      expandUploads([{ buffer: Buffer.from("PK\x03\x04"), filename: "posters.zip", mimeType: "image/jpeg" }]),
+      { name: "UnsupportedImageError", statusCode: 415 }
+    );
+  });
+
+  it("rejects corrupt PDFs as unprocessable instead of failing as a server error", async () => {
+    for (const buffer of [Buffer.from("%PDF-1.4\nnot really a PDF"), twoPagePdf.subarray(0, 400)]) {
+      await assert.rejects(
+        expandUploads([{ buffer, filename: "brochure.pdf", mimeType: "application/pdf" }]),
+        { name: "DocumentError", statusCode: 422, message: /^brochure\.pdf could not be read as a PDF/ }
+      );
+    }
+  });
+
+  it("fails the whole submission when any page violates, citing the page", async () => {
+    const result = await validateDocument(
+      [{ buffer: twoPagePdf, filename: "brochure.pdf", mimeType: "application/pdf" }],
+      // The fixture's pages render at 400px; image quality is not what this is about
+      { provider: perPage(golden("compliant-legislative-objectives"), golden("candidate-number-and-logo")), landmarkCheck: false, preprocess: null }
+    );
+
+    assert.equal(result.isCompliant, false);
+    assert.equal(result.pages.length, 2);
+    assert.equal(result.pages[0].result.isCompliant, true);
+    assert.match(result.rejectionReason, /^Page 2: /);
+
+    const flagged = result.categories.prohibitedContent.items.filter(item => item.found);
+    assert.deepEqual(flagged.map(item => [item.rule, item.page]), [["ELECTION_LOGO", 2], ["CANDIDATE_NUMBER", 2]]);
+  });
+
+  it("passes when every page passes", () => {
+    const page = golden("compliant-legislative-objectives");
+    const result = aggregatePageResults([
+      { pageNumber: 1, result: { ...page, validationConfidence: 90 } },
+      { pageNumber: 2, result: { ...page, validationConfidence: 80 } },
+    ]);
+
+    assert.equal(result.isCompliant, true);
+    assert.equal(result.rejectionReason, null);
+    assert.equal(result.validationConfidence, 80);
+    assert.equal(result.categories.prohibitedContent.items.length, 8);
+  });
+});
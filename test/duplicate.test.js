@@ -0,0 +1,81 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import sharp from "sharp";
+import { DuplicateService, hammingDistance, perceptualHash, toRegion } from "../src/services/duplicate.service.js";
+import { SubmissionStore, hashFiles } from "../src/services/submission.store.js";
+
+/**
+ * Gradient "poster", optionally with a white square stamped in the top-left corner
+ */
+async function poster({ logo = false, format = "png" } = {}) {
+  const width = 600;
+  const height = 800;
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inLogo = logo && x < 150 && y < 150;
+      const value = inLogo ? 255 : Math.round((x / width) * 200 + (y / height) * 50);
+      pixels.fill(value, (y * width + x) * 3, (y * width + x) * 3 + 3);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } })[format]().toBuffer();
+}
+
+const flagged = {
+  isCompliant: false,
+  categories: {
+    prohibitedContent: { items: [{ rule: "ELECTION_LOGO", found: true, location: "top-left" }] },
+  },
+};
+
+describe("duplicate detection", () => {
+  let dir;
+  let store;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "submissions-"));
+    store = new SubmissionStore(dir);
+  });
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("gives re-encoded copies a near-identical perceptual hash", async () => {
+    const [png, jpeg] = await Promise.all([poster(), poster({ format: "jpeg" })]);
+    assert.ok(hammingDistance(await perceptualHash(png), await perceptualHash(jpeg)) <= 2);
+  });
+
+  it("maps free-text locations to grid regions", () => {
+    assert.equal(toRegion("Top Left corner"), "top-left");
+    assert.equal(toRegion("bottom-center"), "bottom");
+    assert.equal(toRegion("middle"), "center");
+    assert.equal(toRegion("background"), null);
+  });
+
+  it("finds exact duplicates by content hash", async () => {
+    const buffer = await poster({ logo: true });
+    const files = [{ buffer, filename: "a.png", mimeType: "image/png" }];
+    const original = await store.create({ files, result: flagged });
+
+    const duplicates = new DuplicateService(store);
+    assert.equal((await duplicates.findExact(hashFiles(files))).id, original.id);
+    assert.equal(await duplicates.findExact("0".repeat(64)), null);
+  });
+
+  it("links a near-duplicate and reports the removed logo region", async () => {
+    const duplicates = new DuplicateService(store);
+    const edited = await poster();
+
+    const similar = await duplicates.findSimilar(await perceptualHash(edited));
+    assert.ok(similar, "edited poster should match the earlier submission");
+
+    const changes = await duplicates.describeChanges(similar, edited, { isCompliant: true, categories: {} });
+
+    assert.deepEqual(changes.changedRegions, ["top-left"]);
+    assert.deepEqual(changes.previouslyFlagged, [
+      { rule: "ELECTION_LOGO", location: "top-left", region: "top-left", regionChanged: true, status: "resolved" },
+    ]);
+    assert.equal(changes.summary, "ELECTION_LOGO at top-left: resolved (region changed)");
+  });
+});
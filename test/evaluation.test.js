@@ -0,0 +1,71 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { compareReports, evaluate } from "../src/services/evaluation.service.js";
+
+const sample = (id, isCompliant, rules = [], actualType = "election_poster") => ({
+  id,
+  file: `${id}.jpg`,
+  expected: { isCompliant, rules, actualType },
+});
+
+const result = (isCompliant, rules = [], { actualType = "election_poster", confidence = 90 } = {}) => ({
+  isCompliant,
+  validationConfidence: confidence,
+  documentType: { actualType },
+  categories: {
+    prohibitedContent: { items: rules.map(rule => ({ rule, found: true })) },
+  },
+});
+
+describe("evaluation metrics", () => {
+  const samples = [
+    sample("clean", true),
+    sample("number", false, ["CANDIDATE_NUMBER"]),
+    sample("logo", false, ["ELECTION_LOGO"]),
+    sample("ad", false, [], "training_ad"),
+  ];
+
+  it("scores verdicts with non-compliant as the positive class", () => {
+    const report = evaluate(samples, [
+      result(false, ["CANDIDATE_NUMBER"]),
+      result(false, ["CANDIDATE_NUMBER"]),
+      result(true),
+      result(false, [], { actualType: "training_ad" }),
+    ]);
+
+    assert.deepEqual(
+      { tp: report.verdict.tp, fp: report.verdict.fp, fn: report.verdict.fn, tn: report.verdict.tn },
+      { tp: 2, fp: 1, fn: 1, tn: 0 }
+    );
+    assert.equal(report.rules.CANDIDATE_NUMBER.precision, 0.5);
+    assert.equal(report.rules.CANDIDATE_NUMBER.recall, 1);
+    assert.equal(report.rules.CANDIDATE_NUMBER.f1, 2 / 3);
+    assert.equal(report.rules.ELECTION_LOGO.recall, 0);
+    assert.equal(report.rules.ELECTION_LOGO.f1, 0, "a rule never caught scores 0, not n/a");
+    assert.deepEqual(report.documentTypes, {
+      election_poster: { election_poster: 3 },
+      training_ad: { training_ad: 1 },
+    });
+  });
+
+  it("excludes technical errors from the scores", () => {
+    const report = evaluate(samples.slice(0, 2), [result(true), { ...result(false), error: "timeout" }]);
+
+    assert.equal(report.errors, 1);
+    assert.equal(report.verdict.tn, 1);
+    assert.equal(report.verdict.fn, 0);
+  });
+
+  it("reports samples fixed and broken between two runs", () => {
+    const base = evaluate(samples, [result(true), result(true), result(false, ["ELECTION_LOGO"]), result(false)]);
+    const candidate = evaluate(samples, [result(false), result(false, ["CANDIDATE_NUMBER"]), result(false, ["ELECTION_LOGO"]), result(false)]);
+
+    const { changed } = compareReports(base, candidate);
+
+    assert.deepEqual(changed.map(c => [c.id, c.fixed, c.broken]), [
+      ["clean", false, true],
+      ["number", true, false],
+    ]);
+    assert.deepEqual(changed[1].addedRules, ["CANDIDATE_NUMBER"]);
+  });
+});
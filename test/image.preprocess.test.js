@@ -0,0 +1,103 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import sharp from "sharp";
+import { assertSupportedImage, detectMimeType, preprocessImage } from "../src/services/image.preprocess.js";
+import { validateDocument } from "../src/services/document.service.js";
+import { SubmissionPipeline } from "../src/services/submission.pipeline.js";
+import { SubmissionStore } from "../src/services/submission.store.js";
+import { DuplicateService } from "../src/services/duplicate.service.js";
+import { CandidateRegistry } from "../src/services/candidate.registry.js";
+
+/**
+ * Random noise has strong edges everywhere; blurring it removes them
+ */
+async function noise(width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < pixels.length; i++) pixels[i] = (i * 7919) % 251;
+  return sharp(pixels, { raw: { width, height, channels: 3 } });
+}
+
+describe("image preprocessing", () => {
+  it("detects the real type regardless of the declared one", async () => {
+    const png = await (await noise(8, 8)).png().toBuffer();
+    const webp = await (await noise(8, 8)).webp().toBuffer();
+
+    assert.equal(detectMimeType(png), "image/png");
+    assert.equal(detectMimeType(webp), "image/webp");
+    assert.equal(detectMimeType(Buffer.from("%PDF-1.4")), "application/pdf");
+    assert.equal(detectMimeType(Buffer.from("hello")), null);
+  });
+
+  it("rejects unsupported formats", async () => {
+    await assert.rejects(preprocessImage(Buffer.from("not an image")), { statusCode: 415 });
+
+    // BMP is recognised but cannot be decoded, so it must be refused up front, not fail later as a 503
+    const bmp = Buffer.alloc(64);
+    bmp.write("BM", 0, "latin1");
+    assert.equal(detectMimeType(bmp), "image/bmp");
+    assert.throws(() => assertSupportedImage(bmp, "poster.bmp"), { statusCode: 415, message: /poster\.bmp: unsupported file type image\/bmp/ });
+    await assert.rejects(preprocessImage(bmp), { statusCode: 415 });
+  });
+
+  it("refuses images that have the right signature but cannot be decoded, without storing them", async () => {
+    const png = await (await noise(800, 800)).png().toBuffer();
+    const truncated = png.subarray(0, 200);
+
+    await assert.rejects(preprocessImage(truncated, { filename: "poster.png" }), {
+      name: "UnreadableImageError",
+      statusCode: 422,
+      message: "poster.png: the image/png file is damaged or incomplete and could not be read",
+    });
+
+    const dir = await mkdtemp(path.join(tmpdir(), "unreadable-"));
+    try {
+      const submissions = new SubmissionStore(dir);
+      let modelCalls = 0;
+      const provider = { name: "stub", model: "stub", analyze: async () => { modelCalls++; return { content: "{}" }; } };
+      const pipeline = new SubmissionPipeline({
+        submissions,
+        duplicates: new DuplicateService(submissions),
+        candidates: new CandidateRegistry(dir),
+        validate: (files, options) => validateDocument(files, { ...options, provider, consensus: null }),
+      });
+
+      await assert.rejects(pipeline.run({ files: [{ buffer: truncated, filename: "poster.png" }] }), { statusCode: 422 });
+      assert.equal(modelCalls, 0);
+      assert.equal((await submissions.list()).total, 0);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("applies EXIF orientation and downsizes oversized images", async () => {
+    // Stored 3000x1000 landscape, EXIF says rotate 90° -> 1000x3000 portrait
+    const upload = await (await noise(3000, 1000)).jpeg().withMetadata({ orientation: 6 }).toBuffer();
+    const image = await preprocessImage(upload);
+    const output = await sharp(image.buffer).metadata();
+
+    assert.equal(image.quality.width, 1000);
+    assert.equal(image.quality.height, 3000);
+    assert.equal(output.height, 2048);
+    assert.ok(output.width < output.height);
+    assert.equal(output.orientation, undefined);
+    assert.deepEqual(image.transformations, ["exif_orientation_6", "resized_to_683x2048"]);
+  });
+
+  it("measures blur and low resolution", async () => {
+    const sharpUpload = await (await noise(800, 800)).png().toBuffer();
+    const blurredUpload = await (await noise(800, 800)).blur(8).png().toBuffer();
+    const tinyUpload = await (await noise(300, 200)).png().toBuffer();
+
+    const crisp = await preprocessImage(sharpUpload);
+    const blurred = await preprocessImage(blurredUpload);
+    const tiny = await preprocessImage(tinyUpload);
+
+    assert.deepEqual(crisp.quality.issues, []);
+    assert.deepEqual(blurred.quality.issues, ["blurry"]);
+    assert.ok(tiny.quality.issues.includes("low_resolution"));
+    assert.equal(crisp.buffer, sharpUpload, "images that need no changes are passed through untouched");
+  });
+});
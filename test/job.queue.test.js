@@ -0,0 +1,115 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import Fastify from "fastify";
+import { JobQueue } from "../src/services/job.queue.js";
+import jobsRoutes from "../src/routes/jobs.routes.js";
+
+/**
+ * Resolve with the final public view of a job once it completes or fails
+ */
+function settled(queue, id) {
+  return new Promise(resolve => {
+    const onUpdate = job => {
+      if (job.id === id && queue.isFinished(job)) {
+        queue.off("update", onUpdate);
+        resolve(job);
+      }
+    };
+    queue.on("update", onUpdate);
+  });
+}
+
+describe("job queue", () => {
+  it("runs jobs without exceeding the concurrency limit", async () => {
+    let active = 0;
+    let peak = 0;
+    const queue = new JobQueue(async ({ value }) => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      active--;
+      return value * 2;
+    }, { concurrency: 2, retentionMs: 1000 });
+
+    const jobs = [1, 2, 3, 4, 5].map(value => queue.enqueue({ value }));
+    assert.equal(queue.position(jobs[4].id), 3);
+
+    const results = await Promise.all(jobs.map(job => settled(queue, job.id)));
+
+    assert.equal(peak, 2);
+    assert.deepEqual(results.map(job => [job.status, job.result]), [["completed", 2], ["completed", 4], ["completed", 6], ["completed", 8], ["completed", 10]]);
+    assert.equal(queue.get(jobs[0].id).data, undefined);
+  });
+
+  it("retries failures with backoff and tells the handler about the last attempt", async () => {
+    const seen = [];
+    const queue = new JobQueue(async (data, { attempt, lastAttempt, progress }) => {
+      seen.push([attempt, lastAttempt]);
+      progress("analyzing");
+      if (!lastAttempt) throw new Error("model timeout");
+      return "stored";
+    }, { maxAttempts: 3, retryDelayMs: 1, retentionMs: 1000 });
+
+    const stages = [];
+    queue.on("update", job => stages.push(job.progress.stage));
+
+    const job = await settled(queue, queue.enqueue({}).id);
+
+    assert.equal(job.status, "completed");
+    assert.equal(job.attempts, 3);
+    assert.equal(job.result, "stored");
+    assert.deepEqual(seen, [[1, false], [2, false], [3, true]]);
+    assert.ok(stages.includes("retrying"));
+  });
+
+  it("fails client errors without retrying", async () => {
+    const queue = new JobQueue(async () => {
+      throw Object.assign(new Error("Unsupported file type"), { statusCode: 415 });
+    }, { maxAttempts: 3, retryDelayMs: 1, retentionMs: 1000 });
+
+    const job = await settled(queue, queue.enqueue({}).id);
+
+    assert.equal(job.status, "failed");
+    assert.equal(job.attempts, 1);
+    assert.equal(job.error, "Unsupported file type");
+  });
+
+  it("streams updates to many watchers through one queue listener", async () => {
+    let finish;
+    const queue = new JobQueue(() => new Promise(resolve => { finish = resolve; }), { retentionMs: 1000 });
+    const job = queue.enqueue({}, { owner: "salim" });
+
+    const app = Fastify();
+    app.decorate("jobs", queue);
+    app.decorate("auth", { authorize: () => async () => {} });
+    app.decorateRequest("user", null);
+    app.addHook("onRequest", async (request) => {
+      request.user = { username: "salim", role: "candidate" };
+    });
+    app.register(jobsRoutes);
+    await app.ready();
+
+    const warnings = [];
+    const onWarning = warning => warnings.push(warning);
+    process.on("warning", onWarning);
+
+    try {
+      const streams = Array.from({ length: 20 }, () => app.inject({ url: `/api/jobs/${job.id}/events` }));
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assert.equal(queue.listenerCount("update"), 1);
+
+      finish("stored");
+      for (const response of await Promise.all(streams)) {
+        assert.match(response.body, /^event: progress\n/);
+        assert.match(response.body, /event: completed\ndata: .*"result":"stored"/);
+      }
+      assert.deepEqual(warnings.filter(warning => warning.name === "MaxListenersExceededWarning"), []);
+    } finally {
+      // Ends any stream still open, so a failed assertion cannot leave the test hanging
+      finish("stored");
+      process.off("warning", onWarning);
+      await app.close();
+    }
+    assert.equal(queue.listenerCount("update"), 0);
+  });
+});
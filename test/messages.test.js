@@ -0,0 +1,74 @@
+import { after, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { ValidationService } from "../src/services/ai.service.js";
+import { aggregatePageResults } from "../src/services/document.service.js";
+import { localizeResult, resolveLanguage } from "../src/services/messages.js";
+
+const golden = name => JSON.parse(readFileSync(new URL(`../fixtures/golden/${name}.json`, import.meta.url), "utf8")).response;
+
+function replay(response) {
+  return {
+    name: "replay",
+    model: "replay",
+    analyze: async () => ({ content: JSON.stringify(response), modelVersion: "replay" }),
+  };
+}
+
+describe("bilingual messages", () => {
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+  });
+  after(() => mock.restoreAll());
+
+  it("prefers the lang parameter, then Accept-Language by quality", () => {
+    assert.equal(resolveLanguage("ar", "en-US"), "ar");
+    assert.equal(resolveLanguage("fr", "fr-FR, ar-OM;q=0.8, en;q=0.5"), "ar");
+    assert.equal(resolveLanguage(undefined, "en;q=0.4, ar;q=0.9"), "ar");
+    assert.equal(resolveLanguage(undefined, "de"), "en");
+    assert.equal(resolveLanguage(), "en");
+  });
+
+  it("generates the rejection reason in both languages", async () => {
+    const response = golden("compliant-legislative-objectives");
+    const result = await new ValidationService({ provider: replay({
+      ...response,
+      isCompliant: false,
+      rejectionReason: null,
+      categories: {
+        ...response.categories,
+        prohibitedContent: { status: "fail", items: [{ rule: "NATIONAL_FLAG", found: true, confidence: 90, details: "flag", location: "top" }] },
+      },
+    }), preprocess: null }).validatePoster(Buffer.from("x"));
+
+    assert.deepEqual(result.rejectionMessage, { en: "Please remove the national flag", ar: "يرجى إزالة العلم الوطني" });
+    assert.equal(localizeResult(result, "ar").rejectionReason, "يرجى إزالة العلم الوطني");
+    assert.equal(localizeResult(result, "ar").direction, "rtl");
+    assert.equal(localizeResult(result, "en").rejectionReason, "Please remove the national flag");
+  });
+
+  it("appends deterministic rule messages in each language", async () => {
+    const response = golden("compliant-legislative-objectives");
+    const result = await new ValidationService({ provider: replay({
+      ...response,
+      extractedText: { ...response.extractedText, rawText: `${response.extractedText.rawText}\nسأسعى للحصول على بطاقات تأمين` },
+    }), preprocess: null }).validatePoster(Buffer.from("x"));
+
+    assert.equal(result.isCompliant, false);
+    assert.match(result.rejectionMessage.en, /Seeking to obtain/);
+    assert.match(result.rejectionMessage.ar, /سأسعى للحصول/);
+    assert.equal(result.rejectionReason, result.rejectionMessage.en);
+  });
+
+  it("prefixes page numbers in each language for multi-page submissions", () => {
+    const page = { isCompliant: false, rejectionReason: "Photo is blurry", rejectionMessage: { en: "Photo is blurry", ar: "الصورة غير واضحة" } };
+    const aggregated = aggregatePageResults([
+      { pageNumber: 1, result: { isCompliant: true } },
+      { pageNumber: 2, result: page },
+    ]);
+
+    assert.deepEqual(aggregated.rejectionMessage, { en: "Page 2: Photo is blurry", ar: "الصفحة 2: الصورة غير واضحة" });
+    assert.equal(localizeResult(aggregated, "ar").pages[1].result.rejectionReason, "الصورة غير واضحة");
+  });
+});
@@ -0,0 +1,121 @@
+import { after, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, rm, writeFile } from "fs/promises";
+import { readFileSync } from "fs";
+import { createHash } from "crypto";
+import { tmpdir } from "os";
+import path from "path";
+import { PromptRegistry, promptRegistry } from "../src/services/prompt.registry.js";
+import { ShadowLog, takeShadow } from "../src/services/prompt.shadow.js";
+import { ValidationService } from "../src/services/ai.service.js";
+
+const compliant = JSON.parse(
+  readFileSync(new URL("../fixtures/golden/compliant-legislative-objectives.json", import.meta.url), "utf8")
+).response;
+
+const sha256 = text => createHash("sha256").update(text).digest("hex");
+
+/**
+ * A registry in a temporary directory with the given prompt texts, the first one active
+ */
+async function registryWith(dir, texts, { shadow = null } = {}) {
+  await mkdir(path.join(dir, "prompts"), { recursive: true });
+  const versions = [];
+  for (const [id, text] of Object.entries(texts)) {
+    const file = `prompts/validation-${id}.md`;
+    await writeFile(path.join(dir, file), text);
+    versions.push({ id, name: `Prompt ${id}`, file, sha256: sha256(text), createdAt: "2026-01-01T00:00:00.000Z" });
+  }
+  await writeFile(path.join(dir, "prompts.json"), JSON.stringify({ active: versions[0].id, shadow, versions }));
+  return new PromptRegistry(path.join(dir, "prompts.json")).load();
+}
+
+/**
+ * Replays a response chosen by the system prompt it was sent with
+ */
+const replayBy = responses => ({
+  name: "replay",
+  model: "replay",
+  calls: [],
+  async analyze(request) {
+    this.calls.push(request.systemPrompt);
+    return { content: JSON.stringify(responses[request.systemPrompt]), modelVersion: "replay" };
+  },
+});
+
+describe("prompt versions", () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "prompts-"));
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+  });
+  after(async () => {
+    mock.restoreAll();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("sends the active version and stamps it in the metadata", async () => {
+    const active = promptRegistry.active();
+    const provider = replayBy({ [active.text]: compliant });
+
+    const result = await new ValidationService({ provider, preprocess: null, landmarkCheck: false, consensus: null })
+      .validatePoster(Buffer.from("x"));
+
+    assert.deepEqual(provider.calls, [active.text]);
+    assert.equal(result.metadata.promptVersion, active.id);
+  });
+
+  it("refuses a prompt file edited after registration", async () => {
+    const registry = await registryWith(path.join(dir, "edited"), { "v1": "Prompt one" });
+    await writeFile(path.join(dir, "edited", "prompts/validation-v1.md"), "Prompt one, quietly changed");
+
+    assert.throws(() => registry.load(), /was edited after it was registered/);
+    assert.equal(registry.active().text, "Prompt one");
+  });
+
+  it("registers, shadows and activates versions", async () => {
+    const registry = await registryWith(path.join(dir, "admin"), { "v1": "Prompt one" });
+
+    await registry.register({ id: "v2", name: "Stricter scope", text: "Prompt two" });
+    await assert.rejects(registry.register({ id: "v2", name: "Again", text: "x" }), { statusCode: 409 });
+    await assert.rejects(registry.setShadow("v1"), /already active/);
+
+    assert.equal((await registry.setShadow("v2")).shadow, "v2");
+    const activated = await registry.activate("v2");
+    assert.deepEqual([activated.active, activated.shadow], ["v2", null]);
+
+    // The file on disk is what a restart loads
+    const reloaded = new PromptRegistry(registry.file).load();
+    assert.equal(reloaded.active().text, "Prompt two");
+    await assert.rejects(registry.activate("v9"), { statusCode: 404 });
+  });
+
+  it("runs the shadow version alongside and records disagreements without changing the verdict", async () => {
+    const registry = await registryWith(path.join(dir, "shadow"), { "v1": "Prompt one", "v2": "Prompt two" }, { shadow: "v2" });
+
+    const flagged = structuredClone(compliant);
+    const item = flagged.categories.contentScope.items.find(item => item.rule === "ELECTION_PROMISES");
+    Object.assign(item, { violated: true, violatingObjectives: [flagged.extractedText.objectives[0]] });
+    flagged.isCompliant = false;
+
+    const provider = replayBy({ "Prompt one": compliant, "Prompt two": flagged });
+    const result = await new ValidationService({ provider, prompts: registry, preprocess: null, landmarkCheck: false, consensus: null })
+      .validatePoster(Buffer.from("x"));
+
+    assert.equal(result.isCompliant, true);
+    assert.equal(result.metadata.promptVersion, "v1");
+
+    const [comparison] = takeShadow(result);
+    assert.equal(result._shadow, undefined);
+    assert.equal(comparison.agrees, false);
+    assert.deepEqual(comparison.onlyShadow, ["ELECTION_PROMISES"]);
+    assert.deepEqual([comparison.active.promptVersion, comparison.shadow.promptVersion], ["v1", "v2"]);
+
+    const log = new ShadowLog(path.join(dir, "shadow"));
+    await log.record({ submissionId: "s-1", ...comparison });
+    assert.equal((await log.list()).items[0].submissionId, "s-1");
+    assert.deepEqual((await log.stats()).v2.rules.ELECTION_PROMISES, { onlyActive: 0, onlyShadow: 1 });
+  });
+});
@@ -0,0 +1,90 @@
+import { after, afterEach, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "fs/promises";
+import { createHash } from "crypto";
+import { tmpdir } from "os";
+import path from "path";
+import { createProvider } from "../src/providers/index.js";
+import { FixtureProvider } from "../src/providers/fixture.provider.js";
+import { OllamaProvider } from "../src/providers/ollama.provider.js";
+
+const image = { base64: Buffer.from("poster bytes").toString("base64"), mimeType: "image/png" };
+const imageHash = createHash("sha256").update("poster bytes").digest("hex");
+
+/**
+ * Stub `fetch` with an Ollama /api/chat server answering `answer(body)`; returns the requests seen
+ */
+function stubOllama(answer) {
+  const requests = [];
+  mock.method(globalThis, "fetch", async (url, init) => {
+    const body = JSON.parse(init.body);
+    requests.push({ url, init, body });
+    const { status = 200, ...data } = answer(body);
+    return new Response(JSON.stringify(data), { status, headers: { "Content-Type": "application/json" } });
+  });
+  return requests;
+}
+
+describe("vision providers", () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "providers-"));
+  });
+  afterEach(() => mock.restoreAll());
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("maps requests and answers of the Ollama chat API", async () => {
+    const requests = stubOllama(() => ({ model: "qwen2.5vl:7b", message: { role: "assistant", content: '{"isCompliant":true}' } }));
+    const provider = new OllamaProvider({ host: "http://ollama.local:11434/", model: "qwen2.5vl" });
+
+    const output = await provider.analyze({ systemPrompt: "Rules", userText: "Check this poster", image, temperature: 0.7 });
+
+    assert.deepEqual(output, { content: '{"isCompliant":true}', modelVersion: "qwen2.5vl:7b" });
+    const [{ url, init, body }] = requests;
+    assert.equal(url, "http://ollama.local:11434/api/chat");
+    assert.equal(init.method, "POST");
+    assert.deepEqual(body.messages, [
+      { role: "system", content: "Rules" },
+      { role: "user", content: "Check this poster", images: [image.base64] },
+    ]);
+    assert.deepEqual([body.model, body.stream, body.format, body.options.temperature], ["qwen2.5vl", false, "json", 0.7]);
+  });
+
+  it("reports Ollama HTTP errors with their status", async () => {
+    stubOllama(() => ({ status: 404, error: "model not found" }));
+    const provider = new OllamaProvider({ host: "http://ollama.local:11434", model: "missing" });
+
+    await assert.rejects(provider.analyze({ systemPrompt: "", userText: "", image }), { status: 404, message: /Ollama request failed: 404 .*model not found/ });
+  });
+
+  it("records live answers per image and stage, then replays them offline", async () => {
+    const recordDir = path.join(dir, "recorded");
+    stubOllama(({ messages }) => ({ model: "qwen2.5vl:7b", message: { content: JSON.stringify({ answer: messages[1].content }) } }));
+    const live = createProvider({ provider: "ollama", host: "http://ollama.local:11434", recordDir, retries: 0 });
+
+    await live.analyze({ systemPrompt: "Rules", userText: "single", image });
+    await Promise.all(["extraction", "visual"].map(stage => live.analyze({ systemPrompt: "Rules", userText: stage, image, stage })));
+
+    const fixture = JSON.parse(await readFile(path.join(recordDir, `${imageHash}.json`), "utf8"));
+    assert.deepEqual(fixture, {
+      provider: "ollama",
+      modelVersion: "qwen2.5vl:7b",
+      response: { answer: "single" },
+      stages: { extraction: { answer: "extraction" }, visual: { answer: "visual" } },
+    });
+
+    mock.restoreAll();
+    const replay = createProvider({ provider: "fixture", fixturesDir: recordDir });
+    assert.deepEqual(await replay.analyze({ image }), { content: '{"answer":"single"}', modelVersion: "qwen2.5vl:7b" });
+    assert.equal((await replay.analyze({ image, stage: "visual" })).content, '{"answer":"visual"}');
+    // A stage that was not recorded falls back to the single-pass answer
+    assert.equal((await replay.analyze({ image, stage: "scope" })).content, '{"answer":"single"}');
+  });
+
+  it("fails clearly when no fixture matches and there is no default", async () => {
+    const provider = new FixtureProvider({ dir: path.join(dir, "empty") });
+
+    await assert.rejects(provider.analyze({ image }), { message: `No fixture recorded for image ${imageHash} in ${path.join(dir, "empty")}` });
+  });
+});
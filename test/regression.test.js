@@ -0,0 +1,80 @@
+import { after, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { readdirSync, readFileSync, writeFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ValidationService } from "../src/services/ai.service.js";
+import { getViolatedRules } from "../src/services/submission.store.js";
+
+/**
+ * Golden regression corpus.
+ *
+ * Each file in fixtures/golden holds a recorded model response and the final
+ * verdict the service must produce from it. Run with UPDATE_GOLDEN=1 to
+ * rewrite the expectations after an intentional rule change, then review the diff.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const GOLDEN_DIR = path.join(__dirname, "../fixtures/golden");
+const UPDATE = process.env.UPDATE_GOLDEN === "1";
+
+/**
+ * The parts of a result that carry the legal decision
+ */
+function toVerdict(result) {
+  return {
+    isCompliant: result.isCompliant,
+    overallScore: result.overallScore,
+    rejectionReason: result.rejectionReason ?? null,
+    rejectionReasons: (result.rejectionReasons || []).map(reason => `${reason.severity}:${reason.rule}`),
+    violatedRules: getViolatedRules(result).sort(),
+    warnings: (result.warnings || []).map(w => `${w.type}:${w.rule}`).sort(),
+    deterministicEvidence: (result.categories?.contentScope?.items || [])
+      .filter(item => item.deterministicRule)
+      .map(item => ({ ruleId: item.deterministicRule, quote: item.violatingObjectives[0] })),
+    logicCorrectionApplied: result.metadata?.logicCorrectionApplied === true,
+  };
+}
+
+/**
+ * Provider stand-in that replays one recorded response
+ */
+function replay(response) {
+  return {
+    name: "golden",
+    model: "golden-fixture",
+    analyze: async () => ({ content: JSON.stringify(response), modelVersion: "golden-fixture" }),
+  };
+}
+
+const cases = readdirSync(GOLDEN_DIR)
+  .filter(file => file.endsWith(".json"))
+  .sort()
+  .map(file => ({ file, ...JSON.parse(readFileSync(path.join(GOLDEN_DIR, file), "utf8")) }));
+
+describe("golden poster regressions", () => {
+  // The service logs traces and warnings on every run
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+  });
+  after(() => mock.restoreAll());
+
+  for (const testCase of cases) {
+    it(`${testCase.file}: ${testCase.description}`, async () => {
+      // Recorded responses carry their own imageQuality; skip local image measurement
+      const service = new ValidationService({ provider: replay(testCase.response), preprocess: null });
+      const verdict = toVerdict(await service.validatePoster(Buffer.from(testCase.file)));
+
+      if (UPDATE) {
+        const { file, ...fixture } = testCase;
+        writeFileSync(path.join(GOLDEN_DIR, file), JSON.stringify({ ...fixture, expected: verdict }, null, 2) + "\n");
+        return;
+      }
+
+      assert.ok(testCase.expected, `No expectation recorded; run with UPDATE_GOLDEN=1`);
+      assert.deepEqual(verdict, testCase.expected);
+    });
+  }
+});
@@ -0,0 +1,68 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { collectRejectionReasons } from "../src/services/rejection.reasons.js";
+import { localizeResult } from "../src/services/messages.js";
+
+const result = {
+  isCompliant: false,
+  documentType: { isElectionPropaganda: true, actualType: "election_poster" },
+  imageQuality: { isAcceptable: true, issues: [] },
+  categories: {
+    prohibitedContent: {
+      items: [
+        { rule: "CANDIDATE_NUMBER", found: true, details: "رقم المرشح 18", location: "center" },
+        { rule: "NATIONAL_FLAG", found: true, details: "Omani flag behind the candidate", location: "unknown" },
+        { rule: "STATE_EMBLEM", found: false },
+      ],
+    },
+    contentScope: {
+      items: [
+        { rule: "OBJECTIVES_OUTSIDE_POWERS", violated: true, violatingObjectives: ["سأبني 5 مدارس"] },
+        { rule: "ELECTION_PROMISES", violated: true, violatingObjectives: ["سأسعى للحصول على بطاقات"], deterministicRule: "SEEK_TO_OBTAIN" },
+      ],
+    },
+    requiredContent: { items: [{ element: "CANDIDATE_NAME", present: true }] },
+    languageEthics: { items: [{ rule: "ARABIC_ONLY", passed: false, details: "English slogan" }] },
+  },
+};
+
+const deterministicRules = new Map([["SEEK_TO_OBTAIN", {
+  id: "SEEK_TO_OBTAIN",
+  severity: "critical",
+  message: { en: "Prohibited language", ar: "صياغة محظورة" },
+}]]);
+
+describe("rejection reasons", () => {
+  it("lists every violated rule, most severe first", () => {
+    const reasons = collectRejectionReasons(result, { deterministicRules });
+
+    assert.deepEqual(reasons.map(r => `${r.severity}:${r.rule}`), [
+      "critical:CANDIDATE_NUMBER",
+      "critical:NATIONAL_FLAG",
+      "critical:ELECTION_PROMISES",
+      "high:OBJECTIVES_OUTSIDE_POWERS",
+      "medium:ARABIC_ONLY",
+    ]);
+  });
+
+  it("quotes evidence and says how to fix each one", () => {
+    const [number, flag, promise, powers] = collectRejectionReasons(result, { deterministicRules });
+
+    assert.deepEqual(number.evidence, ["رقم المرشح 18"]);
+    assert.equal(number.location, "center");
+    assert.equal(flag.location, undefined);
+    assert.deepEqual(powers.evidence, ["سأبني 5 مدارس"]);
+    assert.equal(powers.category, "contentScope");
+    assert.match(powers.remediation.en, /legislative or oversight/);
+    assert.equal(promise.ruleId, "SEEK_TO_OBTAIN");
+    assert.deepEqual(promise.message, { en: "Prohibited language", ar: "صياغة محظورة" });
+  });
+
+  it("localizes message and remediation", () => {
+    const reasons = collectRejectionReasons(result, { deterministicRules });
+    const [number] = localizeResult({ ...result, rejectionReasons: reasons }, "ar").rejectionReasons;
+
+    assert.equal(number.message, "يرجى إزالة رقم المرشح");
+    assert.equal(number.remediation, "احذف رقم المرشح");
+  });
+});
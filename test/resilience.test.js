@@ -0,0 +1,91 @@
+import { after, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { CircuitBreaker, withResilience } from "../src/providers/resilience.js";
+import { ValidationService } from "../src/services/ai.service.js";
+
+const apiError = (status, message = `HTTP ${status}`) => Object.assign(new Error(message), { status });
+
+/**
+ * Provider stand-in that plays back the given outcomes (errors are thrown)
+ */
+function flaky(...outcomes) {
+  const provider = {
+    name: "flaky",
+    model: "flaky",
+    calls: 0,
+    analyze: async () => {
+      const outcome = outcomes[Math.min(provider.calls++, outcomes.length - 1)];
+      if (outcome instanceof Error) throw outcome;
+      if (outcome === "hang") return new Promise(() => {});
+      return { content: outcome, modelVersion: "flaky" };
+    },
+  };
+  return provider;
+}
+
+describe("model API resilience", () => {
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+  });
+  after(() => mock.restoreAll());
+
+  it("retries rate limits and server errors, then succeeds", async () => {
+    const provider = withResilience(flaky(apiError(429), apiError(503), "{}"), { retries: 3, baseDelayMs: 1 });
+
+    assert.deepEqual(await provider.analyze({}), { content: "{}", modelVersion: "flaky" });
+    assert.equal(provider.calls, 3);
+  });
+
+  it("does not retry bad requests", async () => {
+    const provider = withResilience(flaky(apiError(400, "bad image")), { retries: 3, baseDelayMs: 1 });
+
+    await assert.rejects(provider.analyze({}), /bad image/);
+    assert.equal(provider.calls, 1);
+    assert.equal(provider.circuit.state, "closed");
+  });
+
+  it("times out calls that never answer", async () => {
+    const provider = withResilience(flaky("hang"), { timeoutMs: 20, retries: 1, baseDelayMs: 1 });
+
+    await assert.rejects(provider.analyze({}), { name: "ProviderTimeoutError", statusCode: 504 });
+    assert.equal(provider.calls, 2);
+  });
+
+  it("opens the circuit after repeated failures and fails fast until the reset", async () => {
+    let now = 0;
+    const breaker = new CircuitBreaker({ threshold: 2, resetMs: 1000, now: () => now });
+    const provider = withResilience(flaky(apiError(500), apiError(500), apiError(500), "{}"), { retries: 5, baseDelayMs: 1, breaker });
+
+    await assert.rejects(provider.analyze({}), /HTTP 500/);
+    assert.equal(breaker.state, "open");
+    assert.equal(provider.calls, 2);
+
+    await assert.rejects(provider.analyze({}), { name: "CircuitOpenError", statusCode: 503 });
+    assert.equal(provider.calls, 2);
+
+    // After the reset one trial call goes through; its failure re-opens the circuit
+    now = 1000;
+    await assert.rejects(provider.analyze({}), /HTTP 500/);
+    assert.equal(breaker.state, "open");
+
+    now = 2000;
+    assert.deepEqual(await provider.analyze({}), { content: "{}", modelVersion: "flaky" });
+    assert.equal(breaker.state, "closed");
+  });
+
+  it("reports a failed check as an error, not a rejection", async () => {
+    const provider = withResilience(flaky(apiError(502)), { retries: 0 });
+    const result = await new ValidationService({ provider, preprocess: null }).validatePoster(Buffer.from("x"));
+
+    assert.equal(result.status, "error");
+    assert.equal(result.isCompliant, null);
+    assert.equal(result.rejectionReason, null);
+    assert.deepEqual(result.rejectionReasons, []);
+    assert.equal(result.retryable, true);
+    assert.match(result.errorMessage.en, /has not been rejected/);
+    assert.match(result.error, /502/);
+    assert.doesNotMatch(`${result.errorMessage.en} ${result.errorMessage.ar}`, /502|HTTP/);
+  });
+});
@@ -0,0 +1,90 @@
+import { after, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { ValidationService } from "../src/services/ai.service.js";
+import { validateResultSchema } from "../src/services/resultSchema.js";
+
+const validResponse = JSON.parse(
+  readFileSync(new URL("../fixtures/golden/compliant-legislative-objectives.json", import.meta.url), "utf8")
+).response;
+
+/**
+ * Provider stand-in that returns the given raw contents in order
+ */
+function sequence(...contents) {
+  const calls = [];
+  return {
+    name: "sequence",
+    model: "sequence",
+    calls,
+    analyze: async (request) => {
+      calls.push(request);
+      return { content: contents[Math.min(calls.length - 1, contents.length - 1)], modelVersion: "sequence" };
+    },
+  };
+}
+
+describe("model output schema", () => {
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+  });
+  after(() => mock.restoreAll());
+
+  it("accepts a complete response", () => {
+    assert.deepEqual(validateResultSchema(validResponse), []);
+  });
+
+  it("reports missing and mistyped fields", () => {
+    const { summary, ...partial } = validResponse;
+    const errors = validateResultSchema({ ...partial, overallScore: "high" });
+
+    assert.ok(errors.some(error => error.includes("summary")));
+    assert.ok(errors.some(error => error.startsWith("/overallScore")));
+  });
+
+  it("retries truncated output with the schema errors fed back", async () => {
+    const provider = sequence('{"isCompliant": true, "summ', JSON.stringify(validResponse));
+    const result = await new ValidationService({ provider, maxRepairAttempts: 1, preprocess: null, landmarkCheck: false }).validatePoster(Buffer.from("x"));
+
+    assert.equal(provider.calls.length, 2);
+    assert.match(provider.calls[1].userText, /not valid JSON/);
+    assert.equal(result.isCompliant, true);
+    assert.equal(result.metadata.repairAttempts, 1);
+  });
+
+  it("coerces an off-schema response once retries are exhausted", async () => {
+    const provider = sequence(JSON.stringify({ isCompliant: true, summary: "ok", categories: {} }));
+    const result = await new ValidationService({ provider, maxRepairAttempts: 1, preprocess: null }).validatePoster(Buffer.from("x"));
+
+    assert.equal(provider.calls.length, 2);
+    assert.equal(result.metadata.schemaValid, false);
+    assert.deepEqual(result.categories.prohibitedContent, { status: "pass", items: [] });
+    assert.equal(result.extractedText.rawText, "");
+    assert.deepEqual(result.imageQuality.issues, []);
+  });
+
+  it("fails the check, rather than rejecting, when no verdict survives the retries", async () => {
+    const { isCompliant, ...withoutVerdict } = validResponse;
+    const provider = sequence(JSON.stringify(withoutVerdict));
+    const result = await new ValidationService({ provider, maxRepairAttempts: 1, preprocess: null, consensus: null }).validatePoster(Buffer.from("x"));
+
+    assert.equal(provider.calls.length, 2);
+    assert.equal(result.status, "error");
+    assert.equal(result.isCompliant, null);
+    assert.deepEqual(result.rejectionReasons, []);
+    assert.match(result.error, /no isCompliant verdict after 2 attempt/);
+    assert.equal(result._audit.responses.length, 2, "both answers stay in the audit trail");
+  });
+
+  it("records a verdict forced while coercing", () => {
+    const result = { summary: "ok", isCompliant: "yes", overallScore: 80 };
+    new ValidationService({ provider: sequence("{}") }).coerceResult(result);
+
+    assert.deepEqual([result.isCompliant, result.overallScore], [false, 0]);
+    const [mutation] = result._audit.mutations;
+    assert.equal(mutation.step, "coerceResult");
+    assert.deepEqual([mutation.before, mutation.after], [{ isCompliant: "yes", overallScore: 80 }, { isCompliant: false, overallScore: 0 }]);
+  });
+});
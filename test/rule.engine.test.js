@@ -0,0 +1,97 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rename, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import { RuleEngine } from "../src/services/rule.engine.js";
+
+const rule = (id, pattern) => ({
+  id,
+  kind: "violation",
+  pattern,
+  fields: ["rawText"],
+  rule: "OBJECTIVES_OUTSIDE_POWERS",
+  category: "contentScope",
+  message: { en: `Mentions ${pattern}`, ar: `يذكر ${pattern}` },
+});
+
+const rulesFile = (version, rules) => `${JSON.stringify({ version, rules }, null, 2)}\n`;
+
+/**
+ * Resolve once `check()` holds, polling past the watcher's debounce
+ */
+async function eventually(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting for a reload");
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+describe("rule engine", () => {
+  let dir;
+  let file;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "rules-"));
+    file = path.join(dir, "text-rules.json");
+  });
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("loads rules and matches normalized Arabic, quoting the original text", async () => {
+    await writeFile(file, rulesFile("1", [rule("JOBS", "وظائف"), { ...rule("OFF", "x"), enabled: false }]));
+    const engine = new RuleEngine(file).load();
+
+    assert.equal(engine.version, "1");
+    assert.deepEqual(engine.getRules().map(rule => rule.id), ["JOBS"]);
+
+    const [hit] = engine.evaluate({ rawText: "سأوفر وَظَائِف للشباب" }, { kind: "violation" });
+    assert.deepEqual([hit.ruleId, hit.match, hit.index], ["JOBS", "وَظَائِف", 6]);
+    assert.deepEqual(engine.evaluate({ rawText: "تطوير التشريعات" }), []);
+  });
+
+  it("keeps the previous rules when the file is invalid", async () => {
+    await writeFile(file, rulesFile("1", [rule("JOBS", "وظائف")]));
+    const engine = new RuleEngine(file).load();
+
+    for (const invalid of [
+      "{ not json",
+      rulesFile("2", [rule("JOBS", "وظائف"), rule("JOBS", "مدارس")]),
+      rulesFile("2", [{ ...rule("BAD", "("), normalize: false }]),
+      rulesFile("2", [{ ...rule("NO_MESSAGE", "x"), message: undefined }]),
+      rulesFile("2", [{ ...rule("KIND", "x"), kind: "maybe" }]),
+    ]) {
+      await writeFile(file, invalid);
+      assert.throws(() => engine.load());
+      assert.deepEqual([engine.version, engine.getRules().map(rule => rule.id)], ["1", ["JOBS"]]);
+    }
+  });
+
+  it("reloads on change, including saves that rename a new file over the old one", async () => {
+    await writeFile(file, rulesFile("1", [rule("JOBS", "وظائف")]));
+    const engine = new RuleEngine(file).load();
+    const logged = [];
+    engine.watch({ info: message => logged.push(message), error: message => logged.push(message) });
+
+    try {
+      await writeFile(file, rulesFile("2", [rule("JOBS", "وظائف"), rule("SCHOOLS", "مدارس")]));
+      await eventually(() => engine.version === "2");
+
+      // Atomic save, as editors and the admin API do it
+      await writeFile(`${file}.tmp`, rulesFile("3", [rule("SCHOOLS", "مدارس")]));
+      await rename(`${file}.tmp`, file);
+      await eventually(() => engine.version === "3");
+      assert.deepEqual(engine.getRules().map(rule => rule.id), ["SCHOOLS"]);
+
+      // And keeps watching after the rename
+      await writeFile(`${file}.tmp`, "{ not json");
+      await rename(`${file}.tmp`, file);
+      await eventually(() => logged.some(message => /reload failed/.test(message)));
+      assert.equal(engine.version, "3");
+    } finally {
+      engine.close();
+    }
+  });
+});
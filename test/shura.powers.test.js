@@ -0,0 +1,107 @@
+import { after, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { readFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import { ShuraPowersLexicon, shuraPowers } from "../src/services/shura.powers.js";
+import { ValidationService } from "../src/services/ai.service.js";
+import { localizeResult } from "../src/services/messages.js";
+
+const compliant = JSON.parse(
+  readFileSync(new URL("../fixtures/golden/compliant-legislative-objectives.json", import.meta.url), "utf8")
+).response;
+
+/**
+ * The compliant response with other objectives, optionally quoting some as violations
+ */
+function withObjectives(objectives, violating = {}) {
+  const response = structuredClone(compliant);
+  response.extractedText.objectives = objectives;
+  response.extractedText.rawText = objectives.join("\n");
+  for (const item of response.categories.contentScope.items) {
+    if (violating[item.rule]) Object.assign(item, { violated: true, violatingObjectives: violating[item.rule] });
+  }
+  if (Object.keys(violating).length > 0) response.isCompliant = false;
+  return response;
+}
+
+const validate = response => new ValidationService({
+  provider: { name: "replay", model: "replay", analyze: async () => ({ content: JSON.stringify(response), modelVersion: "replay" }) },
+  preprocess: null,
+  landmarkCheck: false,
+  consensus: null,
+}).validatePoster(Buffer.from("x"));
+
+describe("Shura powers lexicon", () => {
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+  });
+  after(() => mock.restoreAll());
+
+  it("classifies every example in the lexicon file as its entry's power", () => {
+    for (const entry of shuraPowers.entries) {
+      for (const example of entry.examples || []) {
+        assert.equal(shuraPowers.classify(example)?.power, entry.power, `${entry.id}: ${example}`);
+      }
+    }
+  });
+
+  it("lets a forbidden phrase outweigh an allowed one and quotes the original text", () => {
+    const verdict = shuraPowers.classify("سأراقب الميزانية وسأبني مستشفى");
+    assert.equal(verdict.power, "executive");
+    assert.equal(verdict.rule, "OBJECTIVES_OUTSIDE_POWERS");
+    assert.deepEqual(verdict.matches.map(match => match.entryId), ["MONITOR", "BUILD"]);
+
+    assert.equal(shuraPowers.classify("سأسعَى لِلـحصول على بطاقات").phrase, "سأسعَى لِلـحصول");
+    assert.match(shuraPowers.classify("سأسعى لسن تشريع للتأمين الصحي").rationale.ar, /من صلاحيات مجلس الشورى/);
+    assert.equal(shuraPowers.classify("تنمية الولاية"), null);
+  });
+
+  it("enforces a forbidden objective the model let through", async () => {
+    const result = await validate(withObjectives(["سأقترح قوانين لتطوير التعليم", "سأوفر وظائف للشباب"]));
+
+    assert.equal(result.isCompliant, false);
+    const item = result.categories.contentScope.items.find(item => item.deterministicRule === "POWERS.PROVIDE");
+    assert.deepEqual(item.violatingObjectives, ["سأوفر وظائف للشباب"]);
+    assert.deepEqual(result.objectiveAnalysis.map(entry => [entry.power, entry.allowed, entry.source]), [
+      ["legislative", true, "lexicon"],
+      ["executive", false, "lexicon"],
+    ]);
+    assert.match(localizeResult(result, "ar").objectiveAnalysis[1].rationale, /خارج صلاحيات مجلس الشورى/);
+  });
+
+  it("warns when the model flags an objective the lexicon reads as allowed", async () => {
+    const result = await validate(withObjectives(["سأقترح قانونًا لحماية المستهلك"], {
+      OBJECTIVES_OUTSIDE_POWERS: ["سأقترح قانونًا لحماية المستهلك"],
+    }));
+
+    assert.equal(result.isCompliant, false);
+    assert.ok(result.warnings.some(warning => warning.type === "POSSIBLE_FALSE_POSITIVE" && warning.rule === "OBJECTIVES_OUTSIDE_POWERS"));
+  });
+
+  it("falls back to the model for objectives without a lexicon phrase", async () => {
+    const result = await validate(withObjectives(["تنمية الولاية", "مستقبل أفضل للشباب"], {
+      ELECTION_PROMISES: ["مستقبل أفضل للشباب"],
+    }));
+
+    assert.deepEqual(result.objectiveAnalysis.map(entry => [entry.source, entry.allowed, entry.rule]), [
+      ["model", true, null],
+      ["model", false, "ELECTION_PROMISES"],
+    ]);
+  });
+
+  it("refuses a lexicon file with unknown powers", async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), "powers-"));
+    try {
+      const file = path.join(dir, "powers.json");
+      await writeFile(file, JSON.stringify({ powers: {}, entries: [{ id: "X", power: "magic", pattern: "x" }] }));
+
+      assert.throws(() => new ShuraPowersLexicon(file).load(), /unknown power "magic"/);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
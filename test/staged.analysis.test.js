@@ -0,0 +1,192 @@
+import { after, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { readFileSync } from "fs";
+import { createHash } from "crypto";
+import { tmpdir } from "os";
+import path from "path";
+import { ValidationService } from "../src/services/ai.service.js";
+import { FixtureProvider } from "../src/providers/fixture.provider.js";
+import { STAGED_PROMPTS, STAGED_PROMPT_VERSION } from "../src/services/stagedPrompt.js";
+
+const compliant = JSON.parse(
+  readFileSync(new URL("../fixtures/golden/compliant-legislative-objectives.json", import.meta.url), "utf8")
+).response;
+
+/**
+ * Stage answers cut from the compliant single-pass response
+ */
+function stageAnswers({ rawText = compliant.extractedText.rawText, textReadability = { confidence: 95, unreadableSegments: [] } } = {}) {
+  const { categories } = structuredClone(compliant);
+  return {
+    extraction: {
+      extractedText: { ...compliant.extractedText, rawText },
+      documentType: compliant.documentType,
+      imageQuality: compliant.imageQuality,
+      textReadability,
+      visualInventory: {
+        peopleCount: 1,
+        people: [{ description: "Candidate portrait", isCandidate: true, action: "standing", location: "left", boundingBox: null }],
+        logos: [],
+        flagsAndEmblems: [],
+        backgroundStructures: [],
+      },
+    },
+    visual: {
+      reasoning: "Only the candidate is shown; no symbols",
+      categories: { prohibitedContent: categories.prohibitedContent, requiredContent: categories.requiredContent },
+    },
+    scope: {
+      reasoning: "All objectives are legislative",
+      objectiveReview: compliant.extractedText.objectives.map(objective => ({ objective, power: "legislative", allowed: true, reason: "سأعمل على تشريع" })),
+      categories: { contentScope: categories.contentScope },
+    },
+    ethics: {
+      reasoning: "Arabic only, respectful",
+      categories: { languageEthics: categories.languageEthics },
+    },
+  };
+}
+
+/**
+ * Provider stand-in that answers each request from `answers[request.stage]`
+ * (a list is played back in order)
+ */
+function staged(answers) {
+  const calls = [];
+  const served = {};
+  return {
+    name: "staged",
+    model: "staged",
+    calls,
+    analyze: async (request) => {
+      calls.push(request);
+      const answer = [].concat(answers[request.stage]);
+      const content = answer[Math.min(served[request.stage] = (served[request.stage] ?? -1) + 1, answer.length - 1)];
+      return { content: typeof content === "string" ? content : JSON.stringify(content), modelVersion: `staged-${request.stage}` };
+    },
+  };
+}
+
+const validate = (provider, options = {}) =>
+  new ValidationService({ provider, preprocess: null, consensus: null, pipeline: "staged", ...options }).validatePoster(Buffer.from("x"));
+
+describe("staged analysis pipeline", () => {
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+  });
+  after(() => mock.restoreAll());
+
+  it("transcribes first, then runs the focused checks on the transcription", async () => {
+    const provider = staged(stageAnswers());
+    const result = await validate(provider, { landmarkCheck: false });
+
+    assert.deepEqual(provider.calls.map(call => call.stage), ["extraction", "visual", "scope", "ethics"]);
+    for (const call of provider.calls.slice(1)) {
+      assert.ok(call.userText.includes(JSON.stringify(compliant.extractedText.objectives[0])));
+    }
+
+    assert.equal(result.status, "compliant");
+    assert.equal(result.schemaValidation, undefined);
+    assert.equal(result.objectiveReview.length, compliant.extractedText.objectives.length);
+    assert.equal(result.visualInventory.peopleCount, 1);
+    assert.deepEqual(Object.keys(result.metadata.pipeline.stages), ["extraction", "visual", "scope", "ethics"]);
+    assert.equal(result.metadata.pipeline.stages.scope.modelVersion, "staged-scope");
+  });
+
+  it("stamps the version of the stage prompts on every result", async () => {
+    const result = await validate(staged(stageAnswers()), { landmarkCheck: false });
+
+    assert.match(STAGED_PROMPT_VERSION, /^staged-[0-9a-f]{12}$/);
+    assert.equal(result.metadata.promptVersion, STAGED_PROMPT_VERSION);
+
+    const digest = createHash("sha256").update(JSON.stringify(STAGED_PROMPTS)).digest("hex");
+    assert.equal(STAGED_PROMPT_VERSION, `staged-${digest.slice(0, 12)}`, "editing a stage prompt changes the version");
+  });
+
+  it("turns a stage two violation into the usual rejection", async () => {
+    const answers = stageAnswers();
+    const item = answers.scope.categories.contentScope.items.find(item => item.rule === "OBJECTIVES_OUTSIDE_POWERS");
+    Object.assign(item, { violated: true, violatingObjectives: ["سأبني مدرسة"], explanation: "Building is executive" });
+    answers.scope.categories.contentScope.status = "fail";
+
+    const result = await validate(staged(answers), { landmarkCheck: false });
+
+    assert.equal(result.isCompliant, false);
+    assert.deepEqual(result._analysis_trace.step3_violations_found, ["OBJECTIVES_OUTSIDE_POWERS (سأبني مدرسة)"]);
+    assert.equal(result.rejectionReasons[0].rule, "OBJECTIVES_OUTSIDE_POWERS");
+  });
+
+  it("gives the visual check the landmark list instead of asking again", async () => {
+    const provider = staged(stageAnswers({ rawText: "المرشح لمجلس الشورى عن ولاية صحار" }));
+    const result = await validate(provider);
+
+    assert.equal(provider.calls.length, 4);
+    assert.match(provider.calls.find(call => call.stage === "visual").userText, /صحار/);
+    assert.equal(provider.calls.find(call => call.stage === "scope").userText.includes("باب صحار"), false);
+    assert.equal(result.metadata.pipeline.landmarkContext, "صحار");
+    assert.equal(result.metadata.landmarkCheck.asked, false);
+  });
+
+  it("repairs each stage separately and warns about unreadable text", async () => {
+    const answers = stageAnswers({ textReadability: { confidence: 55, unreadableSegments: ["third objective, bottom"] } });
+    const provider = staged({ ...answers, ethics: ["not json", answers.ethics] });
+    const result = await validate(provider, { landmarkCheck: false });
+
+    assert.equal(provider.calls.filter(call => call.stage === "ethics").length, 2);
+    assert.equal(result.metadata.pipeline.stages.ethics.repairAttempts, 1);
+    assert.equal(result.metadata.repairAttempts, 1);
+    assert.ok(result.warnings.some(warning => warning.type === "UNREADABLE_TEXT" && /third objective/.test(warning.message)));
+  });
+
+  it("fails the check instead of passing a poster when stages answer nothing", async () => {
+    const provider = staged({ extraction: {}, visual: {}, scope: {}, ethics: {} });
+    const result = await validate(provider, { landmarkCheck: false });
+
+    assert.equal(result.status, "error");
+    assert.equal(result.isCompliant, null);
+    assert.match(result.error, /extraction stage is incomplete/);
+    assert.ok(result._audit.responses.length > 1, "the empty answers and their retries are kept");
+
+    // A complete extraction does not make up for empty checks
+    const checks = await validate(staged({ ...stageAnswers(), ethics: {} }), { landmarkCheck: false });
+    assert.equal(checks.status, "error");
+    assert.match(checks.error, /ethics stage is incomplete/);
+  });
+
+  it("rejects a measured low-resolution image in both pipelines", async () => {
+    const preprocess = async buffer => ({
+      buffer,
+      mimeType: "image/png",
+      quality: { width: 400, height: 300, laplacianVariance: 900, issues: ["low_resolution"] },
+    });
+
+    for (const [pipeline, provider] of [
+      ["single", { name: "single", model: "single", analyze: async () => ({ content: JSON.stringify(compliant), modelVersion: "single" }) }],
+      ["staged", staged(stageAnswers())],
+    ]) {
+      const result = await validate(provider, { pipeline, preprocess, landmarkCheck: false });
+
+      assert.deepEqual([result.isCompliant, result.imageQuality.isAcceptable], [false, false], pipeline);
+      assert.ok(result.rejectionReasons.some(reason => reason.rule === "IMAGE_QUALITY"), pipeline);
+    }
+  });
+
+  it("replays recorded stage answers from fixtures", async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), "staged-fixtures-"));
+    try {
+      const hash = createHash("sha256").update(Buffer.from("x")).digest("hex");
+      await writeFile(path.join(dir, `${hash}.json`), JSON.stringify({ response: compliant, stages: stageAnswers() }));
+
+      const result = await validate(new FixtureProvider({ dir }), { landmarkCheck: false });
+
+      assert.equal(result.status, "compliant");
+      assert.equal(result.metadata.pipeline.mode, "staged");
+      assert.equal(result.objectiveReview[0].power, "legislative");
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
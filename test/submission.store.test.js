@@ -0,0 +1,131 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import Fastify from "fastify";
+import { SubmissionStore } from "../src/services/submission.store.js";
+import submissionsRoutes from "../src/routes/submissions.routes.js";
+
+function record(id, createdAt, overrides = {}) {
+  return {
+    id,
+    createdAt,
+    submittedBy: "salim",
+    image: { filename: `${id}.png` },
+    outcome: "compliant",
+    isCompliant: true,
+    rules: [],
+    wilaya: "Muscat",
+    review: { status: "pending", history: [] },
+    result: { isCompliant: true },
+    ...overrides,
+  };
+}
+
+describe("submission store listing", () => {
+  let dir;
+  let store;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "submissions-"));
+    store = new SubmissionStore(dir);
+
+    await store.save(record("s-1", "2026-01-01T09:00:00.000Z"));
+    await store.save(record("s-2", "2026-01-02T09:00:00.000Z", {
+      submittedBy: "aisha",
+      outcome: "non_compliant",
+      isCompliant: false,
+      rules: ["ELECTION_PROMISES"],
+      review: { status: "rejected", history: [] },
+    }));
+    await store.save(record("s-3", "2026-01-03T09:00:00.000Z", { wilaya: "Sohar", escalated: true }));
+    await store.save(record("s-4", "2026-01-04T09:00:00.000Z", { outcome: "error", isCompliant: false }));
+  });
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const ids = async filters => (await store.list(filters)).items.map(item => item.id);
+
+  it("lists newest first and filters on each field", async () => {
+    assert.deepEqual(await ids(), ["s-4", "s-3", "s-2", "s-1"]);
+    assert.deepEqual(await ids({ submittedBy: "aisha" }), ["s-2"]);
+    assert.deepEqual(await ids({ isCompliant: false }), ["s-4", "s-2"]);
+    assert.deepEqual(await ids({ outcome: "non_compliant" }), ["s-2"]);
+    assert.deepEqual(await ids({ escalated: true }), ["s-3"]);
+    assert.deepEqual(await ids({ escalated: false }), ["s-4", "s-2", "s-1"]);
+    assert.deepEqual(await ids({ rule: "ELECTION_PROMISES" }), ["s-2"]);
+    assert.deepEqual(await ids({ wilaya: "Sohar" }), ["s-3"]);
+    assert.deepEqual(await ids({ status: "rejected" }), ["s-2"]);
+    assert.deepEqual(await ids({ from: "2026-01-02", to: "2026-01-03T12:00:00Z" }), ["s-3", "s-2"]);
+  });
+
+  it("paginates after filtering", async () => {
+    assert.deepEqual(await store.list({ limit: 2 }).then(({ total, items }) => [total, items.map(item => item.id)]), [4, ["s-4", "s-3"]]);
+    assert.deepEqual(await ids({ limit: 2, offset: 2 }), ["s-2", "s-1"]);
+    assert.deepEqual(await ids({ isCompliant: true, offset: 1 }), ["s-1"]);
+    assert.deepEqual(await ids({ offset: 10 }), []);
+  });
+
+  it("rejects malformed list parameters with 400", async () => {
+    const app = Fastify();
+    app.decorate("submissions", store);
+    app.decorate("auth", { authorize: () => async () => {} });
+    app.decorateRequest("user", null);
+    app.addHook("onRequest", async (request) => {
+      request.user = { username: "officer1", role: "officer" };
+    });
+    app.register(submissionsRoutes);
+    await app.ready();
+
+    try {
+      for (const query of ["limit=abc", "limit=0", "offset=-1", "from=yesterday", "to=2026-13-40", "isCompliant=maybe", "outcome=unknown"]) {
+        const response = await app.inject({ url: `/api/submissions?${query}` });
+        assert.equal(response.statusCode, 400, query);
+      }
+
+      const response = await app.inject({ url: "/api/submissions?isCompliant=false&limit=1&offset=1&from=2026-01-01" });
+      assert.equal(response.statusCode, 200);
+      assert.deepEqual([response.json().total, response.json().items.map(item => item.id)], [2, ["s-2"]]);
+    } finally {
+      await app.close();
+    }
+  });
+
+  it("stores the detected file type and serves only images and PDFs", async () => {
+    const disguised = Buffer.concat([Buffer.from("89504e470d0a1a0a", "hex"), Buffer.from("<script>alert(1)</script>")]);
+    const record = await store.create({
+      files: [{ buffer: disguised, filename: "poster.png", mimeType: "text/html" }],
+      result: { status: "error", isCompliant: null },
+      submittedBy: "salim",
+    });
+    assert.equal(record.image.mimeType, "image/png");
+
+    // A record from before detection, holding a page the client declared as HTML
+    const page = { ...record.image, file: "page.bin", mimeType: "text/html" };
+    await writeFile(path.join(store.imagesDir, "page.bin"), "<html><script>alert(1)</script></html>");
+    await store.save({ ...record, id: "s-html", image: page, files: [page] });
+
+    const app = Fastify();
+    app.decorate("submissions", store);
+    app.decorate("auth", { authorize: () => async () => {} });
+    app.decorateRequest("user", null);
+    app.addHook("onRequest", async (request) => {
+      request.user = { username: "officer1", role: "officer" };
+    });
+    app.register(submissionsRoutes);
+    await app.ready();
+
+    try {
+      const image = await app.inject({ url: `/api/submissions/${record.id}/image` });
+      assert.equal(image.headers["content-type"], "image/png");
+      assert.equal(image.headers["x-content-type-options"], "nosniff");
+      assert.match(image.headers["content-disposition"], /^inline; filename="poster\.png"/);
+
+      assert.equal((await app.inject({ url: "/api/submissions/s-html/image" })).statusCode, 415);
+    } finally {
+      await app.close();
+    }
+  });
+});
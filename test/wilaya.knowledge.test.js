@@ -0,0 +1,84 @@
+import { after, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { ValidationService } from "../src/services/ai.service.js";
+import { wilayaKnowledge } from "../src/services/wilaya.knowledge.js";
+import { detectWilaya } from "../src/services/submission.store.js";
+
+const compliant = JSON.parse(
+  readFileSync(new URL("../fixtures/golden/compliant-legislative-objectives.json", import.meta.url), "utf8")
+).response;
+
+/**
+ * Provider stand-in that returns the given raw contents in order
+ */
+function sequence(...contents) {
+  const calls = [];
+  return {
+    name: "sequence",
+    model: "sequence",
+    calls,
+    analyze: async (request) => {
+      calls.push(request);
+      return { content: contents[Math.min(calls.length - 1, contents.length - 1)], modelVersion: "sequence" };
+    },
+  };
+}
+
+describe("wilaya knowledge base", () => {
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+  });
+  after(() => mock.restoreAll());
+
+  it("detects the wilaya from 'ولاية X' or an unambiguous place name", () => {
+    assert.equal(wilayaKnowledge.detect("المرشح لمجلس الشورى عن ولاية صحار").id, "sohar");
+    assert.equal(wilayaKnowledge.detect("ولايه السويق").id, "as-suwaiq");
+    assert.equal(wilayaKnowledge.detect("معاً من أجل نزوى").id, "nizwa");
+    // "نخل" is also the word for palm trees
+    assert.equal(wilayaKnowledge.detect("دعم مزارع النخل"), null);
+    assert.equal(wilayaKnowledge.detect("ولاية نخل").id, "nakhal");
+  });
+
+  it("reports canonical wilaya names on submissions", () => {
+    assert.equal(detectWilaya({ extractedText: { rawText: "ولايه بهلاء" } }), "بهلاء");
+    assert.equal(detectWilaya({ extractedText: { rawText: "ولاية المجهولة" } }), "المجهولة");
+  });
+
+  it("narrows the model's description to a single landmark", () => {
+    const sohar = wilayaKnowledge.get("sohar");
+
+    assert.equal(wilayaKnowledge.identifyLandmark(sohar, { details: "Faint fort with crenellations" }).id, "sohar-fort");
+    assert.equal(wilayaKnowledge.identifyLandmark(sohar, { details: "بوابة صحار في الخلفية" }).id, "sohar-gate");
+    assert.equal(wilayaKnowledge.identifyLandmark(sohar, { landmarkId: "sohar-gate" }).id, "sohar-gate");
+    assert.equal(wilayaKnowledge.identifyLandmark(sohar, { details: "historic building" }), null);
+  });
+
+  it("asks again with the wilaya's landmarks and records the suspected one", async () => {
+    const provider = sequence(
+      JSON.stringify(compliant),
+      JSON.stringify({ found: true, landmarkId: "sohar-gate", confidence: 80, location: "background", details: "Faint archway watermark", boundingBox: null }),
+    );
+    const result = await new ValidationService({ provider, preprocess: null }).validatePoster(Buffer.from("x"));
+
+    assert.equal(provider.calls.length, 2);
+    assert.match(provider.calls[1].userText, /sohar-gate: بوابة صحار/);
+
+    const item = result.categories.prohibitedContent.items.find(item => item.rule === "HISTORICAL_SYMBOLS");
+    assert.equal(result.isCompliant, false);
+    assert.equal(item.found, true);
+    assert.equal(item.suspectedLandmark.id, "sohar-gate");
+    assert.match(item.details, /Suspected landmark: Sohar Gate/);
+    assert.deepEqual(result.metadata.landmarkCheck, { wilaya: "صحار", asked: true, found: true, landmark: "sohar-gate" });
+  });
+
+  it("keeps the verdict when the follow-up finds nothing", async () => {
+    const provider = sequence(JSON.stringify(compliant), JSON.stringify({ found: false, landmarkId: null, confidence: 90, location: "", details: "", boundingBox: null }));
+    const result = await new ValidationService({ provider, preprocess: null }).validatePoster(Buffer.from("x"));
+
+    assert.equal(result.isCompliant, true);
+    assert.equal(result.metadata.landmarkCheck.found, false);
+  });
+});